@@ -1,13 +1,42 @@
 // Plain JavaScript app entry point
 // Demo wiring for cadence analyzer and audio engine - no UI elements
 
-import { startCadence, stopCadence } from './input/cadence.js'
+import { startCadence, stopCadence, getCadenceAnalyzer } from './input/cadence.js'
+import { createInputSources } from './input/sources.js'
+import {
+  DEFAULT_IKI_RANGE,
+  loadCalibration,
+  clearCalibration,
+  createCalibrationSession,
+  createBackgroundCalibrator
+} from './input/calibration.js'
+import { createCadenceRecorder, createCadenceReplay, serializeTrace, parseTrace } from './input/recorder.js'
 import { createAudioEngine } from './audio/engine.js'
-import { mapIkiToAudioParams, resetMapping } from './mapping/audioMapping.js'
-import { mapIkiToVisualParams, resetVisualMapping } from './mapping/visualMapping.js'
+import { renderSession } from './audio/render.js'
+import { encodeWav } from './audio/wav.js'
+import { createNoiseFingerprint, saveFingerprint, loadFingerprints, getFingerprint, deleteFingerprint } from './audio/fingerprint.js'
+import { addSound, listSounds, getSound, getSoundAudio, updateSound, deleteSound } from './audio/library.js'
+import { createPlaylist } from './audio/playlist.js'
+import { estimateExposure } from './audio/loudness.js'
+import { createStateClassifier } from './input/stateClassifier.js'
+import { createMappingEngine } from './mapping/mappingEngine.js'
+import { PRESETS, DEFAULT_PRESET_ID } from './mapping/presets/index.js'
 import { mount as mountVisualScene } from './visual/scene.js'
 import { initTabs, updateStatus, hideFileInput, showFileInput } from './ui/tabs.js'
 import { initIntensity, getIntensity } from './ui/intensity.js'
+import { initLibrary, updateLibraryList } from './ui/library.js'
+import { updateLevelMeter, updateLevelWarning } from './ui/meter.js'
+import {
+  initSettings,
+  getSettings,
+  updateSettings,
+  updateCalibrationStatus,
+  updatePresetStatus,
+  updateFingerprintOptions,
+  updateExportStatus,
+  updateBreathSyncStatus,
+  updateSessionStatus
+} from './ui/settings.js'
 
 // Application configuration
 const config = {
@@ -28,6 +57,43 @@ let devCadenceReceived = false
 let devAudioStartResult = null
 let devMotionTestBuffer = null
 
+// Preset-driven mapping from cadence metrics to audio/visual parameters
+let mappingEngine = null
+
+// Typing state classifier (flow/steady/hesitant/frantic/idle)
+let stateClassifier = null
+
+// Personal IKI calibration
+let calibrationSession = null
+let backgroundCalibrator = null
+
+// Library playlist being played (see playlist.js)
+let playlist = null
+let hasRestoredSound = false
+
+// A cached fingerprint is reused only when measured on a loop this close in length (seconds)
+const FINGERPRINT_DURATION_TOLERANCE = 0.01
+
+// Cadence session recording/replay (exposed as window.calmFlow in DEV)
+let cadenceRecorder = null
+let cadenceReplay = null
+
+// Offline WAV render in progress
+let isExporting = false
+
+// Output level monitoring
+const LEVEL_POLL_MS = 500
+const LOUD_WARNING_SECONDS = 60 // Warn once the output has been loud this long
+let levelMonitorId = null
+
+// Visual vs audible breath readout
+const BREATH_SYNC_POLL_MS = 500
+let breathSyncMonitorId = null
+
+// Session timer readout, updated while a sit runs
+const SESSION_POLL_MS = 1000
+let sessionMonitorId = null
+
 // Bootstrap function
 function bootstrap() {
   console.log(`Starting ${config.name} v${config.version}`)
@@ -44,10 +110,23 @@ function initializeApp() {
   // Initialize intensity slider
   initIntensity()
   
+  // Initialize settings panel
+  initSettings()
+  updateFingerprintOptions(loadFingerprints())
+  
+  // Initialize sound library list
+  initLibrary()
+  refreshLibrary()
+  
+  // Create mapping engine from the selected preset
+  setupMappingEngine()
+  
   // Mount visual scene
   const canvas = document.getElementById('scene')
   if (canvas) {
     visualScene = mountVisualScene(canvas)
+    visualScene.setBreathPattern(getSettings().breathPattern)
+    applySceneSmoothing()
     console.log('Visual scene mounted')
     
     // Hide start button after successful mount
@@ -70,13 +149,23 @@ function initializeApp() {
   // Start cadence analyzer
   startCadenceAnalyzer()
   
+  // Apply saved calibration and keep refining it in the background
+  setupCalibration()
+  
   // Prepare audio engine and try to start immediately
   prepareAudioEngine()
   tryStartAudioImmediately()
   
+  // Watch the output level for the meter and warnings
+  levelMonitorId = setInterval(checkOutputLevel, LEVEL_POLL_MS)
+  
+  // Report how closely the visual breath follows the audible one
+  breathSyncMonitorId = setInterval(checkBreathSync, BREATH_SYNC_POLL_MS)
+  
   // DEV: Start sanity checks
   if (DEV) {
     devSanityChecks()
+    devExposeSessionTools()
   }
 }
 
@@ -84,6 +173,15 @@ function initializeApp() {
 function setupEventListeners() {
   // Listen for cadence update events
   document.addEventListener('cadence:update', handleCadenceUpdate)
+  document.addEventListener('cadence:idle', handleCadenceIdle)
+  document.addEventListener('cadence:resume', handleCadenceResume)
+  document.addEventListener('cadence:state', handleCadenceState)
+  document.addEventListener('cadence:input', handleCadenceInput)
+  
+  // Follow the audio engine's lifecycle
+  document.addEventListener('audio:state', handleAudioState)
+  document.addEventListener('audio:error', handleAudioError)
+  document.addEventListener('audio:session', handleSessionEvent)
   
   // Set up one-time user interaction listeners for audio autoplay
   setupAudioAutoplayListeners()
@@ -95,9 +193,34 @@ function setupEventListeners() {
   document.addEventListener('ui:file-selected', handleFileSelected)
   document.addEventListener('ui:reset-to-noise', handleResetToNoise)
   
+  // Handle sound library and playlist
+  document.addEventListener('ui:library-play', handleLibraryPlay)
+  document.addEventListener('ui:library-rename', handleLibraryRename)
+  document.addEventListener('ui:library-delete', handleLibraryDelete)
+  document.addEventListener('ui:playlist-play', handlePlaylistPlay)
+  
   // Handle intensity slider
   document.addEventListener('ui:intensity', handleIntensityChange)
   
+  // Handle settings changes
+  document.addEventListener('ui:settings', handleSettingsChange)
+  
+  // Handle calibration controls
+  document.addEventListener('ui:calibrate', handleCalibrate)
+  document.addEventListener('ui:calibration-reset', handleCalibrationReset)
+  
+  // Handle custom mapping preset files
+  document.addEventListener('ui:preset-file', handlePresetFile)
+  
+  // Handle noise fingerprint deletion
+  document.addEventListener('ui:fingerprint-delete', handleFingerprintDelete)
+  
+  // Handle offline WAV export
+  document.addEventListener('ui:export', handleExport)
+  
+  // Listen for the session timer button
+  document.addEventListener('ui:session', handleSessionToggle)
+  
   // Handle start button
   const startButton = document.getElementById('start-button')
   if (startButton) {
@@ -112,12 +235,19 @@ function setupEventListeners() {
 
 // Handle cadence update events
 function handleCadenceUpdate(event) {
-  const { lastIkiMs, emaIkiMs, lastKeyAt } = event.detail
+  const { lastIkiMs, emaIkiMs, effectiveIkiMs, isIdle, lastKeyAt, medianIkiMs, ikiJitterMs, burstLength, pauseCount, wpm } = event.detail
   
   // Log metrics to console with visibility state
   console.log('Cadence Update:', {
     lastIkiMs: lastIkiMs !== null ? `${lastIkiMs.toFixed(1)}ms` : 'N/A',
     emaIkiMs: emaIkiMs !== null ? `${emaIkiMs.toFixed(1)}ms` : 'N/A',
+    effectiveIkiMs: effectiveIkiMs !== null ? `${effectiveIkiMs.toFixed(1)}ms` : 'N/A',
+    isIdle,
+    medianIkiMs: medianIkiMs !== null ? `${medianIkiMs.toFixed(1)}ms` : 'N/A',
+    jitter: ikiJitterMs !== null ? `${ikiJitterMs.toFixed(1)}ms` : 'N/A',
+    wpm: wpm !== null ? wpm.toFixed(0) : 'N/A',
+    burstLength,
+    pauseCount,
     lastKeyAt: lastKeyAt !== null ? new Date(lastKeyAt).toLocaleTimeString() : 'N/A',
     tabHidden: document.hidden,
     audioRunning: audioEngine ? audioEngine.isRunning() : false
@@ -128,26 +258,30 @@ function handleCadenceUpdate(event) {
     devCadenceReceived = true
   }
   
-  // Map IKI to parameters
-  if (emaIkiMs !== null) {
+  // Map metrics to parameters (effective IKI relaxes toward rest while idle)
+  if (effectiveIkiMs !== null && mappingEngine) {
     const lightIntensity = getIntensity() // Now controls light intensity
     
-    // Get mapped parameters
-    const mappedAudioParams = audioEngine ? mapIkiToAudioParams(emaIkiMs, audioEngine) : null
-    const mappedVisualParams = visualScene ? mapIkiToVisualParams(emaIkiMs, visualScene) : null
+    // Get mapped target values from the active preset
+    const mapped = mappingEngine.map(event.detail)
+    const timeConstants = mappingEngine.getTimeConstants()
     
-    // Apply audio parameters directly (no intensity blending)
-    if (mappedAudioParams && audioEngine && audioEngine.isRunning()) {
-      audioEngine.setParams(mappedAudioParams)
-      console.log('Audio parameters updated:', mappedAudioParams)
+    // Apply audio parameters directly (no intensity blending), gliding with the preset's time constants
+    if (hasAudioGraph() && Object.keys(mapped.audio).length > 0) {
+      const audioParams = { ...mapped.audio, timeConstants: timeConstants.audio }
+      audioEngine.setParams(audioParams)
+      console.log('Audio parameters updated:', audioParams)
     }
     
-    // Apply visual parameters with light intensity control
-    if (mappedVisualParams && visualScene) {
+    // Apply visual parameters with light intensity control (the scene smooths them per frame)
+    if (visualScene) {
       const visualParams = {
-        ...mappedVisualParams,
-        lightIntensity: lightIntensity, // Pass light intensity to visual scene
-        breathHz: mappedAudioParams ? mappedAudioParams.breathHz : 0.08 // Sync with audio breathing
+        ...mapped.visual,
+        lightIntensity // Pass light intensity to visual scene (lightScale dims it by typing state)
+      }
+      // Sync with audio breathing
+      if (mapped.audio.breathHz !== undefined) {
+        visualParams.breathHz = mapped.audio.breathHz
       }
       visualScene.setParams(visualParams)
       console.log('Visual parameters updated:', visualParams)
@@ -155,19 +289,211 @@ function handleCadenceUpdate(event) {
   }
 }
 
+// Handle typing pause - scene and audio relax via the decaying effective IKI
+function handleCadenceIdle(event) {
+  console.log('Cadence idle - relaxing from EMA', event.detail.emaIkiMs.toFixed(1) + 'ms')
+}
+
+// Handle typing resuming after an idle period
+function handleCadenceResume(event) {
+  console.log('Cadence resumed after', (event.detail.idleDurationMs / 1000).toFixed(1) + 's idle')
+}
+
+// Play each input as a note when typing sounds are on (the engine skips
+// classes without a note, such as modifiers and pointer movement)
+function handleCadenceInput(event) {
+  if (audioEngine) {
+    audioEngine.playKeystroke(event.detail.keyClass, event.detail.ikiMs)
+  }
+}
+
+// Handle typing state changes - presets react through the snapshot's state field
+function handleCadenceState(event) {
+  const { state, previousState } = event.detail
+  console.log('Typing state:', previousState || 'none', '→', state)
+}
+
+// Resolve the preset selected in settings
+function resolveMappingPreset(settings) {
+  if (settings.mappingPreset === 'custom' && settings.customPreset) {
+    return settings.customPreset
+  }
+  return PRESETS[settings.mappingPreset] || PRESETS[DEFAULT_PRESET_ID]
+}
+
+// Create the mapping engine (falls back to the default preset if the saved one is invalid)
+function setupMappingEngine() {
+  try {
+    mappingEngine = createMappingEngine(resolveMappingPreset(getSettings()))
+  } catch (error) {
+    console.error('Saved mapping preset is invalid, using default:', error)
+    mappingEngine = createMappingEngine(PRESETS[DEFAULT_PRESET_ID])
+    updatePresetStatus(error.message)
+  }
+  console.log('Mapping preset:', mappingEngine.getPreset().name)
+}
+
+// Give the scene the preset's time constants (breath follows the audio LFO's)
+function applySceneSmoothing() {
+  if (!visualScene || !mappingEngine) return
+  
+  const { audio, visual } = mappingEngine.getTimeConstants()
+  visualScene.setSmoothing(audio.breathHz ? { ...visual, breathHz: audio.breathHz } : visual)
+}
+
+// Switch the mapping engine to the preset selected in settings
+function applyMappingPreset(settings) {
+  try {
+    mappingEngine.setPreset(resolveMappingPreset(settings))
+    applySceneSmoothing()
+    updatePresetStatus(`Using ${mappingEngine.getPreset().name}`)
+  } catch (error) {
+    console.error('Error applying mapping preset:', error)
+    updatePresetStatus(error.message)
+  }
+}
+
+// Handle a user-supplied preset file (already parsed by the settings panel)
+function handlePresetFile(event) {
+  const { preset, error } = event.detail
+  if (error) {
+    updatePresetStatus(`Could not read preset: ${error}`)
+    return
+  }
+  
+  try {
+    // Validate before it replaces anything
+    createMappingEngine(preset)
+    updateSettings({ customPreset: preset, mappingPreset: 'custom' })
+  } catch (validationError) {
+    updatePresetStatus(validationError.message)
+  }
+}
+
 // Start cadence analyzer
 function startCadenceAnalyzer() {
   try {
-    startCadence()
+    stateClassifier = createStateClassifier()
+    startCadence({
+      sources: createInputSources(getSettings().inputSources),
+      classifier: stateClassifier
+    })
     console.log('Cadence analyzer started - start typing to see metrics!')
   } catch (error) {
     console.error('Failed to start cadence analyzer:', error)
   }
 }
 
+// Apply an IKI range to both mappings
+function applyIkiRange(range) {
+  if (mappingEngine) {
+    mappingEngine.setIkiRange(range)
+  }
+  if (stateClassifier) {
+    stateClassifier.setIkiRange(range)
+  }
+}
+
+// Format a range for status text
+function formatIkiRange(range) {
+  return `${Math.round(range.min)}–${Math.round(range.max)} ms`
+}
+
+// Apply saved calibration and start background recalibration
+function setupCalibration() {
+  const saved = loadCalibration()
+  const range = saved ? { min: saved.min, max: saved.max } : DEFAULT_IKI_RANGE
+  applyIkiRange(range)
+  updateCalibrationStatus(saved ? `Your range: ${formatIkiRange(range)}` : 'Using default range')
+  
+  const analyzer = getCadenceAnalyzer()
+  if (!analyzer) return
+  
+  backgroundCalibrator = createBackgroundCalibrator(analyzer, {
+    initialRange: range,
+    onChange: (nextRange) => {
+      applyIkiRange(nextRange)
+      if (!calibrationSession || !calibrationSession.isRunning()) {
+        updateCalibrationStatus(`Your range: ${formatIkiRange(nextRange)}`)
+      }
+      console.log('IKI range recalibrated:', nextRange)
+    }
+  })
+  backgroundCalibrator.start()
+}
+
+// Start (or cancel) the guided 60-second calibration
+function handleCalibrate() {
+  if (calibrationSession && calibrationSession.isRunning()) {
+    calibrationSession.cancel()
+    calibrationSession = null
+    updateCalibrationStatus('Calibration cancelled')
+    return
+  }
+  
+  const analyzer = getCadenceAnalyzer()
+  if (!analyzer) {
+    updateCalibrationStatus('Cadence analyzer not available')
+    return
+  }
+  
+  calibrationSession = createCalibrationSession(analyzer, {
+    onProgress: (remainingMs, sampleCount) => {
+      updateCalibrationStatus(`Keep typing naturally… ${Math.ceil(remainingMs / 1000)}s left · ${sampleCount} keys`, true)
+    },
+    onComplete: (calibration) => {
+      calibrationSession = null
+      if (!calibration) {
+        updateCalibrationStatus('Not enough typing - please try again')
+        return
+      }
+      
+      applyIkiRange(calibration)
+      if (backgroundCalibrator) {
+        backgroundCalibrator.setRange(calibration)
+      }
+      updateCalibrationStatus(`Calibrated: ${formatIkiRange(calibration)}`)
+    }
+  })
+  calibrationSession.start()
+  updateCalibrationStatus('Start typing naturally…', true)
+}
+
+// Forget calibration and return to the default range
+function handleCalibrationReset() {
+  if (calibrationSession) {
+    calibrationSession.cancel()
+    calibrationSession = null
+  }
+  
+  clearCalibration()
+  applyIkiRange(DEFAULT_IKI_RANGE)
+  if (backgroundCalibrator) {
+    backgroundCalibrator.setRange(DEFAULT_IKI_RANGE)
+  }
+  updateCalibrationStatus('Using default range')
+}
+
 // Prepare audio engine (but don't start)
 function prepareAudioEngine() {
   audioEngine = createAudioEngine()
+  audioEngine.setNoiseColor(getSettings().noiseColor)
+  audioEngine.setBreathPattern(getSettings().breathPattern)
+  applyMixerGains(getSettings().mixer)
+  applyFingerprint(getSettings())
+  audioEngine.setMusicBedEnabled(getSettings().uploadMode === 'music')
+  audioEngine.setMusicBalance(getSettings().musicBalance)
+  audioEngine.setCrossfadeDuration(getSettings().crossfadeMs)
+  audioEngine.setExposureTracking(getSettings().exposureTracking)
+  audioEngine.setBellLevel(getSettings().bellLevel)
+  applyKeySounds(getSettings())
+  audioEngine.setReverbSpace(getSettings().reverbSpace)
+  audioEngine.setReverbMix(getSettings().reverbMix)
+  
+  // The scene's breath follows the audio's master clock while it plays
+  if (visualScene) {
+    visualScene.setBreathClock(audioEngine.getBreathClock())
+  }
   console.log('Audio engine prepared')
 }
 
@@ -178,13 +504,16 @@ async function tryStartAudioImmediately() {
   try {
     console.log('Starting audio immediately on page load...')
     await audioEngine.start()
-    hasStartedAudio = true
-    console.log('Audio started successfully on page load!')
+    hasStartedAudio = hasAudioGraph()
+    if (hasStartedAudio) {
+      // The engine resumes by itself on the first gesture if autoplay was blocked
+      console.log('Audio started on page load:', audioEngine.getState())
+      restoreLibrarySound()
+    }
     
     // DEV: Log audio start result
     if (DEV) {
-      devAudioStartResult = 'immediate'
-      updateStatusChip('calm-flow · visuals running · audio playing')
+      devAudioStartResult = audioEngine.isRunning() ? 'immediate' : 'fallback_needed'
     }
   } catch (error) {
     console.error('Failed to start audio on page load:', error)
@@ -192,7 +521,6 @@ async function tryStartAudioImmediately() {
     // DEV: Log fallback needed
     if (DEV) {
       devAudioStartResult = 'fallback_needed'
-      updateStatusChip('calm-flow · visuals running · audio ready')
     }
     
     // Audio will start on first user interaction as fallback
@@ -212,6 +540,7 @@ function setupAudioAutoplayListeners() {
       try {
         await audioEngine.start()
         console.log('Audio started successfully after user interaction!')
+        restoreLibrarySound()
       } catch (error) {
         console.error('Failed to start audio after user interaction:', error)
       }
@@ -256,6 +585,7 @@ async function handleFileSelected(event) {
   
   try {
     updateStatus('Decoding...')
+    stopPlaylist()
     
     // Ensure audio engine is running
     if (!audioEngine || !audioEngine.isRunning()) {
@@ -266,10 +596,13 @@ async function handleFileSelected(event) {
     const arrayBuffer = await file.arrayBuffer()
     const audioBuffer = await audioEngine.audioContext.decodeAudioData(arrayBuffer)
     
-    // Switch to user buffer
-    await audioEngine.useUserBuffer(audioBuffer)
+    // Keep the file in the library (it still plays if storage fails)
+    const sound = await addSound(file).catch((error) => {
+      console.warn('Could not save sound to library:', error)
+      return { id: null, name: file.name, analysis: null, fingerprint: null }
+    })
     
-    updateStatus('Playing pink noise with rhythm from your audio')
+    await playUserSound(audioBuffer, sound)
     hideFileInput()
     
     // Auto-close panel after 3 seconds
@@ -288,10 +621,197 @@ async function handleFileSelected(event) {
   }
 }
 
+// Play a decoded sound: rhythm (from the cached analysis when the library has
+// one), optional timbre matching and status text. sound is its library record
+// (id null when it couldn't be saved). Returns the engine's rhythm result
+async function playUserSound(audioBuffer, sound) {
+  // Switch to user buffer (analysis takes a moment on long tracks)
+  updateStatus(sound.analysis ? `Loading ${sound.name}...` : 'Analyzing rhythm...')
+  const rhythm = await audioEngine.useUserBuffer(audioBuffer, { analysis: sound.analysis })
+  
+  // Shape the noise like the track and keep the profile as a fingerprint,
+  // measured on the trimmed loop that plays so its envelope loops with it
+  const timbre = getSettings().matchTimbre ? ' with its timbre' : ''
+  const fingerprint = timbre ? await matchTimbre(rhythm ? rhythm.track : audioBuffer, sound.name, sound.fingerprint) : sound.fingerprint
+  
+  // Cache analysis results with the library sound and remember it for the next visit
+  if (sound.id && rhythm) {
+    if (rhythm.analysis !== sound.analysis || fingerprint !== sound.fingerprint) {
+      updateSound(sound.id, { analysis: rhythm.analysis, fingerprint }).catch((error) => {
+        console.warn('Could not cache sound analysis:', error)
+      })
+    }
+    updateSettings({ librarySoundId: sound.id })
+    refreshLibrary()
+  }
+  
+  const playing = rhythm && rhythm.musicBed ? `your track under pink noise${timbre}` : `pink noise${timbre}`
+  if (rhythm && rhythm.beatLocked) {
+    updateStatus(`Playing ${playing} locked to ${Math.round(rhythm.tempo)} BPM (${Math.round(rhythm.confidence * 100)}% confidence)`)
+  } else {
+    updateStatus(`Playing ${playing} following your audio's dynamics`)
+  }
+  return rhythm
+}
+
+// Show the library in the Upload panel, dropping deleted sounds from the playlist
+async function refreshLibrary() {
+  try {
+    const sounds = await listSounds()
+    const ids = sounds.map(sound => sound.id)
+    const { playlist: playlistIds, librarySoundId } = getSettings()
+    if (playlistIds.some(id => !ids.includes(id))) {
+      updateSettings({ playlist: playlistIds.filter(id => ids.includes(id)) })
+    }
+    updateLibraryList(sounds, librarySoundId)
+  } catch (error) {
+    console.warn('Could not load sound library:', error)
+    updateLibraryList([])
+  }
+}
+
+// Decode and play a library sound; returns the rhythm result
+async function playLibrarySound(id) {
+  if (!audioEngine.isRunning()) {
+    await audioEngine.start()
+  }
+  
+  const [sound, blob] = await Promise.all([getSound(id), getSoundAudio(id)])
+  if (!sound || !blob) {
+    throw new Error('Sound not found in library')
+  }
+  
+  updateStatus(`Decoding ${sound.name}...`)
+  const audioBuffer = await audioEngine.audioContext.decodeAudioData(await blob.arrayBuffer())
+  const rhythm = await playUserSound(audioBuffer, sound)
+  hideFileInput()
+  return rhythm
+}
+
+// Resume the library sound that was playing before the last reload
+async function restoreLibrarySound() {
+  const id = getSettings().librarySoundId
+  if (!id || hasRestoredSound) return
+  hasRestoredSound = true
+  
+  try {
+    await playLibrarySound(id)
+  } catch (error) {
+    console.warn('Could not restore library sound:', error)
+    updateSettings({ librarySoundId: null })
+  }
+}
+
+// Handle picking a sound in the library
+async function handleLibraryPlay(event) {
+  stopPlaylist()
+  hasRestoredSound = true
+  
+  try {
+    await playLibrarySound(event.detail.id)
+  } catch (error) {
+    console.error('Error playing library sound:', error)
+    updateStatus('Error: Could not play sound')
+  }
+}
+
+// Handle renaming a library sound
+async function handleLibraryRename(event) {
+  const { id, name } = event.detail
+  try {
+    await updateSound(id, { name })
+  } catch (error) {
+    console.error('Error renaming sound:', error)
+  }
+  refreshLibrary()
+}
+
+// Handle deleting a library sound (a sound that is playing keeps playing)
+async function handleLibraryDelete(event) {
+  const { id } = event.detail
+  try {
+    await deleteSound(id)
+    if (getSettings().librarySoundId === id) {
+      updateSettings({ librarySoundId: null })
+    }
+  } catch (error) {
+    console.error('Error deleting sound:', error)
+  }
+  refreshLibrary()
+}
+
+// Play the ticked library sounds in turn
+function handlePlaylistPlay() {
+  const ids = getSettings().playlist
+  if (ids.length === 0) {
+    updateStatus('Tick sounds in the library to build a playlist')
+    return
+  }
+  
+  stopPlaylist()
+  hasRestoredSound = true
+  playlist = createPlaylist(ids, {
+    play: async (id) => {
+      const rhythm = await playLibrarySound(id)
+      return rhythm ? rhythm.duration : null
+    },
+    getCrossfadeSeconds: () => getSettings().crossfadeMs / 1000
+  })
+  playlist.start()
+}
+
+// Stop advancing through the playlist (the current sound keeps playing)
+function stopPlaylist() {
+  if (playlist) {
+    playlist.stop()
+    playlist = null
+  }
+}
+
+// Extract a noise fingerprint from an uploaded track (or reuse the one cached
+// in the library when it was measured on the same loop), save it and select
+// it. Resolves to the fingerprint
+async function matchTimbre(audioBuffer, name, cachedFingerprint = null) {
+  const cached = cachedFingerprint && Math.abs(cachedFingerprint.duration - audioBuffer.duration) < FINGERPRINT_DURATION_TOLERANCE
+  const fingerprint = cached ? cachedFingerprint : await createNoiseFingerprint(audioBuffer, { name })
+  const saved = saveFingerprint(fingerprint)
+  updateFingerprintOptions(loadFingerprints())
+  
+  if (saved) {
+    updateSettings({ fingerprintId: saved.id })
+  } else {
+    // Storage unavailable - still apply it for this session
+    audioEngine.setSpectralFingerprint(fingerprint, { followEnvelope: getSettings().followSpectrum })
+  }
+  return fingerprint
+}
+
+// Shape the noise with the fingerprint selected in settings
+function applyFingerprint(settings) {
+  if (!audioEngine) return
+  
+  const fingerprint = settings.fingerprintId ? getFingerprint(settings.fingerprintId) : null
+  audioEngine.setSpectralFingerprint(fingerprint, { followEnvelope: settings.followSpectrum })
+}
+
+// Handle deleting the selected noise fingerprint
+function handleFingerprintDelete(event) {
+  deleteFingerprint(event.detail.id)
+  updateFingerprintOptions(loadFingerprints())
+  
+  if (getSettings().fingerprintId === event.detail.id) {
+    updateSettings({ fingerprintId: null })
+  }
+}
+
 // Handle reset to noise
 async function handleResetToNoise() {
   try {
-    if (audioEngine && audioEngine.isRunning()) {
+    stopPlaylist()
+    updateSettings({ librarySoundId: null })
+    refreshLibrary()
+    
+    if (hasAudioGraph()) {
       await audioEngine.useNoiseSource()
       updateStatus('Playing built-in noise')
       showFileInput()
@@ -330,13 +850,236 @@ function handleIntensityChange(event) {
   
   // Apply light intensity directly to visual scene
   if (visualScene) {
-    visualScene.setParams({ lightIntensity: lightIntensity })
+    visualScene.setParams({ lightIntensity })
     console.log('Applied light intensity to visual scene:', lightIntensity)
   } else {
     console.warn('Visual scene not available for light intensity update')
   }
 }
 
+// Handle settings panel changes
+function handleSettingsChange(event) {
+  const { settings, changed } = event.detail
+  
+  // Swap cadence input sources
+  if (changed.includes('inputSources')) {
+    const analyzer = getCadenceAnalyzer()
+    if (analyzer) {
+      analyzer.setSources(createInputSources(settings.inputSources))
+    }
+  }
+  
+  // Crossfade to the new noise color
+  if (changed.includes('noiseColor') && audioEngine) {
+    audioEngine.setNoiseColor(settings.noiseColor)
+  }
+  
+  // Breathe the new pattern in both sound and visuals
+  if (changed.includes('breathPattern')) {
+    if (audioEngine) audioEngine.setBreathPattern(settings.breathPattern)
+    if (visualScene) visualScene.setBreathPattern(settings.breathPattern)
+  }
+  
+  // Apply the selected noise fingerprint
+  if (changed.includes('fingerprintId') || changed.includes('followSpectrum')) {
+    applyFingerprint(settings)
+  }
+  
+  // Play uploaded tracks as a music bed, or for rhythm only
+  if (changed.includes('uploadMode') && audioEngine) {
+    audioEngine.setMusicBedEnabled(settings.uploadMode === 'music')
+  }
+  
+  // Set the source crossfade
+  if (changed.includes('crossfadeMs') && audioEngine) {
+    audioEngine.setCrossfadeDuration(settings.crossfadeMs)
+  }
+  
+  // Set the noise/music balance
+  if (changed.includes('musicBalance') && audioEngine) {
+    audioEngine.setMusicBalance(settings.musicBalance)
+  }
+  
+  // Set the reverb space and wet/dry mix
+  if (changed.includes('reverbSpace') && audioEngine) {
+    audioEngine.setReverbSpace(settings.reverbSpace)
+  }
+  if (changed.includes('reverbMix') && audioEngine) {
+    audioEngine.setReverbMix(settings.reverbMix)
+  }
+  
+  // Set up typing sounds
+  if (['keySounds', 'keySoundVoice', 'keySoundQuantize', 'keySoundLevel'].some(key => changed.includes(key)) && audioEngine) {
+    applyKeySounds(settings)
+  }
+  
+  // Set the bell volume (sit length and interval apply to the next sit)
+  if (changed.includes('bellLevel') && audioEngine) {
+    audioEngine.setBellLevel(settings.bellLevel)
+  }
+  
+  // Start or stop the exposure estimate
+  if (changed.includes('exposureTracking') && audioEngine) {
+    audioEngine.setExposureTracking(settings.exposureTracking)
+  }
+  
+  // Set soundscape mixer levels
+  if (changed.includes('mixer')) {
+    applyMixerGains(settings.mixer)
+  }
+  
+  // Switch mapping preset
+  if (changed.includes('mappingPreset') || changed.includes('customPreset')) {
+    applyMappingPreset(settings)
+  }
+}
+
+// Set audio mixer levels (base noise and soundscape layers)
+function applyMixerGains(mixer) {
+  if (!audioEngine) return
+  
+  for (const [name, value] of Object.entries(mixer)) {
+    audioEngine.setMixerGain(name, value)
+  }
+}
+
+// Show the output level and warn about prolonged loud output or a used-up
+// exposure allowance
+function checkOutputLevel() {
+  const readings = audioEngine ? audioEngine.getLoudness() : null
+  if (!readings) return
+  
+  const exposure = readings.exposure ? estimateExposure(readings.exposure, getSettings().fullScaleDb) : null
+  updateLevelMeter(readings, exposure)
+  
+  if (exposure && exposure.dose >= 1) {
+    updateLevelWarning('Estimated sound exposure has reached a full day\'s allowance - take a break or turn the volume down')
+  } else if (readings.loudSeconds >= LOUD_WARNING_SECONDS) {
+    updateLevelWarning(`Output has been loud for ${Math.floor(readings.loudSeconds / 60)}+ min - consider turning it down`)
+  } else {
+    updateLevelWarning(null)
+  }
+}
+
+// Show the phase error between the visible and the audible breath
+function checkBreathSync() {
+  if (!visualScene) return
+  
+  const error = visualScene.getPhaseError()
+  if (error === null) {
+    updateBreathSyncStatus('Visuals breathe on their own until the audio plays')
+  } else {
+    const ms = Math.round(Math.abs(error) * 1000)
+    updateBreathSyncStatus(`Visual breath ${ms} ms ${error < 0 ? 'behind' : 'ahead of'} the sound`)
+  }
+}
+
+// Pass the typing sound settings to the audio engine
+function applyKeySounds(settings) {
+  audioEngine.setKeySounds({
+    enabled: settings.keySounds,
+    voice: settings.keySoundVoice,
+    quantize: settings.keySoundQuantize,
+    level: settings.keySoundLevel
+  })
+}
+
+// Format seconds as m:ss
+function formatClock(seconds) {
+  const whole = Math.max(Math.ceil(seconds), 0)
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`
+}
+
+// Start a timed sit with the bells from settings, or end the one running
+async function handleSessionToggle() {
+  if (!audioEngine) return
+  
+  if (audioEngine.getSessionTimer()) {
+    audioEngine.stopSessionTimer()
+    return
+  }
+  
+  // The start bell should be heard, so get the audio playing first
+  // (start() reports its own failures and leaves the engine stopped)
+  await audioEngine.start()
+  if (!hasAudioGraph()) {
+    updateSessionStatus('Could not start audio')
+    return
+  }
+  await audioEngine.resume()
+  
+  const { sessionMinutes, bellIntervalMinutes } = getSettings()
+  const started = audioEngine.startSessionTimer({
+    durationSeconds: sessionMinutes * 60,
+    intervalSeconds: bellIntervalMinutes * 60
+  })
+  if (!started) {
+    updateSessionStatus('Could not start the session')
+  }
+}
+
+// Follow the session timer: a countdown while it runs, a note when it ends
+function handleSessionEvent(event) {
+  const { state, durationSeconds } = event.detail
+  
+  if (sessionMonitorId !== null) {
+    clearInterval(sessionMonitorId)
+    sessionMonitorId = null
+  }
+  
+  if (state === 'started') {
+    sessionMonitorId = setInterval(checkSessionTimer, SESSION_POLL_MS)
+    checkSessionTimer()
+  } else if (state === 'ended') {
+    updateSessionStatus(`Sat for ${Math.round(durationSeconds / 60)} min`)
+  } else {
+    updateSessionStatus('Sit ended early')
+  }
+}
+
+// Show the time left in the sit and until the next bell
+function checkSessionTimer() {
+  const timer = audioEngine ? audioEngine.getSessionTimer() : null
+  if (!timer) return
+  
+  const left = `${formatClock(timer.durationSeconds - timer.elapsedSeconds)} left`
+  const nextBell = timer.nextBell && timer.nextBell.kind === 'interval'
+    ? ` · next bell in ${formatClock(timer.nextBell.at - timer.elapsedSeconds)}`
+    : ''
+  updateSessionStatus(left + nextBell, true)
+}
+
+// Audio graph is up (playing, or suspended until the browser lets it play)
+function hasAudioGraph() {
+  const state = audioEngine ? audioEngine.getState() : null
+  return state === 'running' || state === 'suspended'
+}
+
+// Reflect the audio engine's lifecycle in the status chip
+function handleAudioState(event) {
+  const { state, reason } = event.detail
+  
+  if (state === 'running') {
+    updateStatusChip('calm-flow · visuals running · audio playing')
+  } else if (state === 'suspended') {
+    updateStatusChip(reason === 'user' ? 'calm-flow · visuals running · audio paused' : 'calm-flow · visuals running · audio ready')
+  } else if (state === 'starting' && reason) {
+    updateStatusChip('calm-flow · visuals running · audio reconnecting')
+  } else if (state === 'stopped') {
+    updateStatusChip('calm-flow · visuals running · audio stopped')
+  }
+}
+
+// Audio couldn't start or recover - offer the start button to try again
+function handleAudioError(event) {
+  console.warn('Audio engine error:', event.detail.reason, event.detail.error)
+  
+  const startButton = document.getElementById('start-button')
+  if (startButton) {
+    startButton.classList.remove('hidden')
+  }
+}
+
 // Update status chip
 function updateStatusChip(text) {
   const statusChip = document.getElementById('status-chip')
@@ -409,9 +1152,161 @@ function devSanityChecks() {
   }, 5000)
 }
 
+// Start recording keystroke timing from the cadence analyzer
+function startSessionRecording() {
+  const analyzer = getCadenceAnalyzer()
+  if (!analyzer) {
+    console.warn('Cadence analyzer not available for recording')
+    return
+  }
+  
+  cadenceRecorder = createCadenceRecorder(analyzer)
+  cadenceRecorder.start()
+}
+
+// Stop recording and return the trace
+function stopSessionRecording() {
+  if (!cadenceRecorder) {
+    console.warn('No cadence recording in progress')
+    return null
+  }
+  
+  return cadenceRecorder.stop()
+}
+
+// Download the last recorded trace as JSON or NDJSON
+function downloadSessionTrace(format = 'json') {
+  const trace = cadenceRecorder ? cadenceRecorder.getTrace() : null
+  if (!trace) {
+    console.warn('No cadence trace recorded')
+    return
+  }
+  
+  downloadBlob(new Blob([serializeTrace(trace, format)], { type: 'application/json' }), `calm-flow-session.${format}`)
+}
+
+// Save a Blob as a file download
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Render minutes of audio offline (preset at rest, or following a trace) and download it as WAV
+async function handleExport(event) {
+  const { minutes, automation, traceText } = event.detail
+  if (isExporting || !mappingEngine) return
+  
+  let trace = null
+  if (automation === 'trace') {
+    try {
+      trace = traceText ? parseTrace(traceText) : (cadenceRecorder ? cadenceRecorder.getTrace() : null)
+    } catch (error) {
+      updateExportStatus(`Could not read trace: ${error.message}`)
+      return
+    }
+    if (!trace || trace.events.length < 2) {
+      updateExportStatus('Choose a trace file or record a session first')
+      return
+    }
+  }
+  
+  const settings = getSettings()
+  isExporting = true
+  updateExportStatus('Rendering…', true)
+  
+  try {
+    const { buffer, length } = await renderSession({
+      minutes,
+      preset: mappingEngine.getPreset(),
+      ikiRange: mappingEngine.getState().ikiRange,
+      trace,
+      noiseColor: settings.noiseColor,
+      breathPatternId: settings.breathPattern,
+      reverbSpaceId: settings.reverbSpace,
+      reverbMix: settings.reverbMix,
+      fingerprint: settings.fingerprintId ? getFingerprint(settings.fingerprintId) : null,
+      onProgress: (fraction) => updateExportStatus(`Rendering… ${Math.round(fraction * 100)}%`, true)
+    })
+    downloadBlob(new Blob([encodeWav(buffer, { length })], { type: 'audio/wav' }), `calm-flow-${minutes}min.wav`)
+    updateExportStatus(`Saved a ${minutes}-minute WAV`)
+  } catch (error) {
+    console.error('Error rendering session:', error)
+    updateExportStatus(`Could not render: ${error.message}`)
+  } finally {
+    isExporting = false
+  }
+}
+
+// Replay a trace (object, JSON or NDJSON text) through the cadence analyzer
+function replaySessionTrace(trace, options = {}) {
+  const analyzer = getCadenceAnalyzer()
+  if (!analyzer) {
+    console.warn('Cadence analyzer not available for replay')
+    return
+  }
+  
+  stopSessionReplay()
+  cadenceReplay = createCadenceReplay(typeof trace === 'string' ? parseTrace(trace) : trace, analyzer, options)
+  cadenceReplay.start()
+}
+
+// Stop the running replay
+function stopSessionReplay() {
+  if (cadenceReplay) {
+    cadenceReplay.stop()
+    cadenceReplay = null
+  }
+}
+
+// DEV: Expose session recording/replay on window for demos and bug reports
+function devExposeSessionTools() {
+  if (!DEV) return
+  
+  window.calmFlow = {
+    startRecording: startSessionRecording,
+    stopRecording: stopSessionRecording,
+    downloadTrace: downloadSessionTrace,
+    replay: replaySessionTrace,
+    stopReplay: stopSessionReplay
+  }
+  console.log('DEV: Session tools available as window.calmFlow')
+}
+
 // Cleanup function - idempotent and safe
 function cleanup() {
   try {
+    // Stop any replay before the analyzer goes away
+    stopSessionReplay()
+    stopPlaylist()
+    
+    // Stop level monitoring
+    if (levelMonitorId !== null) {
+      clearInterval(levelMonitorId)
+      levelMonitorId = null
+    }
+    if (breathSyncMonitorId !== null) {
+      clearInterval(breathSyncMonitorId)
+      breathSyncMonitorId = null
+    }
+    if (sessionMonitorId !== null) {
+      clearInterval(sessionMonitorId)
+      sessionMonitorId = null
+    }
+    
+    // Stop calibration
+    if (calibrationSession) {
+      calibrationSession.cancel()
+      calibrationSession = null
+    }
+    if (backgroundCalibrator) {
+      backgroundCalibrator.stop()
+      backgroundCalibrator = null
+    }
+    
     // Stop cadence analyzer
     stopCadence()
     
@@ -428,8 +1323,9 @@ function cleanup() {
     }
     
     // Reset mapping state
-    resetMapping()
-    resetVisualMapping()
+    if (mappingEngine) {
+      mappingEngine.reset()
+    }
     
     console.log('Application cleanup completed')
   } catch (error) {
@@ -0,0 +1,479 @@
+// Offline analysis of uploaded audio
+// Spectral-flux onset detection, tempo estimation with confidence, a beat grid
+// (dynamic-programming beat tracker), the track's energy contour and its
+// spectral profile (long-term and over time) for timbre matching.
+// Pure functions over sample arrays - no Web Audio nodes involved.
+
+// Bumped when results change, so cached analyses are redone
+export const ANALYSIS_VERSION = 2
+
+const ANALYSIS_RATE = 22050 // Tracks are downsampled to about this rate before analysis
+const FRAME_SIZE = 1024
+const HOP_SIZE = 256
+const MIN_BPM = 60
+const MAX_BPM = 180
+const PREFERRED_BPM = 110 // Center of the tempo prior (resolves half/double ambiguity)
+const TEMPO_PRIOR_OCTAVES = 1.0 // Width of the log-normal tempo prior
+const BEAT_TIGHTNESS = 100 // How strongly the beat tracker sticks to the tempo
+const ONSET_THRESHOLD_FRAMES = 8 // Half-width of the moving window for onset thresholds
+const ONSET_LATENCY_SAMPLES = FRAME_SIZE / 2 + HOP_SIZE // Onsets fall this far after the start of the frame whose flux peaks on them
+const ENERGY_SMOOTH_SECONDS = 1.0
+
+// Spectral profile: log-spaced bands, measured relative to pink noise
+const PROFILE_FRAME_SIZE = 4096
+const PROFILE_MAX_FRAMES = 400 // Frames averaged for the long-term spectrum
+const PROFILE_MAX_GAIN_DB = 15
+const PROFILE_SILENCE_RMS = 1e-4
+const ENVELOPE_HOP_SECONDS = 0.25
+const BAND_COUNT = 20
+const LOWEST_BAND_HZ = 50
+const HIGHEST_BAND_HZ = 16000
+
+// Band centers (Hz) shared by profiles and the filter bank that applies them
+export const SPECTRAL_BANDS = Array.from({ length: BAND_COUNT }, (_, i) =>
+  LOWEST_BAND_HZ * Math.pow(HIGHEST_BAND_HZ / LOWEST_BAND_HZ, i / (BAND_COUNT - 1))
+)
+
+// Mix all channels down to mono and decimate to about ANALYSIS_RATE
+// Returns { samples, sampleRate }
+export function mixToMono(audioBuffer, targetRate = ANALYSIS_RATE) {
+  const factor = Math.max(1, Math.floor(audioBuffer.sampleRate / targetRate))
+  const length = Math.floor(audioBuffer.length / factor)
+  const samples = new Float32Array(length)
+  const channels = []
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c))
+  }
+
+  // Average each block of `factor` samples (a crude but adequate anti-alias filter)
+  const scale = 1 / (factor * channels.length)
+  for (let i = 0; i < length; i++) {
+    let sum = 0
+    for (const data of channels) {
+      for (let j = i * factor; j < (i + 1) * factor; j++) {
+        sum += data[j]
+      }
+    }
+    samples[i] = sum * scale
+  }
+
+  return { samples, sampleRate: audioBuffer.sampleRate / factor }
+}
+
+// Hann window of a given size
+function hannWindow(size) {
+  const window = new Float32Array(size)
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1))
+  }
+  return window
+}
+
+// In-place iterative radix-2 FFT (size must be a power of two)
+export function fft(real, imag) {
+  const n = real.length
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) {
+      j ^= bit
+    }
+    j ^= bit
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]]
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size
+    const stepReal = Math.cos(angle)
+    const stepImag = Math.sin(angle)
+
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1
+      let wImag = 0
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k
+        const b = a + size / 2
+        const tReal = real[b] * wReal - imag[b] * wImag
+        const tImag = real[b] * wImag + imag[b] * wReal
+        real[b] = real[a] - tReal
+        imag[b] = imag[a] - tImag
+        real[a] += tReal
+        imag[a] += tImag
+
+        const nextReal = wReal * stepReal - wImag * stepImag
+        wImag = wReal * stepImag + wImag * stepReal
+        wReal = nextReal
+      }
+    }
+  }
+}
+
+// Magnitude spectrum of the Hann-windowed frame starting at offset
+// Fills magnitudes (frameSize / 2) using the real/imag scratch arrays; returns the frame's RMS
+function frameSpectrum(samples, offset, window, real, imag, magnitudes) {
+  let sumSquares = 0
+  for (let i = 0; i < window.length; i++) {
+    const sample = samples[offset + i]
+    sumSquares += sample * sample
+    real[i] = sample * window[i]
+    imag[i] = 0
+  }
+
+  fft(real, imag)
+  for (let k = 0; k < magnitudes.length; k++) {
+    magnitudes[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k])
+  }
+
+  return Math.sqrt(sumSquares / window.length)
+}
+
+// Magnitude spectra of overlapping Hann-windowed frames
+// Calls onFrame(magnitudes, frameIndex, rms) for each frame; returns the frame count
+export function forEachSpectrum(samples, { frameSize = FRAME_SIZE, hopSize = HOP_SIZE, onFrame }) {
+  const window = hannWindow(frameSize)
+  const real = new Float32Array(frameSize)
+  const imag = new Float32Array(frameSize)
+  const magnitudes = new Float32Array(frameSize / 2)
+  const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1)
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const rms = frameSpectrum(samples, frame * hopSize, window, real, imag, magnitudes)
+    onFrame(magnitudes, frame, rms)
+  }
+
+  return frameCount
+}
+
+// Spectral flux (sum of positive log-magnitude increases) and RMS per frame
+// Returns { flux, rms, hopSeconds }
+export function computeSpectralFlux(samples, sampleRate, { frameSize = FRAME_SIZE, hopSize = HOP_SIZE } = {}) {
+  const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1)
+  const flux = new Float32Array(frameCount)
+  const rms = new Float32Array(frameCount)
+  let previous = null
+
+  forEachSpectrum(samples, {
+    frameSize,
+    hopSize,
+    onFrame(magnitudes, frame, frameRms) {
+      // Log compression makes quiet onsets count as much as loud ones
+      const current = magnitudes.map(m => Math.log1p(100 * m))
+      if (previous) {
+        let sum = 0
+        for (let k = 0; k < current.length; k++) {
+          const rise = current[k] - previous[k]
+          if (rise > 0) sum += rise
+        }
+        flux[frame] = sum
+      }
+      previous = current
+      rms[frame] = frameRms
+    }
+  })
+
+  return { flux, rms, hopSeconds: hopSize / sampleRate }
+}
+
+// Remove the slowly varying baseline and normalize to a peak of 1
+function normalizeOnsetStrength(flux) {
+  const result = new Float32Array(flux.length)
+  let peak = 0
+
+  for (let i = 0; i < flux.length; i++) {
+    let sum = 0
+    let count = 0
+    for (let j = Math.max(0, i - ONSET_THRESHOLD_FRAMES); j <= Math.min(flux.length - 1, i + ONSET_THRESHOLD_FRAMES); j++) {
+      sum += flux[j]
+      count++
+    }
+    result[i] = Math.max(flux[i] - sum / count, 0)
+    peak = Math.max(peak, result[i])
+  }
+
+  if (peak > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= peak
+    }
+  }
+  return result
+}
+
+// Onset times (seconds): local maxima of the onset strength above an adaptive threshold
+// latencySeconds moves them from the frame start to where the onset falls
+export function pickOnsets(strength, hopSeconds, { delta = 0.1, latencySeconds = 0 } = {}) {
+  const onsets = []
+
+  for (let i = 1; i < strength.length - 1; i++) {
+    if (strength[i] <= delta || strength[i] < strength[i - 1] || strength[i] < strength[i + 1]) continue
+
+    // Must exceed the local mean by delta
+    let sum = 0
+    let count = 0
+    for (let j = Math.max(0, i - ONSET_THRESHOLD_FRAMES); j <= Math.min(strength.length - 1, i + ONSET_THRESHOLD_FRAMES); j++) {
+      sum += strength[j]
+      count++
+    }
+    if (strength[i] >= sum / count + delta) {
+      onsets.push(i * hopSeconds + latencySeconds)
+    }
+  }
+
+  return onsets
+}
+
+// Tempo from the autocorrelation of the onset strength, weighted by a tempo prior
+// Returns { bpm, periodFrames, confidence } - confidence in [0, 1]
+export function estimateTempo(strength, hopSeconds, { minBpm = MIN_BPM, maxBpm = MAX_BPM } = {}) {
+  const minLag = Math.max(1, Math.floor(60 / (maxBpm * hopSeconds)))
+  const maxLag = Math.min(strength.length - 1, Math.ceil(60 / (minBpm * hopSeconds)))
+  if (maxLag <= minLag) {
+    return { bpm: null, periodFrames: null, confidence: 0 }
+  }
+
+  let energy = 0
+  for (let i = 0; i < strength.length; i++) {
+    energy += strength[i] * strength[i]
+  }
+  if (energy === 0) {
+    return { bpm: null, periodFrames: null, confidence: 0 }
+  }
+
+  const scores = []
+  let best = { lag: minLag, score: -Infinity, correlation: 0 }
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0
+    for (let i = lag; i < strength.length; i++) {
+      sum += strength[i] * strength[i - lag]
+    }
+    // Normalized for overlap length, relative to zero-lag energy
+    const correlation = (sum / (strength.length - lag)) / (energy / strength.length)
+    const bpm = 60 / (lag * hopSeconds)
+    const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM) / TEMPO_PRIOR_OCTAVES, 2))
+    const score = correlation * prior
+    scores.push(score)
+    if (score > best.score) {
+      best = { lag, score, correlation }
+    }
+  }
+
+  // Confidence: how much the winning lag stands out from the typical lag,
+  // scaled by how periodic the onsets are at all
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length
+  const prominence = best.score > 0 ? 1 - mean / best.score : 0
+  const confidence = Math.min(Math.max(prominence * Math.min(best.correlation * 2, 1), 0), 1)
+
+  // Parabolic interpolation around the peak for a sub-frame period
+  let period = best.lag
+  const i = best.lag - minLag
+  if (i > 0 && i < scores.length - 1) {
+    const [a, b, c] = [scores[i - 1], scores[i], scores[i + 1]]
+    const denominator = a - 2 * b + c
+    if (denominator !== 0) {
+      period += 0.5 * (a - c) / denominator
+    }
+  }
+
+  return { bpm: 60 / (period * hopSeconds), periodFrames: period, confidence }
+}
+
+// Beat positions (frame indices) by dynamic programming (Ellis 2007):
+// each beat maximizes onset strength plus a penalty for straying from the period
+export function trackBeats(strength, periodFrames, { tightness = BEAT_TIGHTNESS } = {}) {
+  const length = strength.length
+  if (!periodFrames || length === 0) return []
+
+  const score = new Float32Array(length)
+  const backlink = new Int32Array(length).fill(-1)
+  const minGap = Math.max(1, Math.round(periodFrames / 2))
+  const maxGap = Math.round(periodFrames * 2)
+
+  for (let i = 0; i < length; i++) {
+    let bestPrevious = -1
+    let bestScore = 0
+    for (let previous = i - maxGap; previous <= i - minGap; previous++) {
+      if (previous < 0) continue
+      const deviation = Math.log((i - previous) / periodFrames)
+      const candidate = score[previous] - tightness * deviation * deviation
+      if (bestPrevious === -1 || candidate > bestScore) {
+        bestPrevious = previous
+        bestScore = candidate
+      }
+    }
+    score[i] = strength[i] + (bestPrevious === -1 ? 0 : bestScore)
+    backlink[i] = bestPrevious
+  }
+
+  // Start from the best-scoring frame within the last period and walk back
+  let last = length - 1
+  for (let i = Math.max(0, length - Math.round(periodFrames)); i < length; i++) {
+    if (score[i] > score[last]) last = i
+  }
+
+  const beats = []
+  for (let i = last; i >= 0; i = backlink[i]) {
+    beats.push(i)
+  }
+  return beats.reverse()
+}
+
+// RMS contour smoothed over ENERGY_SMOOTH_SECONDS and normalized to [0, 1]
+export function computeEnergyContour(rms, hopSeconds) {
+  const radius = Math.max(1, Math.round(ENERGY_SMOOTH_SECONDS / hopSeconds / 2))
+  const values = new Float32Array(rms.length)
+  let peak = 0
+
+  for (let i = 0; i < rms.length; i++) {
+    let sum = 0
+    let count = 0
+    for (let j = Math.max(0, i - radius); j <= Math.min(rms.length - 1, i + radius); j++) {
+      sum += rms[j]
+      count++
+    }
+    values[i] = sum / count
+    peak = Math.max(peak, values[i])
+  }
+
+  if (peak > 0) {
+    for (let i = 0; i < values.length; i++) {
+      values[i] /= peak
+    }
+  }
+  return { values, hopSeconds }
+}
+
+// Energy (0-1) at a time in seconds
+export function energyAt(contour, seconds) {
+  if (contour.values.length === 0) return 0
+  const index = Math.min(Math.max(Math.round(seconds / contour.hopSeconds), 0), contour.values.length - 1)
+  return contour.values[index]
+}
+
+// FFT bin ranges [start, end) for each band, split at geometric midpoints
+function bandBins(frameSize, sampleRate) {
+  const binHz = sampleRate / frameSize
+  const nyquistBin = frameSize / 2
+
+  return SPECTRAL_BANDS.map((center, i) => {
+    const low = i === 0 ? center / Math.sqrt(SPECTRAL_BANDS[1] / center) : Math.sqrt(SPECTRAL_BANDS[i - 1] * center)
+    const high = i === SPECTRAL_BANDS.length - 1 ? center * Math.sqrt(center / SPECTRAL_BANDS[i - 1]) : Math.sqrt(center * SPECTRAL_BANDS[i + 1])
+    const start = Math.min(Math.max(1, Math.round(low / binHz)), nyquistBin)
+    const end = Math.min(Math.max(start + 1, Math.round(high / binHz)), nyquistBin)
+    return [start, end]
+  })
+}
+
+// Band powers in dB for one spectrum
+function bandLevelsDb(magnitudes, bins) {
+  return bins.map(([start, end]) => {
+    let power = 0
+    for (let k = start; k < end; k++) {
+      power += magnitudes[k] * magnitudes[k]
+    }
+    return 10 * Math.log10(power + 1e-12)
+  })
+}
+
+// Gains (dB) that turn pink noise into this spectrum's shape: pink noise has
+// equal power in every log-spaced band, so the shape is each band's level
+// relative to the mean, clamped to a usable range
+function levelsToGains(levelsDb, bins) {
+  const usable = levelsDb.filter((_, i) => bins[i][1] > bins[i][0])
+  const mean = usable.reduce((a, b) => a + b, 0) / Math.max(usable.length, 1)
+  return levelsDb.map((level, i) => {
+    const gain = bins[i][1] > bins[i][0] ? level - mean : -PROFILE_MAX_GAIN_DB
+    return Math.round(Math.min(Math.max(gain, -PROFILE_MAX_GAIN_DB), PROFILE_MAX_GAIN_DB) * 10) / 10
+  })
+}
+
+// Spectral profile of a decoded AudioBuffer for timbre matching
+// Returns { bands, gainsDb, envelope } where gainsDb shapes pink noise to the
+// track's long-term average spectrum, and envelope (with includeEnvelope) is
+// { hopSeconds, frames: [gainsDb, ...] } describing how it changes over time
+export function computeSpectralProfile(audioBuffer, { includeEnvelope = false } = {}) {
+  // Full bandwidth - high bands matter for telling airy from warm
+  const { samples, sampleRate } = mixToMono(audioBuffer, audioBuffer.sampleRate)
+  const window = hannWindow(PROFILE_FRAME_SIZE)
+  const real = new Float32Array(PROFILE_FRAME_SIZE)
+  const imag = new Float32Array(PROFILE_FRAME_SIZE)
+  const magnitudes = new Float32Array(PROFILE_FRAME_SIZE / 2)
+  const bins = bandBins(PROFILE_FRAME_SIZE, sampleRate)
+  const lastOffset = samples.length - PROFILE_FRAME_SIZE
+
+  if (lastOffset < 0) {
+    return { bands: [...SPECTRAL_BANDS], gainsDb: SPECTRAL_BANDS.map(() => 0), envelope: null }
+  }
+
+  // Long-term average: mean band power over evenly spread non-silent frames
+  const frameCount = Math.min(PROFILE_MAX_FRAMES, Math.floor(lastOffset / PROFILE_FRAME_SIZE) + 1)
+  const powers = new Float64Array(SPECTRAL_BANDS.length)
+  let counted = 0
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = Math.round(frame * lastOffset / Math.max(frameCount - 1, 1))
+    if (frameSpectrum(samples, offset, window, real, imag, magnitudes) < PROFILE_SILENCE_RMS) continue
+
+    bandLevelsDb(magnitudes, bins).forEach((level, band) => {
+      powers[band] += Math.pow(10, level / 10)
+    })
+    counted++
+  }
+  const averageDb = Array.from(powers, power => 10 * Math.log10(power / Math.max(counted, 1) + 1e-12))
+  const gainsDb = levelsToGains(averageDb, bins)
+
+  let envelope = null
+  if (includeEnvelope) {
+    // One frame per hop; silent frames reuse the long-term shape, then a
+    // three-frame moving average removes flicker
+    const hop = Math.round(ENVELOPE_HOP_SECONDS * sampleRate)
+    const raw = []
+    for (let offset = 0; offset <= lastOffset; offset += hop) {
+      const rms = frameSpectrum(samples, offset, window, real, imag, magnitudes)
+      raw.push(rms < PROFILE_SILENCE_RMS ? gainsDb : levelsToGains(bandLevelsDb(magnitudes, bins), bins))
+    }
+
+    const frames = raw.map((_, i) => gainsDb.map((__, band) => {
+      const neighbors = raw.slice(Math.max(0, i - 1), i + 2)
+      return Math.round(neighbors.reduce((sum, frame) => sum + frame[band], 0) / neighbors.length * 10) / 10
+    }))
+    envelope = { hopSeconds: hop / sampleRate, frames }
+  }
+
+  return { bands: [...SPECTRAL_BANDS], gainsDb, envelope }
+}
+
+// Full rhythm analysis of a decoded AudioBuffer
+// Returns { version, duration, rms, tempo, confidence, beats, onsets, energy }
+//   tempo      - BPM (null if no periodicity was found)
+//   confidence - 0-1 strength of the tempo estimate
+//   beats      - beat grid in seconds
+//   energy     - { values, hopSeconds } contour normalized to [0, 1]
+export function analyzeAudio(audioBuffer) {
+  const { samples, sampleRate } = mixToMono(audioBuffer)
+
+  let sumSquares = 0
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i]
+  }
+
+  const { flux, rms, hopSeconds } = computeSpectralFlux(samples, sampleRate)
+  const strength = normalizeOnsetStrength(flux)
+  const tempo = estimateTempo(strength, hopSeconds)
+  const beatFrames = trackBeats(strength, tempo.periodFrames)
+
+  // Frames are timed from their start, ahead of the onsets they detect
+  const latencySeconds = ONSET_LATENCY_SAMPLES / sampleRate
+
+  return {
+    version: ANALYSIS_VERSION,
+    duration: audioBuffer.duration,
+    rms: samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0,
+    tempo: tempo.bpm,
+    confidence: tempo.confidence,
+    beats: beatFrames.map(frame => frame * hopSeconds + latencySeconds),
+    onsets: pickOnsets(strength, hopSeconds, { latencySeconds }),
+    energy: computeEnergyContour(rms, hopSeconds)
+  }
+}
@@ -0,0 +1,40 @@
+// Track analysis Worker
+// Runs the rhythm analysis and spectral profile of uploaded audio, and
+// generates reverb impulse responses, off the main thread (see
+// backgroundAnalysis.js), so long tracks and big spaces don't freeze the scene
+// or stall the audio schedulers.
+// Messages in: { id, task: 'rhythm' | 'profile' | 'impulse', sampleRate, duration, channels, options }
+// Messages out: { id, result } or { id, error }
+
+import { analyzeAudio, computeSpectralProfile } from './analysis.js'
+import { generateImpulseResponse } from './reverb.js'
+
+const TASKS = {
+  rhythm: audioBuffer => analyzeAudio(audioBuffer),
+  profile: (audioBuffer, options) => computeSpectralProfile(audioBuffer, options),
+  impulse: (audioBuffer, { spaceId, size, seed }) => generateImpulseResponse(audioBuffer.sampleRate, spaceId, size, seed)
+}
+
+// Sample data in a result is handed back rather than cloned
+const TRANSFERS = {
+  impulse: channels => channels.map(data => data.buffer)
+}
+
+self.onmessage = (event) => {
+  const { id, task, sampleRate, duration, channels, options } = event.data
+
+  try {
+    // Only sample data reaches a Worker, so stand in for the AudioBuffer
+    const audioBuffer = {
+      sampleRate,
+      duration,
+      length: channels.length > 0 ? channels[0].length : 0,
+      numberOfChannels: channels.length,
+      getChannelData: channel => channels[channel]
+    }
+    const result = TASKS[task](audioBuffer, options)
+    self.postMessage({ id, result }, TRANSFERS[task] ? TRANSFERS[task](result) : [])
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
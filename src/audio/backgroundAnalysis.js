@@ -0,0 +1,113 @@
+// Analysis of uploaded audio, and reverb impulse responses, in a Worker
+// (analysisWorker.js), so a long track doesn't block the main thread. Where the
+// Worker can't run, the same work runs on the main thread instead.
+
+import AnalysisWorker from './analysisWorker.js?worker'
+import { analyzeAudio, computeSpectralProfile } from './analysis.js'
+import { generateImpulseResponse, createResponseBuffer } from './reverb.js'
+
+let worker = null
+let workerFailed = false
+let nextRequestId = 0
+const pending = new Map() // id → { resolve, reject, runHere }
+
+// Run a request's analysis on the main thread, after letting the caller's
+// status update paint
+function runOnMainThread({ resolve, reject, runHere }) {
+  setTimeout(() => {
+    try {
+      resolve(runHere())
+    } catch (error) {
+      reject(error)
+    }
+  }, 0)
+}
+
+// The shared Worker, started on first use; null when Workers are unavailable
+function getWorker() {
+  if (worker || workerFailed) return worker
+  if (typeof Worker === 'undefined') {
+    console.warn('Web Workers not available - analyzing audio on the main thread')
+    workerFailed = true
+    return null
+  }
+
+  worker = new AnalysisWorker()
+
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data
+    const request = pending.get(id)
+    if (!request) return
+
+    pending.delete(id)
+    if (error) {
+      request.reject(new Error(error))
+    } else {
+      request.resolve(result)
+    }
+  }
+
+  // The Worker failed to load or crashed: finish its requests here, and
+  // keep analyzing here from now on
+  worker.onerror = (event) => {
+    console.warn('Analysis worker failed - analyzing audio on the main thread:', event.message)
+    worker.terminate()
+    worker = null
+    workerFailed = true
+
+    for (const request of pending.values()) {
+      runOnMainThread(request)
+    }
+    pending.clear()
+  }
+
+  return worker
+}
+
+// Run a task on an AudioBuffer's samples (or on a sample rate alone, with
+// { sampleRate } in place of the buffer)
+function runTask(task, audioBuffer, options, runHere) {
+  return new Promise((resolve, reject) => {
+    const request = { resolve, reject, runHere }
+    const analysisWorker = getWorker()
+    if (!analysisWorker) {
+      runOnMainThread(request)
+      return
+    }
+
+    // Copies of the samples (the AudioBuffer stays playable), handed over
+    // rather than cloned
+    const channels = []
+    for (let c = 0; c < (audioBuffer.numberOfChannels || 0); c++) {
+      channels.push(audioBuffer.getChannelData(c).slice())
+    }
+
+    const id = nextRequestId++
+    pending.set(id, request)
+    analysisWorker.postMessage({
+      id,
+      task,
+      sampleRate: audioBuffer.sampleRate,
+      duration: audioBuffer.duration,
+      channels,
+      options
+    }, channels.map(data => data.buffer))
+  })
+}
+
+// analyzeAudio() of a decoded AudioBuffer, resolved when the Worker is done
+export function analyzeAudioInBackground(audioBuffer) {
+  return runTask('rhythm', audioBuffer, {}, () => analyzeAudio(audioBuffer))
+}
+
+// computeSpectralProfile() of a decoded AudioBuffer, resolved when the Worker is done
+export function computeSpectralProfileInBackground(audioBuffer, options = {}) {
+  return runTask('profile', audioBuffer, options, () => computeSpectralProfile(audioBuffer, options))
+}
+
+// createImpulseResponse() (see reverb.js), generated in the Worker
+export function createImpulseResponseInBackground(context, spaceId, size, seed) {
+  const { sampleRate } = context
+  return runTask('impulse', { sampleRate }, { spaceId, size, seed }, () => generateImpulseResponse(sampleRate, spaceId, size, seed))
+    .then(channels => createResponseBuffer(context, channels))
+}
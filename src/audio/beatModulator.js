@@ -0,0 +1,106 @@
+// Beat-locked modulation from a rhythm analysis (see analysis.js)
+// Schedules a shaped envelope on an AudioParam at every beat of the looped
+// track's beat grid; peaks and the resting floor follow the track's energy
+// contour. Without a confident tempo, the level just follows the contour.
+
+import { energyAt } from './analysis.js'
+
+const SCHEDULER_INTERVAL_MS = 200
+const LOOKAHEAD_SECONDS = 1
+const MIN_CONFIDENCE = 0.3 // Below this the beat grid is not trusted
+
+// Envelope shape
+const ATTACK_SECONDS = 0.02
+const DECAY_FRACTION = 0.3 // Decay time constant as a share of the beat period
+const FLOOR_BASE = 0.45    // Floor = FLOOR_BASE + FLOOR_DEPTH * energy
+const FLOOR_DEPTH = 0.25
+const PEAK_BASE = 0.7      // Peak = PEAK_BASE + PEAK_DEPTH * energy
+const PEAK_DEPTH = 0.3
+const CONTOUR_STEP_SECONDS = 0.25
+
+// Create a modulator for param (0-1 level) playing the analysis timeline
+// from startTime (context seconds), looping every analysis.duration
+export function createBeatModulator(context, param, analysis, { startTime = context.currentTime } = {}) {
+  const beatLocked = analysis.tempo !== null && analysis.confidence >= MIN_CONFIDENCE && analysis.beats.length > 1
+  const period = beatLocked ? 60 / analysis.tempo : null
+  const duration = analysis.duration
+  let scheduledUntil = startTime
+  let timerId = null
+
+  const floorAt = (trackTime) => FLOOR_BASE + FLOOR_DEPTH * energyAt(analysis.energy, trackTime)
+  const peakAt = (trackTime) => PEAK_BASE + PEAK_DEPTH * energyAt(analysis.energy, trackTime)
+
+  // Envelopes for beats falling in [from, to) (context time), across loop boundaries
+  function scheduleBeats(from, to) {
+    const firstLoop = Math.floor((from - startTime) / duration)
+    const lastLoop = Math.floor((to - startTime) / duration)
+
+    for (let loop = firstLoop; loop <= lastLoop; loop++) {
+      const loopStart = startTime + loop * duration
+      for (const beat of analysis.beats) {
+        const time = loopStart + beat
+        if (time < from) continue
+        if (time >= to) break
+
+        param.setTargetAtTime(peakAt(beat), time, ATTACK_SECONDS / 3)
+        param.setTargetAtTime(floorAt(beat), time + ATTACK_SECONDS, period * DECAY_FRACTION)
+      }
+    }
+  }
+
+  // Level follows the energy contour in fixed steps
+  function scheduleContour(from, to) {
+    let time = startTime + Math.ceil((from - startTime) / CONTOUR_STEP_SECONDS) * CONTOUR_STEP_SECONDS
+    for (; time < to; time += CONTOUR_STEP_SECONDS) {
+      const trackTime = (time - startTime) % duration
+      param.setTargetAtTime(floorAt(trackTime), time, CONTOUR_STEP_SECONDS)
+    }
+  }
+
+  function tick() {
+    const from = Math.max(scheduledUntil, context.currentTime)
+    const to = context.currentTime + LOOKAHEAD_SECONDS
+    if (to <= from) return
+
+    if (beatLocked) {
+      scheduleBeats(from, to)
+    } else {
+      scheduleContour(from, to)
+    }
+    scheduledUntil = to
+  }
+
+  return {
+    start() {
+      if (timerId !== null || !(duration > 0)) return
+      param.setValueAtTime(floorAt(0), startTime)
+      tick()
+      timerId = setInterval(tick, SCHEDULER_INTERVAL_MS)
+    },
+
+    stop() {
+      if (timerId !== null) {
+        clearInterval(timerId)
+        timerId = null
+      }
+      param.cancelScheduledValues(context.currentTime)
+    },
+
+    // Position within the looped track (seconds)
+    getTrackTime() {
+      return duration > 0 ? ((context.currentTime - startTime) % duration + duration) % duration : 0
+    },
+
+    // Beat grid for quantizing other events to the track
+    getBeatGrid() {
+      return {
+        tempo: analysis.tempo,
+        confidence: analysis.confidence,
+        beatLocked,
+        beats: analysis.beats,
+        duration,
+        startTime
+      }
+    }
+  }
+}
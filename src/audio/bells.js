@@ -0,0 +1,141 @@
+// Meditation bells: struck-bell tones built from inharmonic partials, each an
+// oscillator with its own exponential decay (no sample files). While a bell
+// rings, everything else dips briefly through a duck gain so the strike
+// comes through without being loud.
+
+export const BELL_KINDS = ['start', 'interval', 'end']
+
+// Partials of a small temple bell, relative to the strike note: frequency
+// ratio, level, decay time constant (seconds) and a slow beat (Hz) from a
+// slightly detuned twin, which gives the shimmer of a real bell
+const BELL_PARTIALS = [
+  { ratio: 0.5, level: 0.35, decay: 6, beatHz: 0.7 }, // Hum
+  { ratio: 1, level: 1, decay: 4.5, beatHz: 1.1 },    // Strike note
+  { ratio: 1.19, level: 0.4, decay: 3 },              // Tierce
+  { ratio: 1.51, level: 0.25, decay: 2.4 },
+  { ratio: 2.01, level: 0.35, decay: 2 },
+  { ratio: 2.74, level: 0.2, decay: 1.4 },
+  { ratio: 3.76, level: 0.12, decay: 0.9 },
+  { ratio: 5.4, level: 0.06, decay: 0.5 }
+]
+const PARTIALS_LEVEL = 0.25 // Keeps the summed partials well under full scale
+const STRIKE_ATTACK_SECONDS = 0.004 // A soft mallet, not a click
+const DECAY_TIME_CONSTANTS = 7 // Oscillators stop once this many decays have passed
+
+// Each kind: strike note (Hz), level and when each strike falls (seconds)
+const BELL_STRIKES = {
+  start: { frequency: 392, level: 1, strikes: [0] },
+  interval: { frequency: 523.25, level: 0.6, strikes: [0] },
+  end: { frequency: 392, level: 1, strikes: [0, 6, 12] }
+}
+
+// Ducking under a strike
+const DUCK_LEVEL = 0.45 // About -7 dB
+const DUCK_ATTACK_SECONDS = 0.08 // Time constants
+const DUCK_RELEASE_SECONDS = 1.2
+const DUCK_HOLD_SECONDS = 2.5
+
+// Bells a timed sit rings: start, every intervalSeconds (0 for none) and end
+// Returns [{ kind, at }] with at in seconds from the start, in order
+export function planSessionBells(durationSeconds, intervalSeconds = 0) {
+  const bells = [{ kind: 'start', at: 0 }]
+
+  if (intervalSeconds > 0) {
+    for (let at = intervalSeconds; at < durationSeconds - 1; at += intervalSeconds) {
+      bells.push({ kind: 'interval', at })
+    }
+  }
+
+  bells.push({ kind: 'end', at: durationSeconds })
+  return bells
+}
+
+// Create the bell voice
+// options:
+//   destination - where the tones go (the master gain, so bells breathe and
+//                 dim with the rest)
+//   duckGain    - gain in front of everything the bells should duck
+//   level       - bell volume (0-1)
+// Returns { ring(kind, time), setLevel(level), stop() }
+export function createBells(context, { destination, duckGain, level = 1 }) {
+  const output = context.createGain()
+  output.gain.setValueAtTime(level, context.currentTime)
+  output.connect(destination)
+
+  const voices = new Set()
+
+  // One decaying sine; a detuned twin adds the beat
+  function strikePartial(frequency, peak, decay, time) {
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(0, time)
+    envelope.gain.linearRampToValueAtTime(peak, time + STRIKE_ATTACK_SECONDS)
+    envelope.gain.setTargetAtTime(0, time + STRIKE_ATTACK_SECONDS, decay)
+    envelope.connect(output)
+
+    const oscillator = context.createOscillator()
+    oscillator.type = 'sine'
+    oscillator.frequency.setValueAtTime(frequency, time)
+    oscillator.connect(envelope)
+    oscillator.onended = () => {
+      voices.delete(oscillator)
+      oscillator.disconnect()
+      envelope.disconnect()
+    }
+    oscillator.start(time)
+    oscillator.stop(time + STRIKE_ATTACK_SECONDS + decay * DECAY_TIME_CONSTANTS)
+    voices.add(oscillator)
+  }
+
+  // Dip the ducked sources under a strike, letting go after the hold; a
+  // strike during an earlier duck extends it
+  function duck(time) {
+    const gain = duckGain.gain
+    gain.cancelScheduledValues(time)
+    gain.setTargetAtTime(DUCK_LEVEL, time, DUCK_ATTACK_SECONDS)
+    gain.setTargetAtTime(1, time + DUCK_HOLD_SECONDS, DUCK_RELEASE_SECONDS)
+  }
+
+  function strike(frequency, strikeLevel, time) {
+    for (const partial of BELL_PARTIALS) {
+      const partialLevel = PARTIALS_LEVEL * strikeLevel * partial.level
+      const partialHz = frequency * partial.ratio
+
+      if (partial.beatHz) {
+        strikePartial(partialHz, partialLevel / 2, partial.decay, time)
+        strikePartial(partialHz + partial.beatHz, partialLevel / 2, partial.decay, time)
+      } else {
+        strikePartial(partialHz, partialLevel, partial.decay, time)
+      }
+    }
+    duck(time)
+  }
+
+  return {
+    // Ring a bell kind (see BELL_KINDS) at a context time
+    ring(kind, time = context.currentTime) {
+      const bell = BELL_STRIKES[kind]
+      if (!bell) {
+        console.warn('Unknown bell:', kind)
+        return
+      }
+
+      const when = Math.max(time, context.currentTime)
+      for (const offset of bell.strikes) {
+        strike(bell.frequency, bell.level, when + offset)
+      }
+    },
+
+    // Bell volume (0-1)
+    setLevel(level) {
+      output.gain.setTargetAtTime(level, context.currentTime, 0.05)
+    },
+
+    stop() {
+      for (const oscillator of voices) {
+        oscillator.stop()
+      }
+      voices.clear()
+      output.disconnect()
+    }
+  }
+}
@@ -0,0 +1,143 @@
+// Breath LFO: one cycle of a breath pattern (see breath/patterns.js) in a
+// looped buffer, output as ±1 like the sine oscillator it replaces. Patterns
+// that follow the breath rate play faster or slower through playbackRate;
+// switching patterns crossfades between two loops. Each loop keeps a breath
+// clock (see breath/clock.js) that follows its playbackRate, so the cycle
+// position heard at any context time is known without listening.
+
+import { getBreathPattern, getPatternSeconds, sampleBreathCycle } from '../breath/patterns.js'
+import { createBreathClock } from '../breath/clock.js'
+
+const LFO_SAMPLE_RATE = 8000 // Plenty for a few-second envelope, and supported everywhere
+const PATTERN_CROSSFADE_SECONDS = 2
+
+// Render one cycle of a pattern as a ±1 buffer
+function createCycleBuffer(context, pattern) {
+  const length = Math.ceil(getPatternSeconds(pattern) * LFO_SAMPLE_RATE)
+  const buffer = context.createBuffer(1, length, LFO_SAMPLE_RATE)
+  const data = buffer.getChannelData(0)
+  const levels = sampleBreathCycle(pattern, length)
+
+  for (let i = 0; i < length; i++) {
+    data[i] = levels[i] * 2 - 1
+  }
+
+  return buffer
+}
+
+// Create a running breath LFO
+// options: { patternId, breathHz }
+// Returns { output, setBreathHz(hz, timeConstant), getBreathHz(),
+// getCurrentBreathHz(), rateFor(hz), setPattern(patternId, fadeSeconds),
+// getPatternId(), getClock(), getRateParam(), stop() }; output is the ±1 signal
+export function createBreathLfo(context, { patternId, breathHz }) {
+  const output = context.createGain()
+  let currentPatternId = patternId
+  let pattern = getBreathPattern(patternId)
+  let currentBreathHz = breathHz
+  let loop = null
+
+  // Playback rate that makes a pattern's cycle last 1 / hz (1 for fixed timings)
+  function rateFor(hz, forPattern = pattern) {
+    return forPattern.followsBreathRate ? hz * getPatternSeconds(forPattern) : 1
+  }
+
+  // Start looping the current pattern, fading in over fadeSeconds
+  function startLoop(fadeSeconds) {
+    const currentTime = context.currentTime
+
+    const rate = rateFor(currentBreathHz)
+
+    const source = context.createBufferSource()
+    source.buffer = createCycleBuffer(context, pattern)
+    source.loop = true
+    source.playbackRate.setValueAtTime(rate, currentTime)
+
+    const fade = context.createGain()
+    if (fadeSeconds > 0) {
+      fade.gain.setValueAtTime(0, currentTime)
+      fade.gain.linearRampToValueAtTime(1, currentTime + fadeSeconds)
+    } else {
+      fade.gain.setValueAtTime(1, currentTime)
+    }
+
+    source.connect(fade)
+    fade.connect(output)
+    source.onended = () => {
+      source.disconnect()
+      fade.disconnect()
+    }
+    source.start(currentTime)
+
+    const clock = createBreathClock({ startTime: currentTime, rate, cycleSeconds: source.buffer.duration })
+
+    return { source, fade, clock }
+  }
+
+  // Fade a loop out and stop it once silent
+  function stopLoop(oldLoop, fadeSeconds) {
+    const currentTime = context.currentTime
+
+    oldLoop.fade.gain.cancelScheduledValues(currentTime)
+    oldLoop.fade.gain.setValueAtTime(oldLoop.fade.gain.value, currentTime)
+    oldLoop.fade.gain.linearRampToValueAtTime(0, currentTime + fadeSeconds)
+    oldLoop.source.stop(currentTime + fadeSeconds)
+  }
+
+  loop = startLoop(0)
+
+  return {
+    output,
+
+    // Glide the breath rate (only heard in patterns that follow it)
+    setBreathHz(hz, timeConstant = 0.1) {
+      const currentTime = context.currentTime
+      currentBreathHz = hz
+      loop.source.playbackRate.setTargetAtTime(rateFor(hz), currentTime, timeConstant)
+      loop.clock.setRate(rateFor(hz), currentTime, timeConstant)
+    },
+
+    // Target breath rate (the last one set)
+    getBreathHz() {
+      return currentBreathHz
+    },
+
+    // Breath rate the loop plays at now, partway through a glide (the target
+    // for patterns with fixed timings, which don't follow it)
+    getCurrentBreathHz() {
+      if (!pattern.followsBreathRate) return currentBreathHz
+      return loop.clock.rateAt(context.currentTime) / getPatternSeconds(pattern)
+    },
+
+    rateFor,
+
+    // Playback rate AudioParam of the current loop (for offline automation)
+    getRateParam() {
+      return loop.source.playbackRate
+    },
+
+    // Crossfade to another pattern
+    setPattern(nextPatternId, fadeSeconds = PATTERN_CROSSFADE_SECONDS) {
+      if (nextPatternId === currentPatternId) return
+
+      currentPatternId = nextPatternId
+      pattern = getBreathPattern(nextPatternId)
+      stopLoop(loop, fadeSeconds)
+      loop = startLoop(fadeSeconds)
+    },
+
+    getPatternId() {
+      return currentPatternId
+    },
+
+    // Clock of the current loop, on the context's timeline
+    getClock() {
+      return loop.clock
+    },
+
+    stop() {
+      loop.source.stop()
+      output.disconnect()
+    }
+  }
+}
@@ -1,375 +1,799 @@
-// Simple pink-ish noise audio engine using Web Audio API
-// Generates white noise, filters it to pink-ish, and provides safe parameter control
+// Colored noise audio engine using Web Audio API
+// Streams white/pink/brown/blue/violet/grey noise from an AudioWorklet (looped
+// buffers as a fallback), optionally over an uploaded track, and provides safe
+// parameter control. Each engine owns its context and graph, can be stopped
+// and started again, and rebuilds itself when the output is lost.
 
-// Default parameters
-const DEFAULT_GAIN = 0.18
-const DEFAULT_CUTOFF_HZ = 1800
-const MAX_GAIN = 0.3
-const BUFFER_LENGTH = 2 // seconds
-const SAMPLE_RATE = 44100
-const DEFAULT_BREATH_HZ = 0.10
-const BREATH_DEPTH = 0.05 // ±5% modulation
+import { chooseTimeConstant } from '../mapping/smoother.js'
+import { DEFAULT_NOISE_COLOR, NOISE_COLORS, deriveSeed } from './noise.js'
+import { createAudioGraph, createNoiseVoice, loadNoiseWorklet, clampAudioParam } from './graph.js'
+import { createSoundscape, SOUNDSCAPE_LAYERS } from './soundscape.js'
+import { ANALYSIS_VERSION } from './analysis.js'
+import { analyzeAudioInBackground, createImpulseResponseInBackground } from './backgroundAnalysis.js'
+import { createBeatModulator } from './beatModulator.js'
+import { createLoopBuffer, createMusicBed, DEFAULT_MUSIC_CUTOFF_HZ } from './musicBed.js'
+import { createLoudnessMeter, createExposureTracker } from './loudness.js'
+import { createBells, planSessionBells, BELL_KINDS } from './bells.js'
+import { createKeySounds, KEY_SOUND_VOICES, KEY_SOUND_QUANTIZE_MODES } from './keySounds.js'
+import { REVERB_SPACES, DEFAULT_REVERB_SPACE, DEFAULT_REVERB_SIZE } from './reverb.js'
+import { BREATH_PATTERNS, DEFAULT_BREATH_PATTERN_ID } from '../breath/patterns.js'
 
-// Audio engine state
-let audioContext = null
-let bufferSource = null
-let userBufferSource = null  // User file source
-let pinkNoiseGenerator = null  // Pink noise generator for user audio
-let rhythmAnalyzer = null    // Analyzer for user audio rhythm
-let lowpassFilter = null
-let tiltFilter = null
-let masterGain = null
-let visibilityGain = null  // Additional gain node for visibility scaling
-let breathOscillator = null  // LFO oscillator for breathing
-let breathModGain = null    // Gain node for breath modulation depth
-let rhythmModGain = null    // Gain node for rhythm modulation
-let isRunning = false
-let hasBeenStarted = false  // Prevent node recreation
-let currentSource = 'noise'  // 'noise' or 'user'
+// Default parameters (the graph's own defaults live in graph.js)
+const NOISE_CROSSFADE_MS = 800 // Default crossfade when switching noise colors
+const DEFAULT_MUSIC_BALANCE = 0.5 // 0 = noise only, 1 = music only
+const MUSIC_TARGET_RMS = 0.2   // Uploaded tracks are leveled toward this...
+const MAX_MUSIC_BOOST = 4      // ...but quiet ones are not boosted more than this
+const MUSIC_FADE_SECONDS = 1
+const DEFAULT_SOURCE_CROSSFADE_MS = 2000 // Crossfade when switching between noise and uploaded sounds
+const DEFAULT_BELL_LEVEL = 0.6
 
-// Create white noise buffer
-function createWhiteNoiseBuffer(context) {
-  const bufferLength = BUFFER_LENGTH * context.sampleRate
-  const buffer = context.createBuffer(1, bufferLength, context.sampleRate)
-  const data = buffer.getChannelData(0)
+// Session timer: bells are put on the audio clock ahead of time, far enough
+// that a background tab's throttled timers still catch them on time
+const SESSION_SCHEDULER_MS = 250
+const BELL_LOOKAHEAD_SECONDS = 1.5
+
+// Recovery from interruptions and output device changes
+const DEVICE_CHECK_MS = 1000    // After a device change, the context must have moved on within this
+const MAX_RECOVERY_ATTEMPTS = 3 // Rebuilds in a row before giving up
+const RECOVERY_RESET_MS = 30000 // Running this long after a rebuild counts as recovered
+const GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchstart'] // Browsers only resume audio on these
+
+// Mixer channels: the base noise plus the procedural soundscape layers
+export const MIXER_CHANNELS = ['noise', ...SOUNDSCAPE_LAYERS]
+export const DEFAULT_MIXER_GAINS = { noise: 1, rain: 0, ocean: 0, wind: 0, fire: 0 }
+
+// Engine lifecycle: idle → starting → running ⇄ suspended → stopped (start() again to restart)
+export const ENGINE_STATES = ['idle', 'starting', 'running', 'suspended', 'stopped']
+
+// Cadence-driven parameters set through setParams (reverbSize is 0-1)
+const PARAM_NAMES = ['gain', 'cutoffHz', 'breathHz', 'musicCutoffHz', 'reverbSize', ...SOUNDSCAPE_LAYERS]
+
+// Default event target - the document when running in a browser
+function getDefaultTarget() {
+  return typeof document !== 'undefined' ? document : null
+}
+
+// Create an independent audio engine
+// options:
+//   noiseSeed - fixed seed for reproducible noise
+//   target    - EventTarget receiving audio:* CustomEvents (null to only notify subscribers)
+// Events: 'state' { state, previous, reason } on every lifecycle change, and
+// 'error' { error, reason } when starting or recovering fails
+export function createAudioEngine({ noiseSeed = null, target = getDefaultTarget() } = {}) {
+  // Lifecycle
+  let state = 'idle'
+  let startPromise = null
+  let suspendedByUser = false  // Suspended through suspend(), so don't resume on our own
+  let stopRequested = false    // stop() called while starting: stop once the graph is built
+  let recoveryAttempts = 0
+  let recoveryResetTimer = null
+  let deviceCheckTimer = null
+  const listeners = new Set()
+  
+  // Audio graph (rebuilt on every start)
+  let audioContext = null
+  let noiseVoice = null       // Built-in noise (see startNoiseVoice)
+  let userVoice = null        // Pink noise pulsing with the uploaded file's rhythm
+  let beatModulator = null     // Beat-locked envelopes on the user voice (see beatModulator.js)
+  const retiringModulators = new Map() // Modulators pulsing a fading voice → their stop timers
+  let lowpassFilter = null
+  let tiltFilter = null
+  let masterGain = null
+  let visibilityGain = null  // Additional gain node for visibility scaling
+  let limiter = null         // Output limiter (see graph.js)
+  let limiterTrim = null     // Takes the limiter's makeup gain back off (the output)
+  let loudnessMeter = null   // Loudness of the limited output (see loudness.js)
+  let breathLfo = null         // Breath pattern LFO (see breathLfo.js)
+  let breathModGain = null    // Gain node for breath modulation depth
+  let noiseLevelGain = null    // Mixer level of the base noise
+  let soundscape = null        // Rain/ocean/wind/fire layers (see soundscape.js)
+  let spectralShaper = null    // Filter bank matching a noise fingerprint (see spectralShaper.js)
+  let noiseBalanceGain = null  // Noise side of the noise/music balance
+  let musicGain = null         // Music side of the noise/music balance
+  let duckGain = null          // Dips everything but the bells under a strike
+  let reverb = null            // Procedural reverb on the ducked bus (see reverb.js)
+  let bells = null             // Meditation bell voice (see bells.js)
+  let keySounds = null         // Keystroke notes (see keySounds.js)
+  let musicBed = null          // Uploaded track looping under the noise (see musicBed.js)
+  let userTrack = null         // { buffer, gain } - the uploaded track, trimmed for looping
+  let useWorklet = false        // Whether the streaming noise processor loaded
+  let noiseBuffers = new Map()  // Generated buffers per color for the current context (fallback only)
+  
+  // Choices that outlive the graph (set before start, kept across restarts)
+  let currentSource = 'noise'  // 'noise' or 'user'
+  let userSource = null        // { audioBuffer, analysis } - played again after a recovery
+  let sourceRequest = 0        // Counts source switches, so a slow analysis can't undo a later one
+  let mixerGains = { ...DEFAULT_MIXER_GAINS }
+  let musicBedEnabled = false  // Play uploaded tracks as a music bed (otherwise rhythm only)
+  let musicBalance = DEFAULT_MUSIC_BALANCE
+  let musicCutoffHz = DEFAULT_MUSIC_CUTOFF_HZ
+  let sourceCrossfadeMs = DEFAULT_SOURCE_CROSSFADE_MS
+  let spectralFingerprint = null
+  let followSpectralEnvelope = false
+  let noiseColor = DEFAULT_NOISE_COLOR
+  let breathPatternId = DEFAULT_BREATH_PATTERN_ID
+  let bellLevel = DEFAULT_BELL_LEVEL
+  let reverbSpaceId = DEFAULT_REVERB_SPACE
+  let reverbMix = 0
+  let session = null           // Timed sit: { startedAt, durationSeconds, intervalSeconds, bells, schedulerId }
+  const keySoundOptions = { enabled: false, voice: 'chime', quantize: 'breath', level: 0.5 }
+  let visibilityScalar = 1
+  let exposureTracker = null   // Session loudness energy, while exposure tracking is on
+  const appliedParams = {}     // Last cadence-driven values, restored on rebuild
   
-  // Generate white noise
-  for (let i = 0; i < bufferLength; i++) {
-    data[i] = Math.random() * 2 - 1
+  // Notify subscribers and dispatch an audio:<type> event on the target
+  function emit(type, detail) {
+    for (const listener of listeners) {
+      try {
+        listener(type, detail)
+      } catch (error) {
+        console.error('Audio engine listener failed:', error)
+      }
+    }
+    
+    if (target) {
+      target.dispatchEvent(new CustomEvent(`audio:${type}`, { detail }))
+    }
   }
   
-  return buffer
-}
-
-// Analyze user audio for rhythm and dynamics
-function analyzeUserAudio(audioBuffer) {
-  const data = audioBuffer.getChannelData(0)
-  const sampleRate = audioBuffer.sampleRate
-  const length = data.length
+  // Move to a lifecycle state and announce it
+  function setState(next, reason = null) {
+    if (next === state) return
+    
+    const previous = state
+    state = next
+    console.log(`Audio engine ${previous} → ${next}`, reason ? `(${reason})` : '')
+    emit('state', { state: next, previous, reason })
+  }
   
-  // Calculate RMS (Root Mean Square) for dynamics
-  let rmsSum = 0
-  for (let i = 0; i < length; i++) {
-    rmsSum += data[i] * data[i]
+  // Whether the graph is up (running, or suspended by the browser or suspend())
+  function hasGraph() {
+    return (state === 'running' || state === 'suspended') && audioContext !== null
   }
-  const rms = Math.sqrt(rmsSum / length)
   
-  // Simple beat detection using energy peaks
-  const windowSize = Math.floor(sampleRate * 0.1) // 100ms windows
-  const energyWindows = []
+  // Context time of the sound reaching the speakers at a performance.now() time
+  function audibleTimeAt(now) {
+    const timestamp = audioContext.getOutputTimestamp ? audioContext.getOutputTimestamp() : null
+    if (timestamp && timestamp.performanceTime > 0) {
+      return timestamp.contextTime + (now - timestamp.performanceTime) / 1000
+    }
+    
+    // No timestamp yet: what is being rendered now is heard after the latency
+    return audioContext.currentTime - (audioContext.baseLatency || 0) - (audioContext.outputLatency || 0)
+  }
   
-  for (let i = 0; i < length - windowSize; i += windowSize) {
-    let energy = 0
-    for (let j = i; j < i + windowSize; j++) {
-      energy += data[j] * data[j]
+  // Breath master clock, the same object across rebuilds. read(now) gives the
+  // breath heard at performance.now() time now - { position (0-1 in the cycle),
+  // cyclesPerSecond, patternId } - or null while the audio isn't playing
+  const breathClock = {
+    read(now = performance.now()) {
+      if (state !== 'running' || !audioContext || !breathLfo) return null
+      
+      const clock = breathLfo.getClock()
+      const time = audibleTimeAt(now)
+      const position = clock.positionAt(time)
+      
+      return {
+        position: position - Math.floor(position),
+        cyclesPerSecond: clock.cyclesPerSecondAt(time),
+        patternId: breathLfo.getPatternId()
+      }
     }
-    energyWindows.push(energy / windowSize)
   }
   
-  // Find peaks (potential beats)
-  const threshold = rms * 0.5
-  const beats = []
-  for (let i = 1; i < energyWindows.length - 1; i++) {
-    if (energyWindows[i] > threshold && 
-        energyWindows[i] > energyWindows[i-1] && 
-        energyWindows[i] > energyWindows[i+1]) {
-      beats.push(i * windowSize / sampleRate) // Convert to seconds
+  // Create a noise voice in the current context (see graph.js createNoiseVoice),
+  // connected to the tilt filter by default. With a noiseSeed, each voiceName
+  // gets its own seed from it, so voices playing at once don't repeat each other
+  function startNoiseVoice(color, fadeSeconds = 0, destination = tiltFilter, voiceName = 'noise') {
+    return createNoiseVoice(audioContext, color, {
+      fadeSeconds,
+      destination,
+      useWorklet,
+      seed: noiseSeed !== null ? deriveSeed(noiseSeed, voiceName) : null,
+      buffers: noiseBuffers
+    })
+  }
+  
+  // Fade out a noise voice and stop it once silent
+  function fadeOutNoiseVoice(voice, fadeSeconds) {
+    const currentTime = audioContext.currentTime
+    
+    voice.fade.gain.cancelScheduledValues(currentTime)
+    voice.fade.gain.setValueAtTime(voice.fade.gain.value, currentTime)
+    voice.fade.gain.linearRampToValueAtTime(0, currentTime + fadeSeconds)
+    voice.stop(fadeSeconds)
+  }
+  
+  // Apply the current fingerprint to the shaper, following its envelope from the
+  // uploaded track's start so timbre and beats stay aligned
+  function applySpectralFingerprint() {
+    if (!spectralShaper) return
+    
+    if (!spectralFingerprint) {
+      spectralShaper.clear()
+      return
     }
+    
+    const startTime = beatModulator ? beatModulator.getBeatGrid().startTime : audioContext.currentTime
+    spectralShaper.setFingerprint(spectralFingerprint, { followEnvelope: followSpectralEnvelope, startTime })
   }
   
-  // Calculate average tempo
-  let tempo = 120 // default BPM
-  if (beats.length > 1) {
-    const intervals = []
-    for (let i = 1; i < beats.length; i++) {
-      intervals.push(beats[i] - beats[i-1])
-    }
-    const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length
-    tempo = 60 / avgInterval
+  // Equal-power noise/music balance; the noise stays at full level without a music bed
+  function applyMusicBalance(rampSeconds = 0.1) {
+    if (!noiseBalanceGain || !musicGain) return
+    
+    const currentTime = audioContext.currentTime
+    const angle = musicBalance * Math.PI / 2
+    noiseBalanceGain.gain.setTargetAtTime(musicBed ? Math.cos(angle) : 1, currentTime, rampSeconds)
+    musicGain.gain.setTargetAtTime(Math.sin(angle), currentTime, rampSeconds)
   }
   
-  return {
-    rms: rms,
-    tempo: Math.min(Math.max(tempo, 60), 180), // Clamp to reasonable range
-    beats: beats,
-    energyWindows: energyWindows
+  // Start the uploaded track looping under the noise, on the beat modulator's timeline
+  function startMusicBed(fadeSeconds = MUSIC_FADE_SECONDS) {
+    if (!userTrack || !beatModulator || musicBed) return
+    
+    musicBed = createMusicBed(audioContext, userTrack.buffer, {
+      destination: musicGain,
+      startTime: beatModulator.getBeatGrid().startTime,
+      gain: userTrack.gain,
+      cutoffHz: musicCutoffHz,
+      fadeSeconds
+    })
+    applyMusicBalance(Math.max(fadeSeconds / 3, 0.01))
+  }
+  
+  // Fade the music bed out
+  function stopMusicBed(fadeSeconds = 0) {
+    if (!musicBed) return
+    
+    musicBed.stop(fadeSeconds)
+    musicBed = null
+    applyMusicBalance(Math.max(fadeSeconds / 3, 0.01))
+  }
+  
+  // Fade out the user-audio voice, its rhythm modulation and the music bed
+  // (the beats keep pulsing until the voice is silent)
+  function stopUserVoice(fadeSeconds = 0) {
+    if (userVoice) {
+      fadeOutNoiseVoice(userVoice, fadeSeconds)
+      userVoice = null
+    }
+    
+    if (beatModulator) {
+      const modulator = beatModulator
+      if (fadeSeconds > 0) {
+        retiringModulators.set(modulator, setTimeout(() => {
+          retiringModulators.delete(modulator)
+          modulator.stop()
+        }, fadeSeconds * 1000))
+      } else {
+        modulator.stop()
+      }
+      beatModulator = null
+    }
+    
+    stopMusicBed(fadeSeconds)
+    userTrack = null
   }
-}
-
-// Create pink noise generator with rhythm
-function createPinkNoiseGenerator(context, rhythmData) {
-  const bufferLength = context.sampleRate * 4 // 4 seconds
-  const buffer = context.createBuffer(1, bufferLength, context.sampleRate)
-  const data = buffer.getChannelData(0)
   
-  // Pink noise generation (1/f noise)
-  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0
+  // Glide cadence-driven parameters (already clamped) to their targets
+  // rampTimeFor: (name, current, target) => time constant in seconds
+  function applyParams(params, rampTimeFor) {
+    const currentTime = audioContext.currentTime
+    
+    if (params.gain !== undefined) {
+      masterGain.gain.setTargetAtTime(params.gain, currentTime, rampTimeFor('gain', masterGain.gain.value, params.gain))
+    }
+    
+    if (params.cutoffHz !== undefined) {
+      lowpassFilter.frequency.setTargetAtTime(params.cutoffHz, currentTime, rampTimeFor('cutoffHz', lowpassFilter.frequency.value, params.cutoffHz))
+    }
+    
+    // The reverb gathers size changes and crossfades between responses itself
+    if (params.reverbSize !== undefined) {
+      reverb.setSize(params.reverbSize)
+    }
+    
+    if (params.breathHz !== undefined) {
+      breathLfo.setBreathHz(params.breathHz, rampTimeFor('breathHz', breathLfo.getCurrentBreathHz(), params.breathHz))
+    }
+    
+    // The music bed cutoff is also remembered for the next track
+    if (params.musicCutoffHz !== undefined) {
+      musicCutoffHz = params.musicCutoffHz
+      if (musicBed) {
+        musicBed.cutoff.setTargetAtTime(musicCutoffHz, currentTime, rampTimeFor('musicCutoffHz', musicBed.cutoff.value, musicCutoffHz))
+      }
+    }
+    
+    for (const name of SOUNDSCAPE_LAYERS) {
+      const intensity = soundscape ? soundscape.getIntensityParam(name) : null
+      if (params[name] !== undefined && intensity) {
+        intensity.setTargetAtTime(params[name], currentTime, rampTimeFor(name, intensity.value, params[name]))
+      }
+    }
+  }
   
-  for (let i = 0; i < bufferLength; i++) {
-    const white = Math.random() * 2 - 1
-    b0 = 0.99886 * b0 + white * 0.0555179
-    b1 = 0.99332 * b1 + white * 0.0750759
-    b2 = 0.96900 * b2 + white * 0.1538520
-    b3 = 0.86650 * b3 + white * 0.3104856
-    b4 = 0.55000 * b4 + white * 0.5329522
-    b5 = -0.7616 * b5 + white * 0.0168980
-    
-    const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362
-    b6 = white * 0.115926
-    
-    // Apply rhythm modulation
-    const time = i / context.sampleRate
-    const rhythmMod = Math.sin(time * (rhythmData.tempo / 60) * 2 * Math.PI) * 0.3 + 0.7
-    data[i] = pink * rhythmMod * 0.1 // Scale down for safety
+  // Resume the context unless it was suspended on purpose
+  function tryResume(reason) {
+    if (!audioContext || suspendedByUser || audioContext.state === 'running' || audioContext.state === 'closed') return
+    
+    audioContext.resume().catch((error) => {
+      console.warn(`Could not resume audio context (${reason}):`, error)
+    })
   }
   
-  return buffer
-}
-
-// Create audio engine
-export function createAudioEngine() {
-  return {
+  // Browsers only let audio resume from a user gesture, so try on every one
+  // while suspended (autoplay policy, iOS interruptions)
+  function handleGesture() {
+    tryResume('gesture')
+  }
+  
+  // Follow the context: the browser can suspend it (autoplay policy, phone
+  // calls, other apps taking the output), and a closed context was lost
+  function handleContextStateChange(event) {
+    const context = event.target
+    if (context !== audioContext || state === 'starting') return
+    
+    if (context.state === 'running') {
+      setState('running', 'resumed')
+    } else if (context.state === 'closed') {
+      recover('closed')
+    } else if (state === 'running') {
+      setState('suspended', suspendedByUser ? 'user' : context.state)
+    }
+  }
+  
+  // Rendering failed (e.g. the output device went away) - rebuild on a new context
+  function handleContextError(event) {
+    if (event.target !== audioContext) return
+    
+    console.warn('Audio context error:', event.error || event)
+    recover('error')
+  }
+  
+  // After an output device change, make sure the context is still playing;
+  // contexts on the default output normally move to the new device by themselves
+  function handleDeviceChange() {
+    if (state !== 'running' || !audioContext) return
+    
+    const context = audioContext
+    const contextTime = context.currentTime
+    clearTimeout(deviceCheckTimer)
+    deviceCheckTimer = setTimeout(() => {
+      deviceCheckTimer = null
+      if (state === 'running' && audioContext === context && context.currentTime === contextTime) {
+        recover('device-change')
+      }
+    }, DEVICE_CHECK_MS)
+  }
+  
+  // Add or remove the listeners watching for interruptions and device changes
+  function watchOutput(enabled) {
+    const method = enabled ? 'addEventListener' : 'removeEventListener'
+    
+    if (audioContext) {
+      audioContext[method]('statechange', handleContextStateChange)
+      audioContext[method]('error', handleContextError)
+    }
+    if (typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices[method]) {
+      navigator.mediaDevices[method]('devicechange', handleDeviceChange)
+    }
+    if (typeof window !== 'undefined') {
+      for (const type of GESTURE_EVENTS) {
+        window[method](type, handleGesture, true)
+      }
+    }
+  }
+  
+  // Create the context and graph, restoring the mixer, fingerprint and
+  // cadence parameters. The context may stay suspended until a user gesture
+  async function build() {
+    // Check Web Audio API availability
+    if (!window.AudioContext && !window.webkitAudioContext) {
+      throw new Error('Web Audio API not available')
+    }
+    
+    audioContext = new (window.AudioContext || window.webkitAudioContext)()
+    const context = audioContext // Reverb responses arrive later, for this context
+    noiseBuffers = new Map()
+    tryResume('start')
+    
+    // Stream noise from the worklet when possible
+    useWorklet = await loadNoiseWorklet(audioContext)
+    
+    // Build the audio graph (shared with offline renders, see graph.js)
+    const graph = createAudioGraph(audioContext, {
+      noiseLevel: mixerGains.noise,
+      breathPatternId,
+      reverb: {
+        spaceId: reverbSpaceId,
+        size: appliedParams.reverbSize !== undefined ? appliedParams.reverbSize : DEFAULT_REVERB_SIZE,
+        mix: reverbMix,
+        seed: noiseSeed !== null ? noiseSeed : undefined,
+        loadResponse: (spaceId, size, seed) => createImpulseResponseInBackground(context, spaceId, size, seed)
+      }
+    })
+    tiltFilter = graph.tiltFilter
+    spectralShaper = graph.spectralShaper
+    lowpassFilter = graph.lowpassFilter
+    noiseLevelGain = graph.noiseLevelGain
+    noiseBalanceGain = graph.noiseBalanceGain
+    musicGain = graph.musicGain
+    duckGain = graph.duckGain
+    reverb = graph.reverb
+    masterGain = graph.masterGain
+    visibilityGain = graph.visibilityGain
+    limiter = graph.limiter
+    limiterTrim = graph.limiterTrim
+    breathLfo = graph.breathLfo
+    breathModGain = graph.breathModGain
+    visibilityGain.gain.setValueAtTime(visibilityScalar, audioContext.currentTime)
+    
+    // Start the noise source in the selected color
+    noiseVoice = startNoiseVoice(noiseColor)
+    
+    // Soundscape layers mix in past the lowpass (so rain stays crisp), ducking under bells
+    soundscape = createSoundscape(audioContext, {
+      destination: duckGain,
+      createNoise: (color, destination, layerName) => startNoiseVoice(color, 0, destination, layerName),
+      breathSource: breathLfo.output,
+      seed: noiseSeed !== null ? noiseSeed : undefined
+    })
+    for (const name of SOUNDSCAPE_LAYERS) {
+      soundscape.setLayerGain(name, mixerGains[name])
+    }
+    applySpectralFingerprint()
+    applyParams(appliedParams, () => 0.01)
+    
+    // Bells ring through the master and visibility gains with everything else
+    bells = createBells(audioContext, { destination: masterGain, duckGain, level: bellLevel })
+    
+    // So do keystroke notes, on the breath clock or the track's beats
+    keySounds = createKeySounds(audioContext, {
+      destination: masterGain,
+      getBreathClock: () => breathLfo ? breathLfo.getClock() : null,
+      getBeatGrid: () => beatModulator ? beatModulator.getBeatGrid() : null,
+      voice: keySoundOptions.voice,
+      quantize: keySoundOptions.quantize,
+      level: keySoundOptions.level
+    })
+    
+    // Meter what reaches the output, feeding the exposure estimate when it's on
+    loudnessMeter = createLoudnessMeter(audioContext, limiterTrim, {
+      onBlock: (meanSquare, seconds) => {
+        if (exposureTracker) exposureTracker.add(meanSquare, seconds)
+      }
+    })
+    
+    watchOutput(true)
+    console.log('Audio engine built', useWorklet ? '(streaming noise)' : '(looped noise buffers)')
+    console.log('Audio context state:', audioContext.state)
+  }
+  
+  // Stop every voice, disconnect the graph and close the context
+  function teardown() {
+    watchOutput(false)
+    clearTimeout(deviceCheckTimer)
+    deviceCheckTimer = null
+    
+    // Stop noise voice
+    if (noiseVoice) {
+      noiseVoice.stop()
+      noiseVoice = null
+    }
+    
+    // Stop breathing LFO
+    if (breathLfo) {
+      breathLfo.stop()
+      breathLfo = null
+    }
+    
+    // Stop user voice and its beat modulation, and any still fading out
+    if (audioContext) {
+      stopUserVoice()
+    }
+    for (const [modulator, timer] of retiringModulators) {
+      clearTimeout(timer)
+      modulator.stop()
+    }
+    retiringModulators.clear()
+    
+    // Stop soundscape layers
+    if (soundscape) {
+      soundscape.stop()
+      soundscape = null
+    }
+    
+    if (loudnessMeter) {
+      loudnessMeter.stop()
+      loudnessMeter = null
+    }
+    
+    if (bells) {
+      bells.stop()
+      bells = null
+    }
+    
+    if (keySounds) {
+      keySounds.stop()
+      keySounds = null
+    }
+    
+    if (reverb) {
+      reverb.stop()
+      reverb = null
+    }
+    
+    // Disconnect all nodes
+    if (spectralShaper) {
+      spectralShaper.stop()
+      spectralShaper = null
+    }
+    
+    for (const node of [noiseLevelGain, noiseBalanceGain, musicGain, duckGain, tiltFilter, lowpassFilter, masterGain, visibilityGain, limiter, limiterTrim, breathModGain]) {
+      if (node) node.disconnect()
+    }
+    noiseLevelGain = null
+    noiseBalanceGain = null
+    musicGain = null
+    duckGain = null
+    tiltFilter = null
+    lowpassFilter = null
+    masterGain = null
+    visibilityGain = null
+    limiter = null
+    limiterTrim = null
+    breathModGain = null
+    
+    // Close audio context
+    if (audioContext) {
+      const context = audioContext
+      audioContext = null
+      if (context.state !== 'closed') {
+        context.close().catch(error => console.warn('Could not close audio context:', error))
+      }
+    }
+    noiseBuffers = new Map()
+  }
+  
+  // Ring the timed sit's bells that fall within the lookahead, each at its
+  // exact time on the audio clock. Bells due while the audio isn't playing
+  // pass silently; the sit ends when its time is up, as the end bell rings
+  function scheduleSessionBells() {
+    const elapsed = (performance.now() - session.startedAt) / 1000
+    
+    for (const bell of session.bells) {
+      if (bell.done || bell.at > elapsed + BELL_LOOKAHEAD_SECONDS) continue
+      
+      bell.done = true
+      const heard = hasGraph() && audioContext.state === 'running'
+      if (heard) {
+        bells.ring(bell.kind, audioContext.currentTime + Math.max(bell.at - elapsed, 0))
+      }
+      emit('bell', { kind: bell.kind, at: bell.at, heard })
+    }
+    
+    if (elapsed >= session.durationSeconds && session.bells.every(bell => bell.done)) {
+      endSession('ended')
+    }
+  }
+  
+  // Stop the session timer ('ended' when its time is up, 'stopped' early)
+  function endSession(reason) {
+    if (!session) return
+    
+    clearInterval(session.schedulerId)
+    const { durationSeconds } = session
+    session = null
+    emit('session', { state: reason, durationSeconds })
+  }
+  
+  // Tear down and settle in 'stopped' at the user's request
+  function stopNow() {
+    try {
+      teardown()
+    } catch (error) {
+      console.error('Error stopping audio engine:', error)
+    }
+    clearTimeout(recoveryResetTimer)
+    endSession('stopped')
+    userSource = null
+    currentSource = 'noise'
+    setState('stopped', 'user')
+  }
+  
+  // Running, or suspended until a gesture, on a freshly built graph
+  function enterBuiltState(reason) {
+    suspendedByUser = false
+    setState(audioContext.state === 'running' ? 'running' : 'suspended', reason)
+  }
+  
+  // Rebuild the graph on a new context after the old one was lost, playing
+  // the uploaded sound again; gives up after MAX_RECOVERY_ATTEMPTS in a row
+  async function recover(reason) {
+    if (!hasGraph()) return
+    
+    clearTimeout(recoveryResetTimer)
+    if (recoveryAttempts >= MAX_RECOVERY_ATTEMPTS) {
+      teardown()
+      setState('stopped', 'failed')
+      emit('error', { error: new Error('Audio output could not be recovered'), reason })
+      return
+    }
+    recoveryAttempts++
+    
+    const source = userSource
+    teardown()
+    stopRequested = false
+    setState('starting', reason)
+    
+    try {
+      await build()
+      if (source) {
+        await engine.useUserBuffer(source.audioBuffer, { analysis: source.analysis, crossfadeMs: 0 })
+      }
+      if (stopRequested) {
+        stopNow()
+        return
+      }
+      enterBuiltState('recovered')
+      recoveryResetTimer = setTimeout(() => {
+        recoveryAttempts = 0
+      }, RECOVERY_RESET_MS)
+    } catch (error) {
+      console.error('Failed to recover audio engine:', error)
+      teardown()
+      setState('stopped', 'error')
+      emit('error', { error, reason })
+    }
+  }
+  
+  const engine = {
+    // Build the graph and start playing - also restarts a stopped engine and
+    // resumes a suspended one. Resolves once the graph is up, which may be
+    // 'suspended' until a user gesture lets the browser play audio
     async start() {
-      if (isRunning) {
+      if (state === 'running') {
         console.log('Audio engine already running')
         return
       }
       
-      // Prevent node recreation if already started once
-      if (hasBeenStarted) {
-        console.log('Audio engine was already started, reusing existing nodes')
-        isRunning = true
+      if (state === 'starting') {
+        stopRequested = false
+        return startPromise
+      }
+      
+      if (state === 'suspended') {
+        suspendedByUser = false
+        tryResume('start')
         return
       }
       
-      try {
-        // Check Web Audio API availability
-        if (!window.AudioContext && !window.webkitAudioContext) {
-          console.warn('Web Audio API not available - audio engine disabled')
-          return
+      stopRequested = false
+      setState('starting')
+      startPromise = (async () => {
+        try {
+          recoveryAttempts = 0
+          await build()
+          if (stopRequested) {
+            stopNow()
+            return
+          }
+          enterBuiltState('started')
+          console.log('Master gain value:', masterGain.gain.value)
+          console.log('Lowpass cutoff:', lowpassFilter.frequency.value)
+        } catch (error) {
+          console.error('Failed to start audio engine:', error)
+          teardown()
+          setState('stopped', 'error')
+          emit('error', { error, reason: 'start' })
+        } finally {
+          startPromise = null
         }
-        
-        // Create AudioContext
-        audioContext = new (window.AudioContext || window.webkitAudioContext)()
-        
-        // Resume AudioContext if suspended (required for autoplay policy)
-        if (audioContext.state === 'suspended') {
-          await audioContext.resume()
-          console.log('AudioContext resumed from suspended state')
-        }
-        
-        // Force start audio immediately - no user gesture required
-        if (audioContext.state === 'running') {
-          console.log('AudioContext is running - starting audio immediately')
-        }
-        
-        // Create white noise buffer
-        const whiteNoiseBuffer = createWhiteNoiseBuffer(audioContext)
-        
-        // Create buffer source (looped white noise)
-        bufferSource = audioContext.createBufferSource()
-        bufferSource.buffer = whiteNoiseBuffer
-        bufferSource.loop = true
-        
-        // Create lowpass filter for pink-ish tilt
-        lowpassFilter = audioContext.createBiquadFilter()
-        lowpassFilter.type = 'lowpass'
-        lowpassFilter.frequency.setValueAtTime(DEFAULT_CUTOFF_HZ, audioContext.currentTime)
-        lowpassFilter.Q.setValueAtTime(1, audioContext.currentTime)
-        
-        // Optional gentle pink tilt with low shelf filter
-        tiltFilter = audioContext.createBiquadFilter()
-        tiltFilter.type = 'lowshelf'
-        tiltFilter.frequency.setValueAtTime(300, audioContext.currentTime)
-        tiltFilter.gain.setValueAtTime(-3, audioContext.currentTime) // Gentle pink tilt
-        
-        // Create master gain node
-        masterGain = audioContext.createGain()
-        masterGain.gain.setValueAtTime(DEFAULT_GAIN, audioContext.currentTime)
-        
-        // Create visibility gain node for tab switching
-        visibilityGain = audioContext.createGain()
-        visibilityGain.gain.setValueAtTime(1.0, audioContext.currentTime)
-        
-        // Create breathing LFO oscillator
-        breathOscillator = audioContext.createOscillator()
-        breathOscillator.type = 'sine'
-        breathOscillator.frequency.setValueAtTime(DEFAULT_BREATH_HZ, audioContext.currentTime)
-        
-        // Create breath modulation gain node
-        breathModGain = audioContext.createGain()
-        breathModGain.gain.setValueAtTime(BREATH_DEPTH, audioContext.currentTime)
-        
-        // Create rhythm modulation gain node
-        rhythmModGain = audioContext.createGain()
-        rhythmModGain.gain.setValueAtTime(0, audioContext.currentTime)
-        
-        // Connect breathing modulation to master gain
-        breathOscillator.connect(breathModGain)
-        breathModGain.connect(masterGain.gain)
-        
-        // Connect audio graph: BufferSource → TiltFilter → LowpassFilter → MasterGain → VisibilityGain → Destination
-        bufferSource.connect(tiltFilter)
-        tiltFilter.connect(lowpassFilter)
-        lowpassFilter.connect(masterGain)
-        masterGain.connect(visibilityGain)
-        visibilityGain.connect(audioContext.destination)
-        
-        // Start the buffer source and breathing oscillator
-        bufferSource.start()
-        breathOscillator.start()
-        
-        isRunning = true
-        hasBeenStarted = true
-        console.log('Audio engine started')
-        console.log('Audio context state:', audioContext.state)
-        console.log('Master gain value:', masterGain.gain.value)
-        console.log('Lowpass cutoff:', lowpassFilter.frequency.value)
-        
-      } catch (error) {
-        console.error('Failed to start audio engine:', error)
-        isRunning = false
-      }
+      })()
+      return startPromise
     },
     
+    // Tear down the graph and close the context; start() builds a new one.
+    // Choices (color, mixer, fingerprint...) are kept, the uploaded sound is not.
+    // While starting, the engine stops as soon as the graph is built
     stop() {
-      if (!isRunning) {
-        console.log('Audio engine not running')
+      if (state === 'starting') {
+        console.log('Audio engine starting - stopping once it is built')
+        stopRequested = true
         return
       }
       
-      try {
-        // Stop buffer source
-        if (bufferSource) {
-          bufferSource.stop()
-          bufferSource.disconnect()
-          bufferSource = null
-        }
-        
-        // Stop breathing oscillator
-        if (breathOscillator) {
-          breathOscillator.stop()
-          breathOscillator.disconnect()
-          breathOscillator = null
-        }
-        
-        // Stop user buffer source
-        if (userBufferSource) {
-          userBufferSource.stop()
-          userBufferSource.disconnect()
-          userBufferSource = null
-        }
-        
-        // Stop rhythm analyzer
-        if (rhythmAnalyzer) {
-          rhythmAnalyzer.stop()
-          rhythmAnalyzer.disconnect()
-          rhythmAnalyzer = null
-        }
-        
-        // Disconnect all nodes
-        if (tiltFilter) {
-          tiltFilter.disconnect()
-          tiltFilter = null
-        }
-        
-        if (lowpassFilter) {
-          lowpassFilter.disconnect()
-          lowpassFilter = null
-        }
-        
-        if (masterGain) {
-          masterGain.disconnect()
-          masterGain = null
-        }
-        
-        if (visibilityGain) {
-          visibilityGain.disconnect()
-          visibilityGain = null
-        }
-        
-        if (breathModGain) {
-          breathModGain.disconnect()
-          breathModGain = null
-        }
-        
-        // Close audio context
-        if (audioContext) {
-          audioContext.close()
-          audioContext = null
-        }
-        
-        isRunning = false
-        console.log('Audio engine stopped')
-        
-      } catch (error) {
-        console.error('Error stopping audio engine:', error)
+      if (!hasGraph()) {
+        console.log('Audio engine not running')
+        return
       }
+      
+      stopNow()
+    },
+    
+    // Pause output, keeping the graph (resume() or start() plays again)
+    async suspend() {
+      if (state !== 'running') return
+      
+      suspendedByUser = true
+      await audioContext.suspend()
+    },
+    
+    async resume() {
+      if (state !== 'suspended') return
+      
+      suspendedByUser = false
+      await audioContext.resume()
+    },
+    
+    // Current lifecycle state (see ENGINE_STATES)
+    getState() {
+      return state
+    },
+    
+    // Listen to engine events: listener(type, detail)
+    // Returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    
+    unsubscribe(listener) {
+      listeners.delete(listener)
     },
     
     setParams(params) {
-      if (!isRunning || !audioContext) {
+      if (!hasGraph()) {
         console.warn('Audio engine not running, cannot set parameters')
         return
       }
       
       // Resume audio context if suspended (common when tab is hidden)
-      if (audioContext.state === 'suspended') {
-        audioContext.resume().then(() => {
-          console.log('Audio context resumed from suspended state')
-        }).catch(error => {
-          console.error('Failed to resume audio context:', error)
-        })
-      }
-      
-      const currentTime = audioContext.currentTime
+      tryResume('params')
       
       try {
         // Use custom ramp time if provided, otherwise default to 0.1s
         const rampTime = params.rampTime ? params.rampTime / 1000 : 0.1
         
-        // Set master gain with strict safety cap (≤ 0.3)
-        if (params.gain !== undefined) {
-          const safeGain = Math.min(Math.max(params.gain, 0), MAX_GAIN)
-          masterGain.gain.setTargetAtTime(safeGain, currentTime, rampTime)
-        }
-        
-        // Set lowpass cutoff frequency with safety bounds
-        if (params.cutoffHz !== undefined) {
-          const safeCutoff = Math.min(Math.max(params.cutoffHz, 20), 20000)
-          lowpassFilter.frequency.setTargetAtTime(safeCutoff, currentTime, rampTime)
+        // Per-parameter attack/release time constants from the mapping preset
+        // override the shared ramp, matching the visual smoother
+        const rampTimeFor = (name, current, target) => {
+          const timeConstants = params.timeConstants ? params.timeConstants[name] : undefined
+          return timeConstants ? chooseTimeConstant(current, target, timeConstants) : rampTime
         }
         
-        // Set breath rate (LFO frequency) with safety bounds
-        if (params.breathHz !== undefined) {
-          const safeBreathHz = Math.min(Math.max(params.breathHz, 0.05), 0.2)
-          breathOscillator.frequency.setTargetAtTime(safeBreathHz, currentTime, rampTime)
+        // Safety bounds on every parameter (master gain ≤ 0.3, soundscape intensities 0-1)
+        const safeParams = {}
+        for (const name of PARAM_NAMES) {
+          if (params[name] !== undefined) {
+            safeParams[name] = clampAudioParam(name, params[name])
+          }
         }
         
+        applyParams(safeParams, rampTimeFor)
+        Object.assign(appliedParams, safeParams)
         console.log('Audio parameters updated:', params)
-        
+      
       } catch (error) {
         console.error('Error setting audio parameters:', error)
       }
     },
     
     isRunning() {
-      return isRunning
+      return state === 'running'
     },
     
     // Set visibility gain scalar (0.5 for hidden, 1.0 for visible)
+    // Before start the scalar is remembered for later
     setVisibilityGain(scalar) {
-      if (!isRunning || !visibilityGain) {
-        console.warn('Audio engine not running, cannot set visibility gain')
-        return
-      }
-      
-      const currentTime = audioContext.currentTime
-      const safeScalar = Math.min(Math.max(scalar, 0), 1)
+      visibilityScalar = Math.min(Math.max(scalar, 0), 1)
+      if (!hasGraph()) return
       
       try {
-        visibilityGain.gain.setTargetAtTime(safeScalar, currentTime, 0.1)
-        console.log('Visibility gain set to:', safeScalar)
+        visibilityGain.gain.setTargetAtTime(visibilityScalar, audioContext.currentTime, 0.1)
+        console.log('Visibility gain set to:', visibilityScalar)
       } catch (error) {
         console.error('Error setting visibility gain:', error)
       }
@@ -377,108 +801,403 @@ export function createAudioEngine() {
     
     // Get current visibility gain value
     getVisibilityGain() {
-      return visibilityGain ? visibilityGain.gain.value : 1.0
+      return visibilityGain ? visibilityGain.gain.value : visibilityScalar
+    },
+    
+    // Switch the noise color, crossfading from the current one
+    // Before start (or while a user file plays) the color is remembered for later
+    setNoiseColor(color, crossfadeMs = NOISE_CROSSFADE_MS) {
+      if (!NOISE_COLORS.includes(color)) {
+        console.warn('Unknown noise color:', color)
+        return
+      }
+      if (color === noiseColor) return
+      
+      noiseColor = color
+      if (!hasGraph() || !noiseVoice) {
+        console.log('Noise color set to:', color)
+        return
+      }
+      
+      try {
+        const fadeSeconds = Math.max(crossfadeMs, 0) / 1000
+        fadeOutNoiseVoice(noiseVoice, fadeSeconds)
+        noiseVoice = startNoiseVoice(color, fadeSeconds)
+        console.log('Crossfading to noise color:', color)
+      } catch (error) {
+        console.error('Error switching noise color:', error)
+      }
+    },
+    
+    getNoiseColor() {
+      return noiseColor
+    },
+    
+    // Switch the breath pattern shaping the gain modulation (see breath/patterns.js),
+    // crossfading from the current one; before start it is remembered for later
+    setBreathPattern(id) {
+      if (!BREATH_PATTERNS[id]) {
+        console.warn('Unknown breath pattern:', id)
+        return
+      }
+      
+      breathPatternId = id
+      if (!hasGraph()) return
+      
+      breathLfo.setPattern(id)
+    },
+    
+    getBreathPattern() {
+      return breathPatternId
+    },
+    
+    // Breath master clock for visuals to follow (see breathClock above)
+    getBreathClock() {
+      return breathClock
+    },
+    
+    // Ring a meditation bell now ('start', 'interval' or 'end', see bells.js)
+    ringBell(kind = 'interval') {
+      if (!BELL_KINDS.includes(kind)) {
+        console.warn('Unknown bell:', kind)
+        return
+      }
+      if (state !== 'running') {
+        console.warn('Audio engine not running, cannot ring a bell')
+        return
+      }
+      
+      bells.ring(kind)
+    },
+    
+    // Set the bell volume (0-1); before start it is remembered for later
+    setBellLevel(level) {
+      bellLevel = Math.min(Math.max(level, 0), 1)
+      if (bells) bells.setLevel(bellLevel)
+    },
+    
+    // Play typing as an instrument (see keySounds.js). options, any of:
+    //   enabled  - whether playKeystroke makes a sound
+    //   voice    - 'chime', 'droplet' or 'kalimba'
+    //   quantize - 'breath' (steps of the breath cycle), 'tempo' (eighth notes
+    //              on the uploaded track's beats) or 'off'
+    //   level    - volume (0-1)
+    // Before start the choices are remembered for later
+    setKeySounds(options) {
+      if (options.voice !== undefined && !KEY_SOUND_VOICES.includes(options.voice)) {
+        console.warn('Unknown key sound voice:', options.voice)
+        return
+      }
+      if (options.quantize !== undefined && !KEY_SOUND_QUANTIZE_MODES.includes(options.quantize)) {
+        console.warn('Unknown key sound quantize mode:', options.quantize)
+        return
+      }
+      
+      Object.assign(keySoundOptions, options)
+      keySoundOptions.level = Math.min(Math.max(keySoundOptions.level, 0), 1)
+      if (!keySounds) return
+      
+      keySounds.setVoice(keySoundOptions.voice)
+      keySounds.setQuantize(keySoundOptions.quantize)
+      keySounds.setLevel(keySoundOptions.level)
+    },
+    
+    // Sound a keystroke (a key class from input/sources.js and the IKI before
+    // it) when key sounds are on; returns whether a note was scheduled
+    playKeystroke(keyClass, ikiMs = null) {
+      if (!keySoundOptions.enabled || state !== 'running' || !keySounds) return false
+      return keySounds.play(keyClass, ikiMs)
     },
     
-    // Get audio context (for decoding)
+    // Start a timed sit: a start bell now, an interval bell every
+    // intervalSeconds (0 for none) and the end bell after durationSeconds.
+    // Emits 'bell' { kind, at, heard } for each bell and 'session'
+    // { state, durationSeconds } when it starts, ends or is stopped.
+    // Returns whether the sit started (it needs a running or suspended engine)
+    startSessionTimer({ durationSeconds, intervalSeconds = 0 }) {
+      if (!(durationSeconds > 0)) {
+        console.warn('Invalid session duration:', durationSeconds)
+        return false
+      }
+      
+      if (!hasGraph()) {
+        console.warn('Audio engine not running, cannot start a session')
+        return false
+      }
+      
+      endSession('stopped')
+      session = {
+        startedAt: performance.now(),
+        durationSeconds,
+        intervalSeconds,
+        bells: planSessionBells(durationSeconds, intervalSeconds).map(bell => ({ ...bell, done: false })),
+        schedulerId: setInterval(scheduleSessionBells, SESSION_SCHEDULER_MS)
+      }
+      emit('session', { state: 'started', durationSeconds })
+      scheduleSessionBells()
+      return true
+    },
+    
+    stopSessionTimer() {
+      endSession('stopped')
+    },
+    
+    // Progress of the timed sit ({ elapsedSeconds, durationSeconds,
+    // intervalSeconds, nextBell: { kind, at } }), or null when none is running
+    getSessionTimer() {
+      if (!session) return null
+      
+      const next = session.bells.find(bell => !bell.done)
+      return {
+        elapsedSeconds: Math.min((performance.now() - session.startedAt) / 1000, session.durationSeconds),
+        durationSeconds: session.durationSeconds,
+        intervalSeconds: session.intervalSeconds,
+        nextBell: next ? { kind: next.kind, at: next.at } : null
+      }
+    },
+    
+    // Switch the reverb space ('smallRoom', 'hall', 'cathedral', 'cave' or
+    // 'forest', see reverb.js), crossfading; before start it is remembered for later
+    setReverbSpace(id) {
+      if (!REVERB_SPACES[id]) {
+        console.warn('Unknown reverb space:', id)
+        return
+      }
+      
+      reverbSpaceId = id
+      if (reverb) reverb.setSpace(id)
+    },
+    
+    getReverbSpace() {
+      return reverbSpaceId
+    },
+    
+    // Set the reverb's wet/dry mix (0 = dry, 1 = wet); the size follows the
+    // cadence-driven reverbSize parameter
+    setReverbMix(mix) {
+      reverbMix = Math.min(Math.max(mix, 0), 1)
+      if (reverb) reverb.setMix(reverbMix)
+    },
+    
+    // Set a mixer channel level (0-1): 'noise' or a soundscape layer
+    // Before start the level is remembered for later
+    setMixerGain(name, value) {
+      if (!MIXER_CHANNELS.includes(name)) {
+        console.warn('Unknown mixer channel:', name)
+        return
+      }
+      
+      const safeValue = Math.min(Math.max(value, 0), 1)
+      mixerGains[name] = safeValue
+      if (!hasGraph()) return
+      
+      if (name === 'noise') {
+        noiseLevelGain.gain.setTargetAtTime(safeValue, audioContext.currentTime, 0.1)
+      } else if (soundscape) {
+        soundscape.setLayerGain(name, safeValue)
+      }
+    },
+    
+    getMixerGains() {
+      return { ...mixerGains }
+    },
+    
+    // Play uploaded tracks as a music bed under the noise (true) or use them
+    // for rhythm only (false); applies to the current track right away
+    setMusicBedEnabled(enabled) {
+      musicBedEnabled = Boolean(enabled)
+      if (!hasGraph()) return
+      
+      try {
+        if (musicBedEnabled) {
+          startMusicBed()
+        } else {
+          stopMusicBed(MUSIC_FADE_SECONDS)
+        }
+      } catch (error) {
+        console.error('Error switching music bed:', error)
+      }
+    },
+    
+    // Set the noise/music balance (0 = noise only, 1 = music only)
+    setMusicBalance(value) {
+      musicBalance = Math.min(Math.max(value, 0), 1)
+      if (!hasGraph()) return
+      
+      applyMusicBalance()
+    },
+    
+    // Set the crossfade used when switching between noise and uploaded sounds
+    setCrossfadeDuration(ms) {
+      sourceCrossfadeMs = Math.max(ms, 0)
+    },
+    
+    // Shape the noise with a noise fingerprint (null for flat)
+    // followEnvelope: also follow the fingerprint's timbre changes over time
+    setSpectralFingerprint(fingerprint, { followEnvelope = false } = {}) {
+      spectralFingerprint = fingerprint
+      followSpectralEnvelope = followEnvelope
+      if (!hasGraph()) return
+      
+      try {
+        applySpectralFingerprint()
+        console.log('Noise fingerprint:', fingerprint ? fingerprint.name : 'none', followEnvelope ? '(following envelope)' : '')
+      } catch (error) {
+        console.error('Error applying noise fingerprint:', error)
+      }
+    },
+    
+    // Output loudness readings, or null when not running:
+    // { momentaryLufs, shortTermLufs, peakDb, loudSeconds, gainReductionDb, exposure }
+    // loudSeconds is how long short-term loudness has stayed at or above
+    // LOUD_LUFS; exposure is { seconds, leqLufs } while exposure tracking is on
+    getLoudness() {
+      if (!hasGraph() || !loudnessMeter) return null
+      
+      return {
+        ...loudnessMeter.read(),
+        gainReductionDb: limiter.reduction,
+        exposure: exposureTracker ? exposureTracker.read() : null
+      }
+    },
+    
+    // Track this session's loudness energy for an exposure estimate
+    // Turning it on starts a new estimate; before start it begins with the audio
+    setExposureTracking(enabled) {
+      if (!enabled) {
+        exposureTracker = null
+      } else if (!exposureTracker) {
+        exposureTracker = createExposureTracker()
+      }
+    },
+    
+    // Beat grid of the uploaded track ({ tempo, confidence, beatLocked, beats, duration, startTime }), or null
+    getBeatGrid() {
+      return beatModulator ? beatModulator.getBeatGrid() : null
+    },
+    
+    // Get audio context (for decoding) - a new one after every restart
     get audioContext() {
       return audioContext
     },
     
-    // Switch back to internal noise source
-    async useNoiseSource() {
-      if (!isRunning || !audioContext) {
+    // Switch back to internal noise source, crossfading over crossfadeMs
+    async useNoiseSource({ crossfadeMs = sourceCrossfadeMs } = {}) {
+      sourceRequest++
+      if (!hasGraph()) {
         console.warn('Audio engine not running, cannot switch sources')
         return
       }
       
       try {
-        // Stop and disconnect current source
-        if (currentSource === 'user' && userBufferSource) {
-          userBufferSource.stop()
-          userBufferSource.disconnect()
-          userBufferSource = null
-        }
+        const fadeSeconds = Math.max(crossfadeMs, 0) / 1000
         
-        // Create and start noise source if not already running
-        if (!bufferSource) {
-          const whiteNoiseBuffer = createWhiteNoiseBuffer(audioContext)
-          bufferSource = audioContext.createBufferSource()
-          bufferSource.buffer = whiteNoiseBuffer
-          bufferSource.loop = true
-          bufferSource.connect(tiltFilter)
-          bufferSource.start()
+        // Fade out current user source
+        stopUserVoice(fadeSeconds)
+        userSource = null
+        
+        // Create and fade in noise voice if not already running
+        if (!noiseVoice) {
+          noiseVoice = startNoiseVoice(noiseColor, fadeSeconds)
         }
         
         currentSource = 'noise'
         console.log('Switched to noise source')
-        
+      
       } catch (error) {
         console.error('Error switching to noise source:', error)
       }
     },
     
-    // Switch to user audio buffer - convert to pink noise with rhythm
-    async useUserBuffer(audioBuffer) {
-      if (!isRunning || !audioContext) {
+    // Switch to user audio buffer - pink noise pulsing on the track's beats,
+    // with the track itself looping underneath when the music bed is enabled.
+    // The current source crossfades out over crossfadeMs.
+    // options.analysis: a cached analyzeAudio() result for this track (skips
+    // analysis unless it is from an older version)
+    // Returns { tempo, confidence, beatLocked, beats, duration, musicBed, analysis,
+    // track } (track: the trimmed loop that plays) or undefined on failure
+    async useUserBuffer(audioBuffer, { analysis: cachedAnalysis = null, crossfadeMs = sourceCrossfadeMs } = {}) {
+      // (A recovery plays the sound again while still starting)
+      if (!audioContext || !(hasGraph() || state === 'starting')) {
         console.warn('Audio engine not running, cannot switch sources')
         return
       }
       
+      const request = ++sourceRequest
+      const context = audioContext
+      
       try {
-        // Stop and disconnect current source
-        if (currentSource === 'noise' && bufferSource) {
-          bufferSource.stop()
-          bufferSource.disconnect()
-          bufferSource = null
-        } else if (currentSource === 'user' && userBufferSource) {
-          userBufferSource.stop()
-          userBufferSource.disconnect()
-          userBufferSource = null
+        // Trim the track for gapless looping, so the beat grid matches the music bed
+        const track = createLoopBuffer(audioContext, audioBuffer)
+        
+        // Analyze user audio in a Worker: onsets, tempo, beat grid and energy
+        // contour (before fading, so a long analysis doesn't eat into the crossfade)
+        const cached = cachedAnalysis && cachedAnalysis.version === ANALYSIS_VERSION
+        console.log(cached ? 'Using cached rhythm analysis' : 'Analyzing user audio for rhythm...')
+        const analysis = cached ? cachedAnalysis : await analyzeAudioInBackground(track)
+        
+        // Another source was chosen, or the engine stopped or rebuilt, meanwhile
+        if (request !== sourceRequest || audioContext !== context || !(hasGraph() || state === 'starting')) {
+          console.log('Source changed during analysis - not switching to the analyzed track')
+          return
         }
         
-        // Analyze user audio for rhythm and dynamics
-        console.log('Analyzing user audio for rhythm...')
-        const rhythmData = analyzeUserAudio(audioBuffer)
         console.log('Rhythm analysis:', {
-          tempo: rhythmData.tempo.toFixed(1) + ' BPM',
-          rms: rhythmData.rms.toFixed(3),
-          beats: rhythmData.beats.length
+          tempo: analysis.tempo !== null ? analysis.tempo.toFixed(1) + ' BPM' : 'none',
+          confidence: analysis.confidence.toFixed(2),
+          rms: analysis.rms.toFixed(3),
+          beats: analysis.beats.length,
+          onsets: analysis.onsets.length
         })
         
-        // Create pink noise generator with rhythm
-        const pinkNoiseBuffer = createPinkNoiseGenerator(audioContext, rhythmData)
-        
-        // Create new pink noise source
-        userBufferSource = audioContext.createBufferSource()
-        userBufferSource.buffer = pinkNoiseBuffer
-        userBufferSource.loop = true
-        userBufferSource.connect(tiltFilter)
-        userBufferSource.start()
-        
-        // Set up rhythm modulation
-        const rhythmOscillator = audioContext.createOscillator()
-        rhythmOscillator.type = 'sine'
-        rhythmOscillator.frequency.setValueAtTime(rhythmData.tempo / 60, audioContext.currentTime)
+        // Fade out current source
+        const fadeSeconds = Math.max(crossfadeMs, 0) / 1000
+        if (noiseVoice) {
+          fadeOutNoiseVoice(noiseVoice, fadeSeconds)
+          noiseVoice = null
+        }
+        stopUserVoice(fadeSeconds)
         
-        const rhythmGain = audioContext.createGain()
-        rhythmGain.gain.setValueAtTime(0.2, audioContext.currentTime) // Moderate rhythm modulation
+        // Fade in pink noise voice with envelopes on the track's beats
+        userVoice = startNoiseVoice('pink', fadeSeconds, tiltFilter, 'beat')
+        beatModulator = createBeatModulator(audioContext, userVoice.level, analysis)
+        beatModulator.start()
         
-        rhythmOscillator.connect(rhythmGain)
-        rhythmGain.connect(rhythmModGain)
-        rhythmOscillator.start()
+        // Level the track and loop it under the noise in music bed mode
+        userTrack = {
+          buffer: track,
+          gain: Math.min(MUSIC_TARGET_RMS / Math.max(analysis.rms, 1e-4), MAX_MUSIC_BOOST)
+        }
+        if (musicBedEnabled) {
+          startMusicBed(fadeSeconds)
+        }
         
-        // Store references for cleanup
-        rhythmAnalyzer = rhythmOscillator
+        // Re-align a followed fingerprint envelope with the new track
+        applySpectralFingerprint()
         
         currentSource = 'user'
-        console.log('Switched to pink noise with rhythm from user audio')
+        userSource = { audioBuffer, analysis }
+        const grid = beatModulator.getBeatGrid()
+        console.log('Switched to pink noise with rhythm from user audio', grid.beatLocked ? '(beat-locked)' : '(energy contour only)', musicBed ? 'over the music bed' : '')
         
+        return {
+          tempo: grid.tempo,
+          confidence: grid.confidence,
+          beatLocked: grid.beatLocked,
+          beats: grid.beats.length,
+          duration: grid.duration,
+          musicBed: Boolean(musicBed),
+          analysis,
+          track
+        }
+      
       } catch (error) {
         console.error('Error switching to user buffer:', error)
         // Fallback to noise source
-        await this.useNoiseSource()
+        await engine.useNoiseSource()
       }
     }
   }
+  
+  return engine
 }
@@ -0,0 +1,84 @@
+// Noise fingerprints: the spectral profile of an uploaded track, saved so the
+// built-in noise can take on that timbre again later
+
+import { SPECTRAL_BANDS } from './analysis.js'
+import { computeSpectralProfileInBackground } from './backgroundAnalysis.js'
+
+const STORAGE_KEY = 'calm-flow:fingerprints'
+
+export const FINGERPRINT_VERSION = 1
+
+const MAX_SAVED_FINGERPRINTS = 10 // Oldest are dropped beyond this
+
+// Analyze a decoded AudioBuffer (in a Worker) into a fingerprint
+// Resolves to { version, id, name, createdAt, duration, bands, gainsDb, envelope }
+export async function createNoiseFingerprint(audioBuffer, { name = 'Untitled', includeEnvelope = true } = {}) {
+  const profile = await computeSpectralProfileInBackground(audioBuffer, { includeEnvelope })
+
+  return {
+    version: FINGERPRINT_VERSION,
+    id: `fp-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+    name,
+    createdAt: new Date().toISOString(),
+    duration: audioBuffer.duration,
+    bands: profile.bands,
+    gainsDb: profile.gainsDb,
+    envelope: profile.envelope
+  }
+}
+
+// Whether a stored object is a usable fingerprint for the current band layout
+export function isValidFingerprint(fingerprint) {
+  return Boolean(fingerprint) &&
+    fingerprint.version === FINGERPRINT_VERSION &&
+    typeof fingerprint.id === 'string' &&
+    Array.isArray(fingerprint.gainsDb) &&
+    fingerprint.gainsDb.length === SPECTRAL_BANDS.length &&
+    fingerprint.gainsDb.every(Number.isFinite)
+}
+
+// Load saved fingerprints, newest first (invalid entries are skipped)
+export function loadFingerprints() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved) ? saved.filter(isValidFingerprint) : []
+  } catch (error) {
+    console.warn('Could not load noise fingerprints:', error)
+    return []
+  }
+}
+
+// Find a saved fingerprint by id (null if missing)
+export function getFingerprint(id) {
+  return loadFingerprints().find(fingerprint => fingerprint.id === id) || null
+}
+
+// Persist the list of fingerprints
+function saveFingerprints(fingerprints) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(fingerprints))
+    return true
+  } catch (error) {
+    console.warn('Could not save noise fingerprints:', error)
+    return false
+  }
+}
+
+// Save a fingerprint (newest first); if storage is full, retry without its
+// time-varying envelope. Returns the fingerprint as stored, or null
+export function saveFingerprint(fingerprint) {
+  const others = loadFingerprints().filter(item => item.id !== fingerprint.id)
+  const keep = others.slice(0, MAX_SAVED_FINGERPRINTS - 1)
+
+  if (saveFingerprints([fingerprint, ...keep])) {
+    return fingerprint
+  }
+
+  const compact = { ...fingerprint, envelope: null }
+  return saveFingerprints([compact, ...keep]) ? compact : null
+}
+
+// Forget a saved fingerprint
+export function deleteFingerprint(id) {
+  saveFingerprints(loadFingerprints().filter(fingerprint => fingerprint.id !== id))
+}
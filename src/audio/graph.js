@@ -0,0 +1,230 @@
+// Audio graph shared by the live engine (engine.js) and offline renders (render.js)
+// NoiseVoice → TiltFilter → SpectralShaper → LowpassFilter → NoiseLevel → NoiseBalance → DuckGain → Reverb (dry + convolver) → MasterGain → VisibilityGain → Limiter → Destination
+// MusicGain → DuckGain; Bells → MasterGain; Breath LFO (breath pattern loop) → BreathMod → MasterGain.gain
+
+import { createNoiseBuffer, NOISE_PROCESSOR_NAME } from './noise.js'
+import noiseProcessorUrl from './noiseProcessor.js?worker&url'
+import { createSpectralShaper } from './spectralShaper.js'
+import { createBreathLfo } from './breathLfo.js'
+import { createReverb, DEFAULT_REVERB_SPACE, DEFAULT_REVERB_SIZE } from './reverb.js'
+import { DEFAULT_BREATH_PATTERN_ID } from '../breath/patterns.js'
+
+// Default parameters
+export const DEFAULT_GAIN = 0.18
+export const DEFAULT_CUTOFF_HZ = 1800
+export const MAX_GAIN = 0.3
+export const DEFAULT_BREATH_HZ = 0.10
+export const BREATH_DEPTH = 0.05 // ±5% modulation
+
+// Output limiter: a hard-kneed compressor rather than a brickwall. Even with the
+// sources 20 dB over full scale, peaks stay about 1 dB below it (only transients
+// faster than the attack get through)
+const LIMITER_THRESHOLD_DB = -2
+const LIMITER_RATIO = 20
+const LIMITER_ATTACK_SECONDS = 0.003
+const LIMITER_RELEASE_SECONDS = 0.25
+// DynamicsCompressorNode adds makeup gain of 0.6 × the reduction at full scale
+// (Web Audio spec), which would push the ceiling back up; a trim takes it off
+const LIMITER_MAKEUP_DB = -0.6 * (LIMITER_THRESHOLD_DB - LIMITER_THRESHOLD_DB / LIMITER_RATIO)
+
+// Safety bounds for cadence-driven parameters
+const PARAM_BOUNDS = {
+  gain: [0, MAX_GAIN],
+  cutoffHz: [20, 20000],
+  breathHz: [0.05, 0.2],
+  musicCutoffHz: [20, 20000]
+}
+
+// Clamp a parameter to its safety bounds (0-1 for soundscape intensities)
+export function clampAudioParam(name, value) {
+  const [min, max] = PARAM_BOUNDS[name] || [0, 1]
+  return Math.min(Math.max(value, min), max)
+}
+
+// Load the streaming noise processor; false when AudioWorklet is unavailable
+export async function loadNoiseWorklet(context) {
+  if (!context.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+    console.warn('AudioWorklet not available - using looped noise buffers')
+    return false
+  }
+
+  try {
+    await context.audioWorklet.addModule(noiseProcessorUrl)
+    return true
+  } catch (error) {
+    console.warn('Could not load noise worklet - using looped noise buffers:', error)
+    return false
+  }
+}
+
+// Create a noise voice for a color, fading in over fadeSeconds
+// Streams from the worklet when it is loaded (useWorklet), otherwise loops a
+// generated buffer, cached per color and seed in buffers.
+// Returns { level, fade, stop(delaySeconds) } with fade connected to destination;
+// level is the amplitude AudioParam (for modulation), fade the crossfade gain
+export function createNoiseVoice(context, color, { fadeSeconds = 0, destination, useWorklet = false, seed = null, buffers = new Map() }) {
+  const currentTime = context.currentTime
+
+  const fade = context.createGain()
+  if (fadeSeconds > 0) {
+    fade.gain.setValueAtTime(0, currentTime)
+    fade.gain.linearRampToValueAtTime(1, currentTime + fadeSeconds)
+  } else {
+    fade.gain.setValueAtTime(1, currentTime)
+  }
+  fade.connect(destination)
+
+  if (useWorklet) {
+    const node = new AudioWorkletNode(context, NOISE_PROCESSOR_NAME, {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      processorOptions: { color, seed: seed !== null ? seed : undefined }
+    })
+    node.connect(fade)
+
+    return {
+      level: node.parameters.get('amplitude'),
+      fade,
+      stop(delaySeconds = 0) {
+        setTimeout(() => {
+          node.port.postMessage({ type: 'stop' })
+          node.disconnect()
+          fade.disconnect()
+        }, delaySeconds * 1000)
+      }
+    }
+  }
+
+  const bufferKey = seed !== null ? `${color}:${seed}` : color
+  if (!buffers.has(bufferKey)) {
+    buffers.set(bufferKey, createNoiseBuffer(context, color, { seed: seed !== null ? seed : undefined }))
+  }
+
+  const source = context.createBufferSource()
+  source.buffer = buffers.get(bufferKey)
+  source.loop = true
+
+  const level = context.createGain()
+  source.connect(level)
+  level.connect(fade)
+  source.onended = () => {
+    source.disconnect()
+    level.disconnect()
+    fade.disconnect()
+  }
+  source.start()
+
+  return {
+    level: level.gain,
+    fade,
+    stop(delaySeconds = 0) {
+      source.stop(context.currentTime + delaySeconds)
+    }
+  }
+}
+
+// Build and connect the graph (the breath LFO starts right away)
+// options:
+//   noiseLevel      - initial noise mixer level
+//   breathPatternId - breath pattern for the LFO (see breath/patterns.js)
+//   reverb          - { spaceId, size, mix, seed } for the reverb (see reverb.js)
+// Returns the nodes; noise voices connect to tiltFilter, music to musicGain,
+// other sources the bells duck to duckGain, and limiterTrim is the output (for metering)
+export function createAudioGraph(context, {
+  noiseLevel = 1,
+  breathPatternId = DEFAULT_BREATH_PATTERN_ID,
+  reverb: reverbOptions = { spaceId: DEFAULT_REVERB_SPACE, size: DEFAULT_REVERB_SIZE, mix: 0 }
+} = {}) {
+  const currentTime = context.currentTime
+
+  // Create lowpass filter for pink-ish tilt
+  const lowpassFilter = context.createBiquadFilter()
+  lowpassFilter.type = 'lowpass'
+  lowpassFilter.frequency.setValueAtTime(DEFAULT_CUTOFF_HZ, currentTime)
+  lowpassFilter.Q.setValueAtTime(1, currentTime)
+
+  // Low shelf for fine tonal adjustment (flat - noise colors are shaped at the source)
+  const tiltFilter = context.createBiquadFilter()
+  tiltFilter.type = 'lowshelf'
+  tiltFilter.frequency.setValueAtTime(300, currentTime)
+  tiltFilter.gain.setValueAtTime(0, currentTime)
+
+  // Create master gain node
+  const masterGain = context.createGain()
+  masterGain.gain.setValueAtTime(DEFAULT_GAIN, currentTime)
+
+  // Create visibility gain node for tab switching
+  const visibilityGain = context.createGain()
+  visibilityGain.gain.setValueAtTime(1.0, currentTime)
+
+  // Create output limiter (a hard-kneed compressor)
+  const limiter = context.createDynamicsCompressor()
+  limiter.threshold.setValueAtTime(LIMITER_THRESHOLD_DB, currentTime)
+  limiter.knee.setValueAtTime(0, currentTime)
+  limiter.ratio.setValueAtTime(LIMITER_RATIO, currentTime)
+  limiter.attack.setValueAtTime(LIMITER_ATTACK_SECONDS, currentTime)
+  limiter.release.setValueAtTime(LIMITER_RELEASE_SECONDS, currentTime)
+  const limiterTrim = context.createGain()
+  limiterTrim.gain.setValueAtTime(Math.pow(10, -LIMITER_MAKEUP_DB / 20), currentTime)
+
+  // Create breathing LFO (starts looping right away)
+  const breathLfo = createBreathLfo(context, { patternId: breathPatternId, breathHz: DEFAULT_BREATH_HZ })
+
+  // Create breath modulation gain node
+  const breathModGain = context.createGain()
+  breathModGain.gain.setValueAtTime(BREATH_DEPTH, currentTime)
+
+  // Connect breathing modulation to master gain
+  breathLfo.output.connect(breathModGain)
+  breathModGain.connect(masterGain.gain)
+
+  // Create noise mixer level
+  const noiseLevelGain = context.createGain()
+  noiseLevelGain.gain.setValueAtTime(noiseLevel, currentTime)
+
+  // Create spectral shaper (flat until a noise fingerprint is applied)
+  const spectralShaper = createSpectralShaper(context)
+
+  // Create noise/music balance (music silent until a track plays as a music bed)
+  const noiseBalanceGain = context.createGain()
+  noiseBalanceGain.gain.setValueAtTime(1, currentTime)
+  const musicGain = context.createGain()
+  musicGain.gain.setValueAtTime(0, currentTime)
+
+  // Create duck gain (dips the noise, music and soundscape under a bell)
+  const duckGain = context.createGain()
+  duckGain.gain.setValueAtTime(1, currentTime)
+
+  // Create reverb (procedural impulse responses, dry until mixed in)
+  const reverb = createReverb(context, reverbOptions)
+
+  tiltFilter.connect(spectralShaper.input)
+  spectralShaper.output.connect(lowpassFilter)
+  lowpassFilter.connect(noiseLevelGain)
+  noiseLevelGain.connect(noiseBalanceGain)
+  noiseBalanceGain.connect(duckGain)
+  musicGain.connect(duckGain)
+  duckGain.connect(reverb.input)
+  reverb.output.connect(masterGain)
+  masterGain.connect(visibilityGain)
+  visibilityGain.connect(limiter)
+  limiter.connect(limiterTrim)
+  limiterTrim.connect(context.destination)
+
+  return {
+    tiltFilter,
+    spectralShaper,
+    lowpassFilter,
+    noiseLevelGain,
+    noiseBalanceGain,
+    musicGain,
+    duckGain,
+    reverb,
+    masterGain,
+    visibilityGain,
+    limiter,
+    limiterTrim,
+    breathLfo,
+    breathModGain
+  }
+}
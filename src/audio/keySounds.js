@@ -0,0 +1,249 @@
+// Keystroke sonification: each key becomes a soft note - a chime, a water
+// droplet or a kalimba pluck - placed on the next step of the breath cycle or
+// of a tempo grid. Only the key class is used (never the key): letters wander
+// a pentatonic scale, space settles low and backspace steps back down.
+// Velocity follows the instantaneous IKI, and a density limiter thins fast
+// typing so it never turns into clutter.
+
+export const KEY_SOUND_VOICES = ['chime', 'droplet', 'kalimba']
+export const KEY_SOUND_QUANTIZE_MODES = ['breath', 'tempo', 'off']
+
+// Voices: attack, partials (frequency ratio, level, decay time constant in
+// seconds) and an optional upward pitch glide (ratio over seconds)
+const VOICES = {
+  chime: {
+    attack: 0.005,
+    partials: [
+      { ratio: 1, level: 1, decay: 0.9 },
+      { ratio: 2.76, level: 0.25, decay: 0.3 },
+      { ratio: 5.4, level: 0.08, decay: 0.12 }
+    ]
+  },
+  droplet: {
+    attack: 0.002,
+    partials: [{ ratio: 1, level: 1, decay: 0.07 }],
+    glide: { ratio: 1.8, seconds: 0.06 } // Drops "bloop" upward as the bubble closes
+  },
+  kalimba: {
+    attack: 0.002,
+    partials: [
+      { ratio: 1, level: 1, decay: 0.6 },
+      { ratio: 6.1, level: 0.3, decay: 0.04 } // Tine overtone, gone almost at once
+    ]
+  }
+}
+const NOTE_LEVEL = 0.35
+const DECAY_TIME_CONSTANTS = 6 // Oscillators stop once this many decays have passed
+
+// Pitch: major pentatonic over two octaves from C5 for letters; space plays
+// C4 or G4, backspace one step below the last letter, an octave down
+const PENTATONIC_STEPS = [0, 2, 4, 7, 9]
+const LETTER_BASE_MIDI = 72
+const LETTER_DEGREES = 10
+const SPACE_MIDI = [60, 67]
+const DELETE_LEVEL = 0.6 // Backspace is quieter
+const SOUNDING_KEY_CLASSES = ['printable', 'space', 'delete'] // Others stay silent
+
+// Velocity: light when typing fast, fuller after a pause
+const FAST_IKI_MS = 80
+const SLOW_IKI_MS = 600
+const MIN_VELOCITY = 0.3
+const FIRST_KEY_VELOCITY = 0.8
+
+// Quantizing
+const BREATH_STEPS_PER_CYCLE = 16
+const DEFAULT_TEMPO_BPM = 72 // Eighth notes of this without a beat-locked track
+const SCHEDULE_AHEAD_SECONDS = 0.02 // Never schedule in the past
+
+// Density limiter: notes at least a short gap apart (so one per grid step),
+// and a token bucket on top
+const MIN_NOTE_GAP_SECONDS = 0.12
+const MAX_NOTES_PER_SECOND = 3
+const MAX_NOTE_BURST = 4
+
+// MIDI note number to Hz
+function midiToHz(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12)
+}
+
+// MIDI note of a pentatonic degree above a base note
+function pentatonicMidi(base, degree) {
+  const octave = Math.floor(degree / PENTATONIC_STEPS.length)
+  const step = ((degree % PENTATONIC_STEPS.length) + PENTATONIC_STEPS.length) % PENTATONIC_STEPS.length
+  return base + octave * 12 + PENTATONIC_STEPS[step]
+}
+
+// Note velocity (MIN_VELOCITY-1) from the IKI before the key (null for the first)
+export function velocityForIki(ikiMs) {
+  if (ikiMs === null || ikiMs === undefined) return FIRST_KEY_VELOCITY
+
+  const t = Math.min(Math.max((ikiMs - FAST_IKI_MS) / (SLOW_IKI_MS - FAST_IKI_MS), 0), 1)
+  return MIN_VELOCITY + (1 - MIN_VELOCITY) * t
+}
+
+// Next step of the breath cycle at or after time on a breath clock (see breath/clock.js)
+export function nextBreathStep(clock, time) {
+  const steps = clock.positionAt(time) * BREATH_STEPS_PER_CYCLE
+  return time + (Math.ceil(steps) - steps) / (clock.cyclesPerSecondAt(time) * BREATH_STEPS_PER_CYCLE)
+}
+
+// Next eighth note at or after time: on the uploaded track's beats and halfway
+// between them when they are locked (see beatModulator.js getBeatGrid),
+// otherwise on a steady DEFAULT_TEMPO_BPM grid
+export function nextTempoStep(grid, time) {
+  if (!grid || !grid.beatLocked || grid.beats.length === 0 || !(grid.duration > 0)) {
+    const step = 60 / DEFAULT_TEMPO_BPM / 2
+    return Math.ceil(time / step) * step
+  }
+
+  const loopTime = ((time - grid.startTime) % grid.duration + grid.duration) % grid.duration
+  const loopStart = time - loopTime
+  const { beats } = grid
+
+  for (let i = 0; i < beats.length; i++) {
+    if (beats[i] >= loopTime) return loopStart + beats[i]
+
+    const next = i + 1 < beats.length ? beats[i + 1] : grid.duration + beats[0]
+    const half = (beats[i] + next) / 2
+    if (half >= loopTime) return loopStart + half
+  }
+
+  return loopStart + grid.duration + beats[0]
+}
+
+// Create the keystroke voice
+// options:
+//   destination    - where notes go (the master gain, so they breathe with the rest)
+//   getBreathClock - () => the breath LFO's clock, for quantizing to the breath
+//   getBeatGrid    - () => the uploaded track's beat grid or null, for the tempo grid
+//   voice          - one of KEY_SOUND_VOICES
+//   quantize       - one of KEY_SOUND_QUANTIZE_MODES
+//   level          - volume (0-1)
+// Returns { play(keyClass, ikiMs), setVoice(voice), setQuantize(mode),
+// setLevel(level), stop() }
+export function createKeySounds(context, { destination, getBreathClock, getBeatGrid, voice = 'chime', quantize = 'breath', level = 1 }) {
+  const output = context.createGain()
+  output.gain.setValueAtTime(level, context.currentTime)
+  output.connect(destination)
+
+  const voices = new Set()
+  let currentVoice = voice
+  let quantizeMode = quantize
+  let letterDegree = Math.floor(LETTER_DEGREES / 2)
+  let spaceIndex = 0
+  let lastNoteTime = -Infinity
+  let tokens = MAX_NOTE_BURST
+  let tokensAt = context.currentTime
+
+  // Note for a sounding key class as { midi, gain }, moving the melody on
+  function chooseNote(keyClass) {
+    if (keyClass === 'printable') {
+      // Wander by one or two steps, turning back at the ends of the range
+      const step = (Math.random() < 0.5 ? 1 : 2) * (Math.random() < 0.5 ? -1 : 1)
+      letterDegree += letterDegree + step < 0 || letterDegree + step >= LETTER_DEGREES ? -step : step
+      return { midi: pentatonicMidi(LETTER_BASE_MIDI, letterDegree), gain: 1 }
+    }
+
+    if (keyClass === 'space') {
+      spaceIndex = (spaceIndex + 1) % SPACE_MIDI.length
+      return { midi: SPACE_MIDI[spaceIndex], gain: 1 }
+    }
+
+    // Backspace
+    letterDegree = Math.max(letterDegree - 1, 0)
+    return { midi: pentatonicMidi(LETTER_BASE_MIDI - 12, letterDegree), gain: DELETE_LEVEL }
+  }
+
+  // When a key pressed now sounds
+  function nextNoteTime() {
+    const time = context.currentTime + SCHEDULE_AHEAD_SECONDS
+
+    if (quantizeMode === 'breath') {
+      const clock = getBreathClock()
+      if (clock) return nextBreathStep(clock, time)
+    }
+    if (quantizeMode === 'tempo') {
+      return nextTempoStep(getBeatGrid(), time)
+    }
+    return time
+  }
+
+  // Take a token from the bucket (refilled at MAX_NOTES_PER_SECOND)
+  function takeToken() {
+    const currentTime = context.currentTime
+    tokens = Math.min(tokens + (currentTime - tokensAt) * MAX_NOTES_PER_SECOND, MAX_NOTE_BURST)
+    tokensAt = currentTime
+
+    if (tokens < 1) return false
+    tokens -= 1
+    return true
+  }
+
+  function playPartial(frequency, peak, partial, spec, time) {
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(0, time)
+    envelope.gain.linearRampToValueAtTime(peak * partial.level, time + spec.attack)
+    envelope.gain.setTargetAtTime(0, time + spec.attack, partial.decay)
+    envelope.connect(output)
+
+    const oscillator = context.createOscillator()
+    oscillator.type = 'sine'
+    oscillator.frequency.setValueAtTime(frequency * partial.ratio, time)
+    if (spec.glide) {
+      oscillator.frequency.exponentialRampToValueAtTime(frequency * partial.ratio * spec.glide.ratio, time + spec.glide.seconds)
+    }
+    oscillator.connect(envelope)
+    oscillator.onended = () => {
+      voices.delete(oscillator)
+      oscillator.disconnect()
+      envelope.disconnect()
+    }
+    oscillator.start(time)
+    oscillator.stop(time + spec.attack + partial.decay * DECAY_TIME_CONSTANTS)
+    voices.add(oscillator)
+  }
+
+  return {
+    // Sound a keystroke (keyClass from input/sources.js, ikiMs before it);
+    // returns whether a note was scheduled
+    play(keyClass, ikiMs = null) {
+      if (!SOUNDING_KEY_CLASSES.includes(keyClass)) return false
+
+      // Keys landing on a taken step, or too close behind the last note, are
+      // dropped before they move the melody, so what plays steps through the scale
+      const time = nextNoteTime()
+      if (time < lastNoteTime + MIN_NOTE_GAP_SECONDS || !takeToken()) return false
+      lastNoteTime = time
+
+      const note = chooseNote(keyClass)
+
+      const spec = VOICES[currentVoice]
+      const peak = NOTE_LEVEL * note.gain * velocityForIki(ikiMs)
+      for (const partial of spec.partials) {
+        playPartial(midiToHz(note.midi), peak, partial, spec, time)
+      }
+      return true
+    },
+
+    setVoice(nextVoice) {
+      currentVoice = nextVoice
+    },
+
+    setQuantize(mode) {
+      quantizeMode = mode
+    },
+
+    // Volume (0-1)
+    setLevel(nextLevel) {
+      output.gain.setTargetAtTime(nextLevel, context.currentTime, 0.05)
+    },
+
+    stop() {
+      for (const oscillator of voices) {
+        oscillator.stop()
+      }
+      voices.clear()
+      output.disconnect()
+    }
+  }
+}
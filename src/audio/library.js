@@ -0,0 +1,121 @@
+// Sound library: uploaded files and their cached analysis, kept in IndexedDB
+// so they survive reloads. Metadata (name, rhythm analysis, noise fingerprint)
+// and the audio itself live in separate stores, so listing the library never
+// loads the files.
+
+const DB_NAME = 'calm-flow'
+const DB_VERSION = 1
+const SOUNDS_STORE = 'sounds' // { id, name, type, size, addedAt, analysis, fingerprint }
+const AUDIO_STORE = 'audio'   // { id, blob }
+
+let databasePromise = null
+
+// Resolve with an IDBRequest's result
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Resolve once a write transaction has committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+// Open (and create on first use) the library database
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const database = request.result
+        database.createObjectStore(SOUNDS_STORE, { keyPath: 'id' })
+        database.createObjectStore(AUDIO_STORE, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+    // Let a later call try again
+    databasePromise.catch(() => {
+      databasePromise = null
+    })
+  }
+  return databasePromise
+}
+
+// List saved sounds, newest first
+export async function listSounds() {
+  const database = await openDatabase()
+  const sounds = await promisifyRequest(database.transaction(SOUNDS_STORE).objectStore(SOUNDS_STORE).getAll())
+  return sounds.sort((a, b) => b.addedAt.localeCompare(a.addedAt))
+}
+
+// Save an uploaded file; returns its library record
+export async function addSound(file) {
+  const sound = {
+    id: `sound-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+    name: file.name || 'Untitled',
+    type: file.type,
+    size: file.size,
+    addedAt: new Date().toISOString(),
+    analysis: null,
+    fingerprint: null
+  }
+
+  const database = await openDatabase()
+  const transaction = database.transaction([SOUNDS_STORE, AUDIO_STORE], 'readwrite')
+  transaction.objectStore(SOUNDS_STORE).put(sound)
+  transaction.objectStore(AUDIO_STORE).put({ id: sound.id, blob: file })
+  await transactionDone(transaction)
+  return sound
+}
+
+// Get a sound's record (null if missing)
+export async function getSound(id) {
+  const database = await openDatabase()
+  const sound = await promisifyRequest(database.transaction(SOUNDS_STORE).objectStore(SOUNDS_STORE).get(id))
+  return sound || null
+}
+
+// Get a sound's audio file as a Blob (null if missing)
+export async function getSoundAudio(id) {
+  const database = await openDatabase()
+  const entry = await promisifyRequest(database.transaction(AUDIO_STORE).objectStore(AUDIO_STORE).get(id))
+  return entry ? entry.blob : null
+}
+
+// Merge changes (name, analysis, fingerprint) into a sound's record
+// Returns the updated record, or null if the sound is gone
+export async function updateSound(id, changes) {
+  const database = await openDatabase()
+  const transaction = database.transaction(SOUNDS_STORE, 'readwrite')
+  const store = transaction.objectStore(SOUNDS_STORE)
+
+  const sound = await promisifyRequest(store.get(id))
+  const updated = sound ? { ...sound, ...changes, id } : null
+  if (updated) {
+    store.put(updated)
+  }
+  await transactionDone(transaction)
+  return updated
+}
+
+// Remove a sound and its audio
+export async function deleteSound(id) {
+  const database = await openDatabase()
+  const transaction = database.transaction([SOUNDS_STORE, AUDIO_STORE], 'readwrite')
+  transaction.objectStore(SOUNDS_STORE).delete(id)
+  transaction.objectStore(AUDIO_STORE).delete(id)
+  await transactionDone(transaction)
+}
@@ -0,0 +1,153 @@
+// Output loudness metering and sound exposure
+// The meter taps the limited output through an approximate K-weighting
+// (ITU-R BS.1770: a high shelf for the head, a highpass below the bass) and
+// reads it from AnalyserNodes, giving LUFS-style momentary (400ms) and
+// short-term (3s) loudness. Levels are relative to digital full scale - how
+// loud that is in the room depends on the device volume, so exposure is only
+// estimated from a user-supplied full-scale level.
+
+export const MIN_LUFS = -70           // BS.1770's absolute gate; quieter reads as silence
+export const LOUD_LUFS = -14          // Short-term loudness counted as loud
+export const DEFAULT_FULL_SCALE_DB = 100 // dB SPL at 0 dBFS - headphones at a high volume
+
+const METER_INTERVAL_MS = 100
+const MOMENTARY_BLOCKS = 4  // 400ms
+const SHORT_TERM_BLOCKS = 30 // 3s
+const ANALYSER_FFT_SIZE = 4096
+
+// Exposure reference: 85 dBA for 8 hours, halving the time for every 3 dB (NIOSH)
+const EXPOSURE_REFERENCE_DB = 85
+const EXPOSURE_REFERENCE_SECONDS = 8 * 3600
+const EXPOSURE_EXCHANGE_DB = 3
+
+// Mean square to LUFS
+function toLufs(meanSquare) {
+  return meanSquare > 0 ? Math.max(-0.691 + 10 * Math.log10(meanSquare), MIN_LUFS) : MIN_LUFS
+}
+
+// Mean of the last count values
+function meanOfLast(values, count) {
+  const recent = values.slice(-count)
+  return recent.length > 0 ? recent.reduce((sum, value) => sum + value, 0) / recent.length : 0
+}
+
+// Meter a node's output
+// options:
+//   onBlock - (meanSquare, seconds) => called with each block's K-weighted
+//             mean square and the audio time it stands for (for exposure)
+// Returns { read(), stop() }; read() gives { momentaryLufs, shortTermLufs, peakDb, loudSeconds }
+export function createLoudnessMeter(context, source, { onBlock = null } = {}) {
+  const currentTime = context.currentTime
+
+  const shelf = context.createBiquadFilter()
+  shelf.type = 'highshelf'
+  shelf.frequency.setValueAtTime(1500, currentTime)
+  shelf.gain.setValueAtTime(4, currentTime)
+
+  const highpass = context.createBiquadFilter()
+  highpass.type = 'highpass'
+  highpass.frequency.setValueAtTime(38, currentTime)
+  highpass.Q.setValueAtTime(0.5, currentTime)
+
+  const weightedAnalyser = context.createAnalyser()
+  weightedAnalyser.fftSize = ANALYSER_FFT_SIZE
+  const peakAnalyser = context.createAnalyser()
+  peakAnalyser.fftSize = ANALYSER_FFT_SIZE
+
+  source.connect(shelf)
+  shelf.connect(highpass)
+  highpass.connect(weightedAnalyser)
+  source.connect(peakAnalyser)
+
+  const samples = new Float32Array(ANALYSER_FFT_SIZE)
+  const blocks = []
+  let peak = 0
+  let loudSeconds = 0
+  let lastTime = context.currentTime
+
+  function measure() {
+    // Audio time since the last block (none passes while the context is suspended)
+    const seconds = Math.max(context.currentTime - lastTime, 0)
+    lastTime = context.currentTime
+
+    weightedAnalyser.getFloatTimeDomainData(samples)
+    let sum = 0
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i]
+    }
+    const meanSquare = sum / samples.length
+
+    blocks.push(meanSquare)
+    if (blocks.length > SHORT_TERM_BLOCKS) {
+      blocks.shift()
+    }
+
+    peakAnalyser.getFloatTimeDomainData(samples)
+    peak = 0
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]))
+    }
+
+    // How long the output has stayed loud
+    loudSeconds = toLufs(meanOfLast(blocks, SHORT_TERM_BLOCKS)) >= LOUD_LUFS ? loudSeconds + seconds : 0
+
+    if (onBlock && seconds > 0) {
+      onBlock(meanSquare, seconds)
+    }
+  }
+
+  const intervalId = setInterval(measure, METER_INTERVAL_MS)
+
+  return {
+    read() {
+      return {
+        momentaryLufs: toLufs(meanOfLast(blocks, MOMENTARY_BLOCKS)),
+        shortTermLufs: toLufs(meanOfLast(blocks, SHORT_TERM_BLOCKS)),
+        peakDb: peak > 0 ? Math.max(20 * Math.log10(peak), MIN_LUFS) : MIN_LUFS,
+        loudSeconds
+      }
+    },
+
+    stop() {
+      clearInterval(intervalId)
+      source.disconnect(shelf)
+      source.disconnect(peakAnalyser)
+      shelf.disconnect()
+      highpass.disconnect()
+    }
+  }
+}
+
+// Accumulate a session's loudness energy
+// Returns { add(meanSquare, seconds), read() }; read() gives
+// { seconds, leqLufs } - the loudness of a steady sound with the same energy
+export function createExposureTracker() {
+  let energy = 0
+  let totalSeconds = 0
+
+  return {
+    add(meanSquare, seconds) {
+      energy += meanSquare * seconds
+      totalSeconds += seconds
+    },
+
+    read() {
+      return {
+        seconds: totalSeconds,
+        leqLufs: totalSeconds > 0 ? toLufs(energy / totalSeconds) : MIN_LUFS
+      }
+    }
+  }
+}
+
+// Estimate sound exposure from a tracker reading, given how loud full scale is
+// at the listener's volume. Returns { leqDb, dose } where dose is the fraction
+// of a daily limit used (1 = the whole day's allowance)
+export function estimateExposure({ seconds, leqLufs }, fullScaleDb = DEFAULT_FULL_SCALE_DB) {
+  const leqDb = leqLufs + fullScaleDb
+  const allowedSeconds = EXPOSURE_REFERENCE_SECONDS / Math.pow(2, (leqDb - EXPOSURE_REFERENCE_DB) / EXPOSURE_EXCHANGE_DB)
+  return {
+    leqDb,
+    dose: seconds / allowedSeconds
+  }
+}
@@ -0,0 +1,108 @@
+// Music bed: the uploaded track itself, looped under the noise
+// The loop is trimmed of the silence decoders pad tracks with and its end is
+// blended into its start, so it repeats without a gap or click. The track's
+// own lowpass is driven by typing cadence (see engine.js setParams).
+
+const SILENCE_THRESHOLD = 0.001 // About -60 dBFS
+const LOOP_FADE_SECONDS = 0.02  // Equal-power blend of the track's end into its start
+const FADE_IN_SECONDS = 1.5
+
+export const DEFAULT_MUSIC_CUTOFF_HZ = 8000
+
+// First and last+1 sample above the silence threshold in any channel
+function findAudibleRange(audioBuffer) {
+  let start = audioBuffer.length
+  let end = 0
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel)
+
+    let first = 0
+    while (first < start && Math.abs(data[first]) < SILENCE_THRESHOLD) first++
+    start = Math.min(start, first)
+
+    let last = data.length
+    while (last > end && Math.abs(data[last - 1]) < SILENCE_THRESHOLD) last--
+    end = Math.max(end, last)
+  }
+
+  return { start, end }
+}
+
+// Trim a decoded track and seam its ends for gapless looping
+// Returns a new AudioBuffer (the original when the track is too short or silent)
+export function createLoopBuffer(context, audioBuffer) {
+  const { start, end } = findAudibleRange(audioBuffer)
+  const fadeLength = Math.floor(LOOP_FADE_SECONDS * audioBuffer.sampleRate)
+  const length = end - start - fadeLength
+  if (length <= fadeLength) return audioBuffer
+
+  const buffer = context.createBuffer(audioBuffer.numberOfChannels, length, audioBuffer.sampleRate)
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const source = audioBuffer.getChannelData(channel)
+    const data = buffer.getChannelData(channel)
+    data.set(source.subarray(start, start + length))
+
+    // The samples past the loop end fade out over the first ones, so the last
+    // sample of the loop flows straight into the first
+    for (let i = 0; i < fadeLength; i++) {
+      const angle = (i / fadeLength) * Math.PI / 2
+      data[i] = source[start + i] * Math.sin(angle) + source[start + length + i] * Math.cos(angle)
+    }
+  }
+
+  return buffer
+}
+
+// Play a loop buffer into destination through its own lowpass
+// The track's timeline starts at startTime (context seconds) - joining later
+// picks up where that timeline is, so the music stays on the beat grid.
+// Returns { cutoff, stop(fadeSeconds) }; cutoff is the lowpass frequency AudioParam
+export function createMusicBed(context, buffer, {
+  destination,
+  startTime = context.currentTime,
+  gain = 1,
+  cutoffHz = DEFAULT_MUSIC_CUTOFF_HZ,
+  fadeSeconds = FADE_IN_SECONDS
+} = {}) {
+  const when = Math.max(startTime, context.currentTime)
+  const offset = ((when - startTime) % buffer.duration + buffer.duration) % buffer.duration
+
+  const source = context.createBufferSource()
+  source.buffer = buffer
+  source.loop = true
+
+  const filter = context.createBiquadFilter()
+  filter.type = 'lowpass'
+  filter.frequency.setValueAtTime(cutoffHz, context.currentTime)
+  filter.Q.setValueAtTime(0.7, context.currentTime)
+
+  const fade = context.createGain()
+  fade.gain.setValueAtTime(0, context.currentTime)
+  fade.gain.setValueAtTime(0, when)
+  fade.gain.linearRampToValueAtTime(gain, when + fadeSeconds)
+
+  source.connect(filter)
+  filter.connect(fade)
+  fade.connect(destination)
+  source.onended = () => {
+    source.disconnect()
+    filter.disconnect()
+    fade.disconnect()
+  }
+  source.start(when, offset)
+
+  return {
+    cutoff: filter.frequency,
+
+    // Fade out and stop once silent
+    stop(fadeSeconds = 0) {
+      const currentTime = context.currentTime
+      fade.gain.cancelScheduledValues(currentTime)
+      fade.gain.setValueAtTime(fade.gain.value, currentTime)
+      fade.gain.linearRampToValueAtTime(0, currentTime + fadeSeconds)
+      source.stop(currentTime + fadeSeconds)
+    }
+  }
+}
@@ -0,0 +1,172 @@
+// Colored noise generators
+// Each color has its own spectral slope and a gain that brings it to the same
+// RMS, so switching colors changes the timbre, not the loudness. Shared by the
+// streaming AudioWorklet (noiseProcessor.js) and the looped-buffer fallback.
+
+export const NOISE_COLORS = ['white', 'pink', 'brown', 'blue', 'violet', 'grey']
+export const DEFAULT_NOISE_COLOR = 'pink'
+
+// Name the streaming processor registers under (see noiseProcessor.js)
+export const NOISE_PROCESSOR_NAME = 'calm-flow-noise'
+
+const NOISE_BUFFER_SECONDS = 4
+const LOOP_FADE_SECONDS = 0.05 // Crossfade between buffer end and start so loops are seamless
+
+// Gains bringing each generator (fed uniform white noise) to an RMS of about 0.3
+const COLOR_GAINS = {
+  white: 0.52,
+  pink: 0.17,
+  brown: 5.2,
+  blue: 0.28,
+  violet: 0.37,
+  grey: 0.62
+}
+
+// Sample generators - each returns a function producing the next sample
+// from white noise input in [-1, 1]
+
+// Flat spectrum
+function whiteGenerator() {
+  return (white) => white
+}
+
+// -3 dB/octave (Paul Kellet's refined filter)
+function pinkGenerator() {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0
+
+  return (white) => {
+    b0 = 0.99886 * b0 + white * 0.0555179
+    b1 = 0.99332 * b1 + white * 0.0750759
+    b2 = 0.96900 * b2 + white * 0.1538520
+    b3 = 0.86650 * b3 + white * 0.3104856
+    b4 = 0.55000 * b4 + white * 0.5329522
+    b5 = -0.7616 * b5 + white * 0.0168980
+
+    const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362
+    b6 = white * 0.115926
+    return pink
+  }
+}
+
+// -6 dB/octave (leaky integrator, so it cannot drift away from zero)
+function brownGenerator() {
+  let last = 0
+
+  return (white) => {
+    last = (last + 0.02 * white) / 1.02
+    return last
+  }
+}
+
+// +3 dB/octave (differentiated pink)
+function blueGenerator() {
+  const pink = pinkGenerator()
+  let last = 0
+
+  return (white) => {
+    const value = pink(white)
+    const blue = value - last
+    last = value
+    return blue
+  }
+}
+
+// +6 dB/octave (differentiated white)
+function violetGenerator() {
+  let last = 0
+
+  return (white) => {
+    const violet = white - last
+    last = white
+    return violet
+  }
+}
+
+// Roughly inverse equal-loudness: boosted lows and top octave around a white
+// core, so every band sounds about equally loud
+function greyGenerator() {
+  const brown = brownGenerator()
+  const violet = violetGenerator()
+
+  return (white) => brown(white) * 6 + white * 0.35 + violet(white) * 0.15
+}
+
+const GENERATORS = {
+  white: whiteGenerator,
+  pink: pinkGenerator,
+  brown: brownGenerator,
+  blue: blueGenerator,
+  violet: violetGenerator,
+  grey: greyGenerator
+}
+
+// Seeded PRNG (mulberry32) returning numbers in [0, 1)
+// Without a seed, a random one is picked
+export function createRandom(seed = Math.floor(Math.random() * 0x100000000)) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000
+  }
+}
+
+// Seed for one of several voices sharing a seed, so each gets its own stream
+// (voices of the same color would otherwise play identical noise)
+export function deriveSeed(seed, voiceName) {
+  let hash = (seed >>> 0) ^ 0x811C9DC5
+  for (let i = 0; i < voiceName.length; i++) {
+    hash = Math.imul(hash ^ voiceName.charCodeAt(i), 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Create a streaming generator for a color
+// Returns next(white) producing a level-matched sample clipped to [-1, 1]
+export function createNoiseGenerator(color) {
+  const createGenerator = GENERATORS[color]
+  if (!createGenerator) {
+    throw new Error(`Unknown noise color: ${color}`)
+  }
+
+  const next = createGenerator()
+  const gain = COLOR_GAINS[color]
+  return (white) => Math.min(Math.max(next(white) * gain, -1), 1)
+}
+
+// Fill an array with colored noise
+// random: () => number in [0, 1) (Math.random by default)
+export function generateNoise(color, length, { random = Math.random } = {}) {
+  const next = createNoiseGenerator(color)
+  const data = new Float32Array(length)
+
+  for (let i = 0; i < length; i++) {
+    data[i] = next(random() * 2 - 1)
+  }
+
+  return data
+}
+
+// Create a seamlessly looping AudioBuffer of colored noise
+// (fallback when AudioWorklet is unavailable)
+export function createNoiseBuffer(context, color, { seconds = NOISE_BUFFER_SECONDS, seed } = {}) {
+  const length = Math.floor(seconds * context.sampleRate)
+  const fadeLength = Math.floor(LOOP_FADE_SECONDS * context.sampleRate)
+
+  // Generate extra samples and blend them into the start: the last sample of
+  // the loop then flows straight into the first
+  const noise = generateNoise(color, length + fadeLength, { random: createRandom(seed) })
+  const buffer = context.createBuffer(1, length, context.sampleRate)
+  const data = buffer.getChannelData(0)
+
+  data.set(noise.subarray(0, length))
+  for (let i = 0; i < fadeLength; i++) {
+    const t = i / fadeLength
+    data[i] = noise[i] * t + noise[length + i] * (1 - t)
+  }
+
+  return buffer
+}
@@ -0,0 +1,57 @@
+// Streaming noise AudioWorklet processor
+// Generates colored noise sample by sample, so there is no loop to hear.
+// processorOptions: { color, seed }; messages: { type: 'color' | 'seed' | 'stop' }
+// AudioParam: amplitude (0-1, a-rate)
+
+import { createNoiseGenerator, createRandom, DEFAULT_NOISE_COLOR, NOISE_COLORS, NOISE_PROCESSOR_NAME } from './noise.js'
+
+class NoiseProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'amplitude', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'a-rate' }
+    ]
+  }
+
+  constructor(options) {
+    super()
+
+    const { color = DEFAULT_NOISE_COLOR, seed } = (options && options.processorOptions) || {}
+    this.random = createRandom(seed)
+    this.color = NOISE_COLORS.includes(color) ? color : DEFAULT_NOISE_COLOR
+    this.next = createNoiseGenerator(this.color)
+    this.active = true
+
+    this.port.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'color' && NOISE_COLORS.includes(message.color)) {
+        this.color = message.color
+        this.next = createNoiseGenerator(message.color)
+      } else if (message.type === 'seed') {
+        this.random = createRandom(message.seed)
+      } else if (message.type === 'stop') {
+        // Returning false lets the node be garbage collected
+        this.active = false
+      }
+    }
+  }
+
+  process(inputs, outputs, parameters) {
+    const output = outputs[0]
+    const amplitude = parameters.amplitude
+    const first = output[0]
+
+    for (let i = 0; i < first.length; i++) {
+      const level = amplitude.length > 1 ? amplitude[i] : amplitude[0]
+      first[i] = this.next(this.random() * 2 - 1) * level
+    }
+
+    // Same noise on every channel
+    for (let channel = 1; channel < output.length; channel++) {
+      output[channel].set(first)
+    }
+
+    return this.active
+  }
+}
+
+registerProcessor(NOISE_PROCESSOR_NAME, NoiseProcessor)
@@ -0,0 +1,86 @@
+// Playlist of library sounds: each plays once through, then the next one
+// crossfades in, wrapping around at the end. A single sound just keeps looping.
+
+const MIN_ITEM_SECONDS = 5 // Never move on sooner than this, however long the crossfade
+
+// Create a playlist over sound ids
+// options:
+//   play                - async (id) => seconds the sound lasts (null if it couldn't play)
+//   getCrossfadeSeconds - () => current source crossfade, so the next sound starts
+//                         fading in as the current one reaches its end
+//   onItem              - (id, index) => called when a sound starts
+export function createPlaylist(ids, { play, getCrossfadeSeconds = () => 0, onItem = () => {} } = {}) {
+  let index = -1
+  let timerId = null
+  let running = false
+  let failures = 0
+
+  function clearTimer() {
+    if (timerId !== null) {
+      clearTimeout(timerId)
+      timerId = null
+    }
+  }
+
+  async function advance() {
+    clearTimer()
+    if (!running || ids.length === 0) return
+
+    index = (index + 1) % ids.length
+    const id = ids[index]
+
+    let seconds = null
+    try {
+      seconds = await play(id)
+    } catch (error) {
+      console.error('Playlist could not play sound:', id, error)
+    }
+    if (!running) return
+
+    // Skip sounds that fail, giving up once none of them play
+    if (!(seconds > 0)) {
+      failures++
+      if (failures >= ids.length) {
+        console.warn('No playable sounds in playlist')
+        running = false
+        return
+      }
+      advance()
+      return
+    }
+
+    failures = 0
+    onItem(id, index)
+    if (ids.length > 1) {
+      timerId = setTimeout(advance, Math.max(seconds - getCrossfadeSeconds(), MIN_ITEM_SECONDS) * 1000)
+    }
+  }
+
+  return {
+    start() {
+      if (running) return
+      running = true
+      index = -1
+      failures = 0
+      advance()
+    },
+
+    stop() {
+      running = false
+      clearTimer()
+    },
+
+    // Skip to the next sound
+    next() {
+      if (running) advance()
+    },
+
+    isRunning() {
+      return running
+    },
+
+    getCurrentId() {
+      return index >= 0 ? ids[index] : null
+    }
+  }
+}
@@ -0,0 +1,207 @@
+// Offline session render: minutes of Calm Flow audio as a WAV file, for
+// devices where the app doesn't run or for looping overnight.
+// Builds the live engine's graph (graph.js) in an OfflineAudioContext and
+// automates it from a mapping preset - either at rest (fixed parameters) or
+// following a recorded cadence trace replayed on a virtual clock. Soundscape
+// layers and the music bed are not rendered, and the reverb keeps the size
+// the preset gives at rest.
+
+import { createAudioGraph, createNoiseVoice, loadNoiseWorklet, clampAudioParam } from './graph.js'
+import { DEFAULT_NOISE_COLOR, deriveSeed } from './noise.js'
+import { DEFAULT_REVERB_SPACE, DEFAULT_REVERB_SIZE } from './reverb.js'
+import { createImpulseResponseInBackground } from './backgroundAnalysis.js'
+import { blendLoopSeam } from './wav.js'
+import { DEFAULT_BREATH_PATTERN_ID } from '../breath/patterns.js'
+import { createMappingEngine } from '../mapping/mappingEngine.js'
+import { chooseTimeConstant, createParamSmoother } from '../mapping/smoother.js'
+import { createCadenceAnalyzer } from '../input/cadence.js'
+import { createStateClassifier } from '../input/stateClassifier.js'
+import { normalizeTrace } from '../input/recorder.js'
+import { DEFAULT_IKI_RANGE } from '../input/calibration.js'
+
+export const MAX_RENDER_MINUTES = 30 // About 160 MB of 16-bit mono WAV
+
+const RENDER_SAMPLE_RATE = 44100
+const AUTOMATION_STEP_MS = 250 // Cadence is sampled and parameters scheduled at this rate
+const LOOP_FADE_SECONDS = 2    // The render's end is blended into its start so the file loops
+const REST_IKI_MS = 600        // Matches the cadence analyzer's resting IKI
+const PROGRESS_STEPS = 10
+
+// Graph parameters driven by the mapping (the live engine's setParams targets),
+// as [AudioParam, value => param value]; the breath rate becomes the LFO's playback rate
+function getAutomatedParams(graph) {
+  return {
+    gain: [graph.masterGain.gain, value => value],
+    cutoffHz: [graph.lowpassFilter.frequency, value => value],
+    breathHz: [graph.breathLfo.getRateParam(), value => graph.breathLfo.rateFor(value)]
+  }
+}
+
+// Snapshot of someone who has stopped typing, as the analyzer settles while idle
+function createRestSnapshot() {
+  return {
+    lastIkiMs: null,
+    emaIkiMs: REST_IKI_MS,
+    effectiveIkiMs: REST_IKI_MS,
+    isIdle: true,
+    lastKeyAt: null,
+    medianIkiMs: REST_IKI_MS,
+    ikiVariance: 0,
+    ikiJitterMs: 0,
+    burstLength: 0,
+    pauseCount: 0,
+    pauseDurationMs: 0,
+    wpm: 0,
+    deleteRate: 0,
+    state: 'idle'
+  }
+}
+
+// Keystroke times (ms) of a trace looped to fill durationMs, keeping the gap
+// between last and first key equal to the trace's first interval (as replays do)
+function* loopTraceEvents(events, durationMs) {
+  if (events.length === 0) return
+
+  const gap = events.length > 1 ? events[1][0] - events[0][0] : 0
+  const period = events[events.length - 1][0] + gap
+  if (!(period > 0)) return
+
+  for (let offset = 0; offset < durationMs; offset += period) {
+    for (const [t, keyClass] of events) {
+      if (offset + t >= durationMs) return
+      yield [offset + t, keyClass]
+    }
+  }
+}
+
+// Render a session (mono, loopable) to { buffer, length }: the rendered
+// AudioBuffer, of which the first length samples (exactly minutes long) loop
+// options:
+//   minutes         - length (up to MAX_RENDER_MINUTES)
+//   preset          - mapping preset (see mapping/presets)
+//   ikiRange        - IKI range for the mapping ({ min, max } ms)
+//   trace           - cadence trace to follow (see input/recorder.js); null renders the preset at rest
+//   noiseColor      - built-in noise color
+//   breathPatternId - breath pattern for the gain modulation (see breath/patterns.js)
+//   fingerprint     - noise fingerprint to shape the noise with (see fingerprint.js), or null
+//   reverbSpaceId   - reverb space (see reverb.js)
+//   reverbMix       - reverb wet/dry mix (0 = dry)
+//   seed            - PRNG seed for reproducible noise (the same noise as createAudioEngine({ noiseSeed }))
+//   onProgress      - (fraction) => called as rendering proceeds
+export async function renderSession({
+  minutes = 10,
+  preset,
+  ikiRange = DEFAULT_IKI_RANGE,
+  trace = null,
+  noiseColor = DEFAULT_NOISE_COLOR,
+  breathPatternId = DEFAULT_BREATH_PATTERN_ID,
+  fingerprint = null,
+  reverbSpaceId = DEFAULT_REVERB_SPACE,
+  reverbMix = 0,
+  seed = null,
+  onProgress = null
+} = {}) {
+  if (!(minutes > 0) || minutes > MAX_RENDER_MINUTES) {
+    throw new Error(`Length must be between 0 and ${MAX_RENDER_MINUTES} minutes`)
+  }
+
+  const durationMs = minutes * 60000 + LOOP_FADE_SECONDS * 1000
+  const context = new OfflineAudioContext(1, Math.ceil(durationMs / 1000 * RENDER_SAMPLE_RATE), RENDER_SAMPLE_RATE)
+
+  // Mapping exactly as the app does it
+  const mappingEngine = createMappingEngine(preset, { ikiRange })
+  const restParams = mappingEngine.map(createRestSnapshot()).audio
+
+  // Same graph and noise source as the live engine (responses can't be
+  // regenerated mid-render, so the reverb size stays at rest)
+  const useWorklet = await loadNoiseWorklet(context)
+  const graph = createAudioGraph(context, {
+    breathPatternId,
+    reverb: {
+      spaceId: reverbSpaceId,
+      size: restParams.reverbSize !== undefined ? clampAudioParam('reverbSize', restParams.reverbSize) : DEFAULT_REVERB_SIZE,
+      mix: reverbMix,
+      seed: seed !== null ? seed : undefined,
+      loadResponse: (spaceId, size, responseSeed) => createImpulseResponseInBackground(context, spaceId, size, responseSeed)
+    }
+  })
+  createNoiseVoice(context, noiseColor, {
+    destination: graph.tiltFilter,
+    useWorklet,
+    seed: seed !== null ? deriveSeed(seed, 'noise') : null // The live engine's seed for its noise voice
+  })
+  if (fingerprint) {
+    graph.spectralShaper.setFingerprint(fingerprint)
+  }
+
+  // Gliding exactly as the app does it
+  const timeConstants = mappingEngine.getTimeConstants().audio
+  const smoother = createParamSmoother(timeConstants) // Tracks each value, since params can't be read mid-render
+  const params = getAutomatedParams(graph)
+
+  function schedule(audioParams, time) {
+    for (const [name, [param, toParamValue]] of Object.entries(params)) {
+      if (audioParams[name] === undefined) continue
+
+      const target = clampAudioParam(name, audioParams[name])
+      const current = smoother.get(name)
+      if (current === undefined) {
+        param.setValueAtTime(toParamValue(target), time)
+      } else if (target !== smoother.getTarget(name)) {
+        param.setTargetAtTime(toParamValue(target), time, chooseTimeConstant(current, target, timeConstants[name]))
+      }
+      smoother.setTarget(name, target)
+    }
+  }
+
+  if (trace) {
+    // Replay the trace through an analyzer whose clock is the render timeline
+    let virtualNow = 0
+    let snapshot = null
+    const analyzer = createCadenceAnalyzer({
+      target: null,
+      sources: [],
+      now: () => virtualNow,
+      classifier: createStateClassifier({ ikiRange })
+    })
+    analyzer.subscribe((type, detail) => {
+      if (type === 'update') snapshot = detail
+    })
+
+    const events = loopTraceEvents(normalizeTrace(trace).events, durationMs)
+    let next = events.next()
+
+    for (let time = 0; time < durationMs; time += AUTOMATION_STEP_MS) {
+      while (!next.done && next.value[0] <= time) {
+        virtualNow = next.value[0]
+        analyzer.processKeystroke(next.value[0], next.value[1])
+        next = events.next()
+      }
+      virtualNow = time
+      analyzer.tick()
+
+      if (snapshot && snapshot.effectiveIkiMs !== null) {
+        schedule(mappingEngine.map(snapshot).audio, time / 1000)
+      }
+      smoother.step(AUTOMATION_STEP_MS / 1000)
+    }
+  } else {
+    schedule(restParams, 0)
+  }
+
+  // Report progress by pausing the render at regular points
+  if (onProgress) {
+    for (let step = 1; step < PROGRESS_STEPS; step++) {
+      context.suspend(durationMs / 1000 * step / PROGRESS_STEPS).then(() => {
+        onProgress(step / PROGRESS_STEPS)
+        context.resume()
+      })
+    }
+  }
+
+  // The response is generated in the background; render once it is in place
+  await graph.reverb.whenLoaded()
+  const rendered = await context.startRendering()
+  if (onProgress) onProgress(1)
+  return { buffer: rendered, length: blendLoopSeam(rendered, LOOP_FADE_SECONDS) }
+}
@@ -0,0 +1,372 @@
+// Procedural reverb: impulse responses generated at runtime for a handful of
+// spaces (no IR files), played through a ConvolverNode with an equal-power
+// wet/dry mix. A response is a decaying noise tail whose highs die faster
+// than its lows, a few discrete early reflections and a pre-delay; the size
+// (0-1) stretches all three. Size can follow typing cadence, so a new size
+// regenerates the response and crossfades to it on a second convolver. The
+// engine generates responses in the analysis Worker (see backgroundAnalysis.js).
+
+import { createRandom } from './noise.js'
+
+// Spaces at size 0.5:
+//   decaySeconds - time for the tail to fall 60 dB (RT60)
+//   preDelayMs   - silence before the tail
+//   early        - discrete reflections: count, spread after half the pre-delay, level
+//   dampingHz    - above this the tail decays HIGH_DECAY_RATIO times faster
+//   density      - share of tail samples that scatter (1 = smooth and diffuse)
+//   buildupMs    - time for the tail to swell in
+export const REVERB_SPACES = {
+  smallRoom: {
+    name: 'Small room',
+    decaySeconds: 0.5,
+    preDelayMs: 4,
+    early: { count: 12, spreadMs: 20, level: 0.5 },
+    dampingHz: 7000,
+    density: 1,
+    buildupMs: 2
+  },
+  hall: {
+    name: 'Concert hall',
+    decaySeconds: 2.2,
+    preDelayMs: 18,
+    early: { count: 10, spreadMs: 60, level: 0.4 },
+    dampingHz: 5000,
+    density: 1,
+    buildupMs: 40
+  },
+  cathedral: {
+    name: 'Cathedral',
+    decaySeconds: 5.5,
+    preDelayMs: 40,
+    early: { count: 8, spreadMs: 120, level: 0.3 },
+    dampingHz: 3500,
+    density: 1,
+    buildupMs: 150
+  },
+  cave: {
+    name: 'Cave',
+    decaySeconds: 3.5,
+    preDelayMs: 12,
+    early: { count: 24, spreadMs: 200, level: 0.8 }, // Hard rock walls echo
+    dampingHz: 2200,
+    density: 1,
+    buildupMs: 10
+  },
+  forest: {
+    name: 'Forest',
+    decaySeconds: 1.4,
+    preDelayMs: 10,
+    early: { count: 30, spreadMs: 300, level: 0.6 }, // Trunks scatter single reflections
+    dampingHz: 6000,
+    density: 0.02,
+    buildupMs: 0
+  }
+}
+
+export const DEFAULT_REVERB_SPACE = 'hall'
+export const DEFAULT_REVERB_SIZE = 0.5
+
+const HIGH_DECAY_RATIO = 2.5
+const IR_CHANNELS = 2 // Decorrelated left and right
+
+// Size changes
+const SIZE_STEP = 0.05 // Smaller changes keep the current response
+const MIN_REGENERATE_MS = 1500 // Responses are regenerated at most this often
+const SIZE_CROSSFADE_SECONDS = 1.5
+const SPACE_CROSSFADE_SECONDS = 0.8
+const SILENT_TIME_CONSTANTS = 7 // A mix glide is inaudible after this many time constants
+
+// How much a size (0-1) stretches a space: half to double
+function getSizeScale(size) {
+  return Math.pow(2, size * 2 - 1)
+}
+
+// Generate a space's impulse response at a size (0-1)
+// The same seed gives the same response, so sizes of one space crossfade smoothly
+// Returns one Float32Array per channel (no AudioContext needed, so it can run
+// in a Worker)
+export function generateImpulseResponse(sampleRate, spaceId, size = DEFAULT_REVERB_SIZE, seed) {
+  const space = REVERB_SPACES[spaceId] || REVERB_SPACES[DEFAULT_REVERB_SPACE]
+  const scale = getSizeScale(size)
+
+  const decaySeconds = space.decaySeconds * scale
+  const preDelay = Math.floor(space.preDelayMs / 1000 * scale * sampleRate)
+  const earlyStart = Math.floor(preDelay / 2)
+  const earlySpread = space.early.spreadMs / 1000 * scale * sampleRate
+  const buildup = space.buildupMs / 1000 * scale * sampleRate
+  const length = preDelay + Math.ceil(decaySeconds * sampleRate)
+
+  // Per-sample envelope factors: e^-6.91 is -60 dB
+  const lowFactor = Math.exp(-6.91 / (decaySeconds * sampleRate))
+  const highFactor = Math.exp(-6.91 * HIGH_DECAY_RATIO / (decaySeconds * sampleRate))
+  const damping = Math.exp(-2 * Math.PI * space.dampingHz / sampleRate) // One-pole lowpass
+  const scatterLevel = 1 / Math.sqrt(space.density) // Sparse tails keep the same energy
+
+  const channels = []
+  const random = createRandom(seed)
+
+  for (let channel = 0; channel < IR_CHANNELS; channel++) {
+    const data = new Float32Array(length)
+    channels.push(data)
+
+    // Tail: noise split into lows and highs, each with its own decay
+    let low = 0
+    let lowEnvelope = 1
+    let highEnvelope = 1
+    for (let i = preDelay; i < length; i++) {
+      const noise = random() < space.density ? (random() * 2 - 1) * scatterLevel : 0
+      low = noise + (low - noise) * damping
+      const swell = buildup > 0 ? Math.min((i - preDelay) / buildup, 1) : 1
+      data[i] = (low * lowEnvelope + (noise - low) * highEnvelope) * swell
+      lowEnvelope *= lowFactor
+      highEnvelope *= highFactor
+    }
+
+    // Early reflections, fading with the tail's decay
+    for (let r = 0; r < space.early.count; r++) {
+      const index = Math.min(earlyStart + Math.floor(random() * earlySpread), length - 1)
+      const sign = random() < 0.5 ? -1 : 1
+      data[index] += sign * space.early.level * (0.5 + 0.5 * random()) * Math.pow(lowFactor, index)
+    }
+
+    // Unit energy, so the wet signal is about as loud as the dry one
+    let energy = 0
+    for (let i = 0; i < length; i++) {
+      energy += data[i] * data[i]
+    }
+    const gain = energy > 0 ? 1 / Math.sqrt(energy) : 0
+    for (let i = 0; i < length; i++) {
+      data[i] *= gain
+    }
+  }
+
+  return channels
+}
+
+// Put generated response channels in an AudioBuffer for a ConvolverNode
+export function createResponseBuffer(context, channels) {
+  const buffer = context.createBuffer(channels.length, channels[0].length, context.sampleRate)
+  channels.forEach((data, channel) => buffer.getChannelData(channel).set(data))
+  return buffer
+}
+
+// generateImpulseResponse() as an AudioBuffer, on the main thread
+export function createImpulseResponse(context, spaceId, size = DEFAULT_REVERB_SIZE, seed) {
+  return createResponseBuffer(context, generateImpulseResponse(context.sampleRate, spaceId, size, seed))
+}
+
+// Create a reverb: input → dry → output, input → convolver → wet → output
+// options:
+//   spaceId - one of REVERB_SPACES
+//   size    - 0 (tight) to 1 (vast)
+//   mix     - 0 (dry) to 1 (wet), equal-power
+//   seed    - PRNG seed for reproducible responses
+//   loadResponse - (spaceId, size, seed) => AudioBuffer, or a promise of one
+//             (createImpulseResponse() on the main thread by default)
+// While the mix is 0 the convolvers are disconnected and no response is
+// generated; the first mix above 0 loads the current space and size.
+// Returns { input, output, setSpace(spaceId), setSize(size), setMix(mix),
+// getSpace(), getSize(), whenLoaded(), stop() }
+export function createReverb(context, {
+  spaceId = DEFAULT_REVERB_SPACE,
+  size = DEFAULT_REVERB_SIZE,
+  mix = 0,
+  seed = Math.floor(Math.random() * 0x100000000),
+  loadResponse = (nextSpaceId, nextSize, responseSeed) => createImpulseResponse(context, nextSpaceId, nextSize, responseSeed)
+} = {}) {
+  const currentTime = context.currentTime
+
+  const input = context.createGain()
+  const output = context.createGain()
+  const dry = context.createGain()
+  const wet = context.createGain()
+  input.connect(dry)
+  dry.connect(output)
+  wet.connect(output)
+
+  // Two convolvers, so a new response can fade in over the old one
+  const slots = [0, 1].map(() => {
+    const convolver = context.createConvolver()
+    convolver.normalize = false // Responses are normalized when generated
+    const fade = context.createGain()
+    fade.gain.setValueAtTime(0, currentTime)
+    convolver.connect(fade)
+    fade.connect(wet)
+    return { convolver, fade, connected: false, releaseTimer: null }
+  })
+
+  let active = 0
+  let currentSpaceId = spaceId
+  let currentMix = Math.min(Math.max(mix, 0), 1)
+  let loadedSpaceId = null // Space of the response in the active convolver
+  let currentSize = size    // Size of the latest response (in place or on its way)
+  let targetSize = size
+  let lastLoadAt = -Infinity
+  let loadTimer = null
+  let pending = null // { spaceId, promise } while a response is being generated
+  let loadRequest = 0
+  let stopped = false
+
+  // Equal-power wet/dry balance, gliding unless timeConstant is 0
+  function applyMix(nextMix, timeConstant) {
+    const angle = nextMix * Math.PI / 2
+    for (const [param, value] of [[dry.gain, Math.cos(angle)], [wet.gain, Math.sin(angle)]]) {
+      if (timeConstant > 0) {
+        param.setTargetAtTime(value, context.currentTime, timeConstant)
+      } else {
+        param.setValueAtTime(value, context.currentTime)
+      }
+    }
+  }
+
+  // Disconnect a convolver and drop its response after delaySeconds
+  function releaseSlot(slot, delaySeconds) {
+    clearTimeout(slot.releaseTimer)
+    slot.releaseTimer = setTimeout(() => {
+      if (!slot.connected) return
+      input.disconnect(slot.convolver)
+      slot.convolver.buffer = null
+      slot.connected = false
+    }, delaySeconds * 1000)
+  }
+
+  // Put a response in the idle convolver and crossfade to it; the old one is
+  // disconnected once silent so only one convolver runs
+  function swapIn(response, fadeSeconds) {
+    const now = context.currentTime
+    const previous = slots[active]
+    active = 1 - active
+    const slot = slots[active]
+
+    clearTimeout(slot.releaseTimer)
+    slot.convolver.buffer = response
+    if (!slot.connected) {
+      input.connect(slot.convolver)
+      slot.connected = true
+    }
+
+    slot.fade.gain.cancelScheduledValues(now)
+    slot.fade.gain.setValueAtTime(fadeSeconds > 0 ? 0 : 1, now)
+    slot.fade.gain.linearRampToValueAtTime(1, now + fadeSeconds)
+
+    if (previous.connected) {
+      previous.fade.gain.cancelScheduledValues(now)
+      previous.fade.gain.setValueAtTime(previous.fade.gain.value, now)
+      previous.fade.gain.linearRampToValueAtTime(0, now + fadeSeconds)
+      releaseSlot(previous, fadeSeconds + 0.1)
+    }
+  }
+
+  // Generate a response and swap it in when it is ready. It is dropped if a
+  // newer one was asked for meanwhile, or if the mix went dry
+  function load(nextSpaceId, nextSize, fadeSeconds) {
+    const request = ++loadRequest
+    currentSize = nextSize
+    lastLoadAt = Date.now()
+
+    const promise = Promise.resolve()
+      .then(() => loadResponse(nextSpaceId, nextSize, seed))
+      .then((response) => {
+        if (request !== loadRequest || stopped || currentMix <= 0) return
+        swapIn(response, fadeSeconds)
+        loadedSpaceId = nextSpaceId
+      })
+      .catch((error) => {
+        console.warn('Could not generate reverb response:', error)
+      })
+      .finally(() => {
+        if (request === loadRequest) pending = null
+      })
+    pending = { spaceId: nextSpaceId, promise }
+  }
+
+  // Whether the current space is in place, or on its way
+  function hasCurrentSpace() {
+    if (pending) return pending.spaceId === currentSpaceId
+    return slots[active].connected && loadedSpaceId === currentSpaceId
+  }
+
+  // Regenerate for the target size once it has moved far enough, no more
+  // often than MIN_REGENERATE_MS (never while dry)
+  function followSize() {
+    if (currentMix <= 0 || loadTimer !== null || Math.abs(targetSize - currentSize) < SIZE_STEP) return
+
+    loadTimer = setTimeout(() => {
+      loadTimer = null
+      load(currentSpaceId, targetSize, SIZE_CROSSFADE_SECONDS)
+      followSize()
+    }, Math.max(lastLoadAt + MIN_REGENERATE_MS - Date.now(), 0))
+  }
+
+  applyMix(currentMix, 0)
+  if (currentMix > 0) {
+    load(spaceId, size, 0)
+  }
+
+  return {
+    input,
+    output,
+
+    setSpace(nextSpaceId) {
+      if (nextSpaceId === currentSpaceId) return
+      currentSpaceId = nextSpaceId
+      if (currentMix > 0) {
+        load(nextSpaceId, targetSize, SPACE_CROSSFADE_SECONDS)
+      }
+    },
+
+    // Follow a size (0-1); cadence-driven, so changes are gathered up
+    setSize(nextSize) {
+      targetSize = Math.min(Math.max(nextSize, 0), 1)
+      followSize()
+    },
+
+    setMix(nextMix, timeConstant = 0.1) {
+      const wasWet = currentMix > 0
+      currentMix = Math.min(Math.max(nextMix, 0), 1)
+      applyMix(currentMix, timeConstant)
+
+      if (currentMix <= 0) {
+        // Fully dry: let the wet signal fade, then stop convolving
+        clearTimeout(loadTimer)
+        loadTimer = null
+        for (const slot of slots) {
+          if (slot.connected) releaseSlot(slot, timeConstant * SILENT_TIME_CONSTANTS + 0.1)
+        }
+      } else if (!hasCurrentSpace()) {
+        // Opening up: load the current space (fading over the old one if it is still heard)
+        load(currentSpaceId, targetSize, slots[active].connected ? SPACE_CROSSFADE_SECONDS : 0)
+      } else if (!wasWet) {
+        // Opening again before the response was dropped: keep it
+        clearTimeout(slots[active].releaseTimer)
+        followSize()
+      }
+    },
+
+    getSpace() {
+      return currentSpaceId
+    },
+
+    getSize() {
+      return currentSize
+    },
+
+    // Resolves once the response being generated (if any) is in place
+    whenLoaded() {
+      return pending ? pending.promise : Promise.resolve()
+    },
+
+    stop() {
+      stopped = true
+      clearTimeout(loadTimer)
+      for (const slot of slots) {
+        clearTimeout(slot.releaseTimer)
+        slot.convolver.disconnect()
+        slot.fade.disconnect()
+      }
+      for (const node of [input, output, dry, wet]) {
+        node.disconnect()
+      }
+    }
+  }
+}
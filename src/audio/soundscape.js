@@ -0,0 +1,329 @@
+// Procedural soundscape layers: rain, ocean, wind and fire
+// Built only from Web Audio nodes and generated buffers (no sample files).
+// Each layer has a mixer gain (user level) and an intensity (0-1, driven by
+// typing cadence through the mapping presets) that scales both its level and
+// how busy it sounds - droplet rate, gusts, crackles.
+
+import { createRandom } from './noise.js'
+
+export const SOUNDSCAPE_LAYERS = ['rain', 'ocean', 'wind', 'fire']
+
+const SCHEDULER_INTERVAL_MS = 100
+const LOOKAHEAD_SECONDS = 0.2
+const RELEASE_TIME_CONSTANTS = 7 // A layer's noise stops this many fade time constants after its level reaches 0
+
+// Rain: hiss plus droplet transients
+const RAIN_HISS_HIGHPASS_HZ = 500
+const RAIN_DROPS_PER_SECOND = 24
+const DROPLET_VARIANTS = 6
+
+// Ocean: swell envelope and filter follow the breath LFO (±1)
+const OCEAN_SWELL_BASE = 0.55
+const OCEAN_SWELL_DEPTH = 0.45
+const OCEAN_CUTOFF_HZ = 650
+const OCEAN_CUTOFF_DEPTH_HZ = 400
+
+// Wind: band-passed noise with a wandering center and gusts
+const WIND_MIN_HZ = 250
+const WIND_MAX_HZ = 1400
+const WIND_WANDER_SECONDS = 0.8
+const WIND_WANDER_TIME_CONSTANT = 1.6
+
+// Fire: low rumble plus clustered crackles
+const FIRE_RUMBLE_CUTOFF_HZ = 220
+const FIRE_CRACKLES_PER_SECOND = 5
+const CRACKLE_VARIANTS = 8
+
+// Generate a short decaying noise burst (fire crackle)
+function createCrackleBuffer(context, random) {
+  const length = Math.floor(context.sampleRate * (0.002 + random() * 0.006))
+  const buffer = context.createBuffer(1, length, context.sampleRate)
+  const data = buffer.getChannelData(0)
+
+  for (let i = 0; i < length; i++) {
+    const envelope = Math.exp(-i / (length * 0.25))
+    data[i] = (random() * 2 - 1) * envelope
+  }
+
+  return buffer
+}
+
+// Generate a droplet: a noisy click followed by a quickly falling "plink"
+function createDropletBuffer(context, random) {
+  const seconds = 0.04
+  const length = Math.floor(context.sampleRate * seconds)
+  const buffer = context.createBuffer(1, length, context.sampleRate)
+  const data = buffer.getChannelData(0)
+
+  const startHz = 2000 + random() * 3000
+  const endHz = startHz * 0.6
+  let phase = 0
+
+  for (let i = 0; i < length; i++) {
+    const t = i / length
+    const frequency = startHz + (endHz - startHz) * t
+    phase += 2 * Math.PI * frequency / context.sampleRate
+
+    const click = (random() * 2 - 1) * Math.exp(-i / (context.sampleRate * 0.0015))
+    const plink = Math.sin(phase) * Math.exp(-t * 8) * 0.5
+    data[i] = click * 0.6 + plink
+  }
+
+  return buffer
+}
+
+// Exponentially distributed wait until the next event of a Poisson process
+function nextEventDelay(ratePerSecond, random) {
+  return -Math.log(1 - random()) / ratePerSecond
+}
+
+// Create the soundscape mixer
+// A layer's noise only runs while its mixer level is above 0.
+// options:
+//   destination  - node the layers mix into
+//   createNoise  - (color, destination, layerName) => voice with a .stop() (see engine.js)
+//   breathSource - node outputting the breath LFO (±1) for the ocean swell
+export function createSoundscape(context, { destination, createNoise, breathSource = null, seed } = {}) {
+  const random = createRandom(seed)
+  const layers = {}
+  let schedulerId = null
+
+  // Per-layer mixer gain → intensity gain → destination
+  function createChannel(name) {
+    const intensity = context.createGain()
+    intensity.gain.setValueAtTime(1, context.currentTime)
+    const mixer = context.createGain()
+    mixer.gain.setValueAtTime(0, context.currentTime)
+
+    intensity.connect(mixer)
+    mixer.connect(destination)
+
+    layers[name] = { name, mixer, intensity, input: intensity, noise: null, voice: null, releaseTimer: null }
+    return layers[name]
+  }
+
+  // Start a layer's noise voice if it isn't running
+  function startLayerNoise(layer) {
+    clearTimeout(layer.releaseTimer)
+    layer.releaseTimer = null
+    if (!layer.voice) {
+      layer.voice = createNoise(layer.noise.color, layer.noise.target, layer.name)
+    }
+  }
+
+  // Stop a layer's noise voice once its level has faded out
+  function releaseLayerNoise(layer, delaySeconds) {
+    if (!layer.voice || layer.releaseTimer !== null) return
+    layer.releaseTimer = setTimeout(() => {
+      layer.releaseTimer = null
+      layer.voice.stop()
+      layer.voice = null
+    }, delaySeconds * 1000)
+  }
+
+  // Rain: high-passed pink hiss + scheduled droplets
+  function buildRain() {
+    const layer = createChannel('rain')
+
+    const hissFilter = context.createBiquadFilter()
+    hissFilter.type = 'highpass'
+    hissFilter.frequency.setValueAtTime(RAIN_HISS_HIGHPASS_HZ, context.currentTime)
+    const hissGain = context.createGain()
+    hissGain.gain.setValueAtTime(0.6, context.currentTime)
+    hissFilter.connect(hissGain)
+    hissGain.connect(layer.input)
+    layer.noise = { color: 'pink', target: hissFilter }
+
+    layer.droplets = Array.from({ length: DROPLET_VARIANTS }, () => createDropletBuffer(context, random))
+    layer.nextEventAt = context.currentTime
+  }
+
+  // Ocean: low-passed brown noise swelling with the breath LFO
+  function buildOcean() {
+    const layer = createChannel('ocean')
+
+    const filter = context.createBiquadFilter()
+    filter.type = 'lowpass'
+    filter.frequency.setValueAtTime(OCEAN_CUTOFF_HZ, context.currentTime)
+    const swell = context.createGain()
+    swell.gain.setValueAtTime(OCEAN_SWELL_BASE, context.currentTime)
+    filter.connect(swell)
+    swell.connect(layer.input)
+    layer.noise = { color: 'brown', target: filter }
+
+    if (breathSource) {
+      const swellDepth = context.createGain()
+      swellDepth.gain.setValueAtTime(OCEAN_SWELL_DEPTH, context.currentTime)
+      const cutoffDepth = context.createGain()
+      cutoffDepth.gain.setValueAtTime(OCEAN_CUTOFF_DEPTH_HZ, context.currentTime)
+
+      breathSource.connect(swellDepth)
+      swellDepth.connect(swell.gain)
+      breathSource.connect(cutoffDepth)
+      cutoffDepth.connect(filter.frequency)
+      layer.modulators = [swellDepth, cutoffDepth]
+    }
+  }
+
+  // Wind: band-passed pink noise; center and gust level wander
+  function buildWind() {
+    const layer = createChannel('wind')
+
+    const filter = context.createBiquadFilter()
+    filter.type = 'bandpass'
+    filter.Q.setValueAtTime(1.8, context.currentTime)
+    filter.frequency.setValueAtTime(Math.sqrt(WIND_MIN_HZ * WIND_MAX_HZ), context.currentTime)
+    const gust = context.createGain()
+    gust.gain.setValueAtTime(0.8, context.currentTime)
+    filter.connect(gust)
+    gust.connect(layer.input)
+    layer.noise = { color: 'pink', target: filter }
+
+    layer.filter = filter
+    layer.gust = gust
+    layer.nextEventAt = context.currentTime
+  }
+
+  // Fire: low brown rumble + scheduled crackle clusters
+  function buildFire() {
+    const layer = createChannel('fire')
+
+    const rumbleFilter = context.createBiquadFilter()
+    rumbleFilter.type = 'lowpass'
+    rumbleFilter.frequency.setValueAtTime(FIRE_RUMBLE_CUTOFF_HZ, context.currentTime)
+    const rumbleGain = context.createGain()
+    rumbleGain.gain.setValueAtTime(0.5, context.currentTime)
+    rumbleFilter.connect(rumbleGain)
+    rumbleGain.connect(layer.input)
+    layer.noise = { color: 'brown', target: rumbleFilter }
+
+    layer.crackles = Array.from({ length: CRACKLE_VARIANTS }, () => createCrackleBuffer(context, random))
+    layer.nextEventAt = context.currentTime
+  }
+
+  // Play a one-shot buffer into a layer
+  function playOneShot(layer, buffer, when, level, playbackRate = 1) {
+    const source = context.createBufferSource()
+    source.buffer = buffer
+    source.playbackRate.setValueAtTime(playbackRate, when)
+    const gain = context.createGain()
+    gain.gain.setValueAtTime(level, when)
+
+    source.connect(gain)
+    gain.connect(layer.input)
+    source.onended = () => {
+      source.disconnect()
+      gain.disconnect()
+    }
+    source.start(when)
+  }
+
+  // A layer is worth scheduling only when audible
+  function activity(layer) {
+    return layer.mixer.gain.value > 0.001 ? layer.intensity.gain.value : 0
+  }
+
+  // Schedule transients and wandering parameters ahead of time
+  function tick() {
+    const now = context.currentTime
+    const horizon = now + LOOKAHEAD_SECONDS
+
+    // Rain droplets - denser with intensity
+    const rain = layers.rain
+    const rainRate = RAIN_DROPS_PER_SECOND * activity(rain)
+    if (rainRate <= 0) {
+      rain.nextEventAt = horizon
+    } else {
+      rain.nextEventAt = Math.max(rain.nextEventAt, now)
+      while (rain.nextEventAt < horizon) {
+        const buffer = rain.droplets[Math.floor(random() * rain.droplets.length)]
+        playOneShot(rain, buffer, rain.nextEventAt, 0.1 + random() * 0.3, 0.7 + random() * 0.9)
+        rain.nextEventAt += nextEventDelay(rainRate, random)
+      }
+    }
+
+    // Fire crackles - clusters of 1-4 pops
+    const fire = layers.fire
+    const fireRate = FIRE_CRACKLES_PER_SECOND * activity(fire)
+    if (fireRate <= 0) {
+      fire.nextEventAt = horizon
+    } else {
+      fire.nextEventAt = Math.max(fire.nextEventAt, now)
+      while (fire.nextEventAt < horizon) {
+        const pops = 1 + Math.floor(random() * 4)
+        let when = fire.nextEventAt
+        for (let i = 0; i < pops; i++) {
+          const buffer = fire.crackles[Math.floor(random() * fire.crackles.length)]
+          playOneShot(fire, buffer, when, 0.2 + random() * 0.6, 0.8 + random() * 0.6)
+          when += 0.005 + random() * 0.03
+        }
+        fire.nextEventAt += nextEventDelay(fireRate, random)
+      }
+    }
+
+    // Wind center frequency and gusts drift on a log scale; stronger wind blows higher
+    const wind = layers.wind
+    if (now >= wind.nextEventAt) {
+      const strength = activity(wind)
+      const position = Math.min(Math.max(random() * 0.7 + strength * 0.3, 0), 1)
+      const frequency = WIND_MIN_HZ * Math.pow(WIND_MAX_HZ / WIND_MIN_HZ, position)
+      wind.filter.frequency.setTargetAtTime(frequency, now, WIND_WANDER_TIME_CONSTANT)
+      wind.gust.gain.setTargetAtTime(0.5 + random() * 0.5, now, WIND_WANDER_TIME_CONSTANT)
+      wind.nextEventAt = now + WIND_WANDER_SECONDS * (0.5 + random())
+    }
+  }
+
+  buildRain()
+  buildOcean()
+  buildWind()
+  buildFire()
+  schedulerId = setInterval(tick, SCHEDULER_INTERVAL_MS)
+
+  return {
+    // Set a layer's mixer level (0-1), starting or stopping its noise
+    setLayerGain(name, value, rampSeconds = 0.1) {
+      const layer = layers[name]
+      if (!layer) return
+      const safeValue = Math.min(Math.max(value, 0), 1)
+      if (safeValue > 0) {
+        startLayerNoise(layer)
+      } else {
+        releaseLayerNoise(layer, rampSeconds * RELEASE_TIME_CONSTANTS)
+      }
+      layer.mixer.gain.setTargetAtTime(safeValue, context.currentTime, rampSeconds)
+    },
+
+    // Intensity AudioParam (0-1) for cadence-driven automation
+    getIntensityParam(name) {
+      return layers[name] ? layers[name].intensity.gain : null
+    },
+
+    getLayerGains() {
+      const gains = {}
+      for (const name of SOUNDSCAPE_LAYERS) {
+        gains[name] = layers[name].mixer.gain.value
+      }
+      return gains
+    },
+
+    stop() {
+      if (schedulerId !== null) {
+        clearInterval(schedulerId)
+        schedulerId = null
+      }
+
+      for (const layer of Object.values(layers)) {
+        clearTimeout(layer.releaseTimer)
+        if (layer.voice) {
+          layer.voice.stop()
+          layer.voice = null
+        }
+        for (const modulator of layer.modulators || []) {
+          modulator.disconnect()
+        }
+        layer.intensity.disconnect()
+        layer.mixer.disconnect()
+      }
+    }
+  }
+}
@@ -0,0 +1,129 @@
+// Spectral shaper: a bank of peaking filters, one per analysis band, that
+// gives pink noise the timbre of a noise fingerprint (see fingerprint.js).
+// Optionally follows the fingerprint's envelope over time, looping with the track.
+
+import { SPECTRAL_BANDS } from './analysis.js'
+
+const BAND_RATIO = SPECTRAL_BANDS[1] / SPECTRAL_BANDS[0]
+const BAND_OCTAVES = Math.log2(BAND_RATIO)
+const BAND_Q = Math.sqrt(Math.pow(2, BAND_OCTAVES)) / (Math.pow(2, BAND_OCTAVES) - 1)
+
+const PROFILE_RAMP_SECONDS = 0.5 // Time constant when a fingerprint is applied or cleared
+const SCHEDULER_INTERVAL_MS = 200
+const LOOKAHEAD_SECONDS = 1
+
+// Create the filter bank (flat until a fingerprint is set)
+// Returns { input, output, setFingerprint, clear, stop }
+export function createSpectralShaper(context) {
+  const filters = SPECTRAL_BANDS.map((frequency) => {
+    const filter = context.createBiquadFilter()
+    filter.type = 'peaking'
+    filter.frequency.setValueAtTime(frequency, context.currentTime)
+    filter.Q.setValueAtTime(BAND_Q, context.currentTime)
+    filter.gain.setValueAtTime(0, context.currentTime)
+    return filter
+  })
+
+  const input = context.createGain()
+  const output = context.createGain()
+
+  // Gains add up where neighboring bands overlap; trim the output by the
+  // average boost so matching the timbre doesn't change the overall level
+  const trim = context.createGain()
+
+  input.connect(filters[0])
+  for (let i = 1; i < filters.length; i++) {
+    filters[i - 1].connect(filters[i])
+  }
+  filters[filters.length - 1].connect(trim)
+  trim.connect(output)
+
+  let envelopeTimer = null
+  let scheduledUntil = 0
+
+  function setGains(gainsDb, time, timeConstant) {
+    filters.forEach((filter, i) => {
+      filter.gain.setTargetAtTime(gainsDb[i], time, timeConstant)
+    })
+
+    const averageDb = gainsDb.reduce((a, b) => a + b, 0) / gainsDb.length
+    trim.gain.setTargetAtTime(Math.pow(10, -Math.max(averageDb, 0) / 20), time, timeConstant)
+  }
+
+  function stopEnvelope() {
+    if (envelopeTimer !== null) {
+      clearInterval(envelopeTimer)
+      envelopeTimer = null
+    }
+    for (const filter of filters) {
+      filter.gain.cancelScheduledValues(context.currentTime)
+    }
+    trim.gain.cancelScheduledValues(context.currentTime)
+  }
+
+  // Walk the envelope frames ahead of time, starting over every loopSeconds
+  // (the track's length, so the shape stays with the looping track)
+  function scheduleEnvelope(envelope, startTime, loopSeconds) {
+    const { hopSeconds, frames } = envelope
+    scheduledUntil = context.currentTime
+
+    const tick = () => {
+      const from = Math.max(scheduledUntil, context.currentTime)
+      const to = context.currentTime + LOOKAHEAD_SECONDS
+      let loop = Math.floor((from - startTime) / loopSeconds)
+      let index = Math.ceil((from - startTime - loop * loopSeconds) / hopSeconds)
+
+      for (;;) {
+        if (index >= frames.length || index * hopSeconds >= loopSeconds) {
+          loop++
+          index = 0
+        }
+        const time = startTime + loop * loopSeconds + index * hopSeconds
+        if (time >= to) break
+
+        setGains(frames[index], time, hopSeconds)
+        index++
+      }
+      scheduledUntil = to
+    }
+
+    if (loopSeconds > 0) {
+      tick()
+      envelopeTimer = setInterval(tick, SCHEDULER_INTERVAL_MS)
+    }
+  }
+
+  return {
+    input,
+    output,
+
+    // Apply a fingerprint; with followEnvelope (and an envelope in the
+    // fingerprint) the shape changes over time from startTime on, looping
+    // with the track it was measured on
+    setFingerprint(fingerprint, { followEnvelope = false, startTime = context.currentTime } = {}) {
+      stopEnvelope()
+      setGains(fingerprint.gainsDb, context.currentTime, PROFILE_RAMP_SECONDS)
+
+      if (followEnvelope && fingerprint.envelope && fingerprint.envelope.frames.length > 0) {
+        const { hopSeconds, frames } = fingerprint.envelope
+        scheduleEnvelope(fingerprint.envelope, startTime, fingerprint.duration > 0 ? fingerprint.duration : frames.length * hopSeconds)
+      }
+    },
+
+    // Back to a flat response
+    clear() {
+      stopEnvelope()
+      setGains(SPECTRAL_BANDS.map(() => 0), context.currentTime, PROFILE_RAMP_SECONDS)
+    },
+
+    stop() {
+      stopEnvelope()
+      input.disconnect()
+      for (const filter of filters) {
+        filter.disconnect()
+      }
+      trim.disconnect()
+      output.disconnect()
+    }
+  }
+}
@@ -0,0 +1,63 @@
+// Loopable WAV files from rendered audio (see render.js): blending a render's
+// end into its start, and 16-bit PCM encoding. Plain sample arrays only, no
+// Web Audio nodes involved.
+
+// Blend the last fadeSeconds of a render into its start, in place (a second
+// copy of a long render would double its memory). Returns the loop length:
+// the samples before it loop without a seam
+export function blendLoopSeam(rendered, fadeSeconds) {
+  const fadeLength = Math.floor(fadeSeconds * rendered.sampleRate)
+  const length = rendered.length - fadeLength
+
+  for (let channel = 0; channel < rendered.numberOfChannels; channel++) {
+    const data = rendered.getChannelData(channel)
+
+    // Equal-power, since the two stretches of noise are uncorrelated
+    for (let i = 0; i < fadeLength; i++) {
+      const angle = (i / fadeLength) * Math.PI / 2
+      data[i] = data[i] * Math.sin(angle) + data[length + i] * Math.cos(angle)
+    }
+  }
+
+  return length
+}
+
+// Encode an AudioBuffer (or its first length samples) as a 16-bit PCM WAV file
+export function encodeWav(audioBuffer, { length = audioBuffer.length } = {}) {
+  const channels = audioBuffer.numberOfChannels
+  const bytesPerSample = 2
+  const dataSize = length * channels * bytesPerSample
+  const view = new DataView(new ArrayBuffer(44 + dataSize))
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i))
+    }
+  }
+
+  writeString(0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  writeString(8, 'WAVE')
+  writeString(12, 'fmt ')
+  view.setUint32(16, 16, true)                                                // fmt chunk size
+  view.setUint16(20, 1, true)                                                 // PCM
+  view.setUint16(22, channels, true)
+  view.setUint32(24, audioBuffer.sampleRate, true)
+  view.setUint32(28, audioBuffer.sampleRate * channels * bytesPerSample, true) // byte rate
+  view.setUint16(32, channels * bytesPerSample, true)                         // block align
+  view.setUint16(34, 16, true)                                                // bits per sample
+  writeString(36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel).subarray(0, length))
+  let offset = 44
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const sample = Math.min(Math.max(channelData[channel][i], -1), 1)
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true)
+      offset += bytesPerSample
+    }
+  }
+
+  return view.buffer
+}
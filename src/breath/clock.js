@@ -0,0 +1,59 @@
+/**
+ * Breath master clock
+ * Counts breath cycles on the audio context's timeline. Rate changes glide the
+ * way AudioParam.setTargetAtTime does, so a clock given the same changes as
+ * the breath LFO's playbackRate knows exactly where in the cycle the loop is,
+ * however long it has been running.
+ */
+
+/**
+ * Create a clock at cycle position 0 at startTime
+ *   rate         - playback rate (1 = one cycle per cycleSeconds)
+ *   cycleSeconds - seconds one cycle lasts at rate 1
+ * Returns { setRate(rate, time, timeConstant), rateAt(time), positionAt(time),
+ * cyclesPerSecondAt(time) }; positions count whole cycles too (0.5 = halfway
+ * through the first, 2.25 = a quarter into the third)
+ */
+export function createBreathClock({ startTime, rate, cycleSeconds }) {
+  // The glide in progress: from `from` at `time` toward `to`, `cycles` in
+  let ramp = { time: startTime, from: rate, to: rate, timeConstant: 0, cycles: 0 }
+
+  function rateAt(time) {
+    const elapsed = time - ramp.time
+    if (elapsed < 0) return ramp.from
+    if (ramp.timeConstant <= 0) return ramp.to
+    return ramp.to + (ramp.from - ramp.to) * Math.exp(-elapsed / ramp.timeConstant)
+  }
+
+  // Integral of the rate since the glide began, in seconds of cycle
+  function secondsSinceRamp(time) {
+    const elapsed = time - ramp.time
+    if (elapsed < 0) return ramp.from * elapsed
+    if (ramp.timeConstant <= 0) return ramp.to * elapsed
+    return ramp.to * elapsed + (ramp.from - ramp.to) * ramp.timeConstant * (1 - Math.exp(-elapsed / ramp.timeConstant))
+  }
+
+  function positionAt(time) {
+    return ramp.cycles + secondsSinceRamp(time) / cycleSeconds
+  }
+
+  return {
+    // Glide toward a new rate from time on (as setTargetAtTime)
+    setRate(nextRate, time, timeConstant) {
+      ramp = {
+        time,
+        from: rateAt(time),
+        to: nextRate,
+        timeConstant,
+        cycles: positionAt(time)
+      }
+    },
+
+    rateAt,
+    positionAt,
+
+    cyclesPerSecondAt(time) {
+      return rateAt(time) / cycleSeconds
+    }
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Breath patterns shared by the audio breath LFO and the visual scene
+ * A pattern is a cycle of phase segments - inhale, hold, exhale, hold - each
+ * lasting some seconds; inhales ease the breath level from 0 to 1, exhales
+ * back to 0, and holds keep it where it is.
+ */
+
+export const BREATH_PHASES = ['inhale', 'hold', 'exhale']
+
+export const BREATH_EASINGS = {
+  linear: t => t,
+  sine: t => 0.5 - 0.5 * Math.cos(Math.PI * t),
+  smoothstep: t => t * t * (3 - 2 * t),
+  cubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+}
+
+export const DEFAULT_BREATH_PATTERN_ID = 'sine'
+
+/**
+ * Built-in patterns, keyed by id
+ *   followsBreathRate - the cycle lasts 1 / breathHz (driven by typing cadence)
+ *                       and segment seconds only set proportions; otherwise
+ *                       segments keep their counts whatever the cadence
+ */
+export const BREATH_PATTERNS = {
+  sine: {
+    name: 'Sine - follows your typing',
+    followsBreathRate: true,
+    segments: [
+      { phase: 'inhale', seconds: 5, easing: 'sine' },
+      { phase: 'exhale', seconds: 5, easing: 'sine' }
+    ]
+  },
+  box: {
+    name: 'Box breathing 4-4-4-4',
+    segments: [
+      { phase: 'inhale', seconds: 4, easing: 'smoothstep' },
+      { phase: 'hold', seconds: 4 },
+      { phase: 'exhale', seconds: 4, easing: 'smoothstep' },
+      { phase: 'hold', seconds: 4 }
+    ]
+  },
+  '4-7-8': {
+    name: '4-7-8 relaxing breath',
+    segments: [
+      { phase: 'inhale', seconds: 4, easing: 'smoothstep' },
+      { phase: 'hold', seconds: 7 },
+      { phase: 'exhale', seconds: 8, easing: 'sine' }
+    ]
+  },
+  coherent: {
+    name: 'Coherent breathing 5.5s',
+    segments: [
+      { phase: 'inhale', seconds: 5.5, easing: 'sine' },
+      { phase: 'exhale', seconds: 5.5, easing: 'sine' }
+    ]
+  }
+}
+
+/**
+ * Get a built-in pattern by id (the default for unknown ids)
+ */
+export function getBreathPattern(id) {
+  return BREATH_PATTERNS[id] || BREATH_PATTERNS[DEFAULT_BREATH_PATTERN_ID]
+}
+
+/**
+ * Total seconds of a pattern's segments
+ */
+export function getPatternSeconds(pattern) {
+  return pattern.segments.reduce((sum, segment) => sum + segment.seconds, 0)
+}
+
+/**
+ * Seconds one cycle lasts at a breath rate (Hz)
+ */
+export function getCycleSeconds(pattern, breathHz) {
+  return pattern.followsBreathRate ? 1 / breathHz : getPatternSeconds(pattern)
+}
+
+/**
+ * Breath at a point in the cycle (position in [0, 1))
+ * Returns { level, phase, segmentIndex, segmentProgress } - level in [0, 1]
+ * (0 = emptied, 1 = full) and the current segment's phase and progress
+ */
+export function getBreathState(pattern, position) {
+  const total = getPatternSeconds(pattern)
+  let time = (position - Math.floor(position)) * total
+  let level = 0
+
+  for (let i = 0; i < pattern.segments.length; i++) {
+    const segment = pattern.segments[i]
+    const target = segment.phase === 'inhale' ? 1 : segment.phase === 'exhale' ? 0 : level
+
+    if (time < segment.seconds || i === pattern.segments.length - 1) {
+      const progress = segment.seconds > 0 ? Math.min(time / segment.seconds, 1) : 1
+      const ease = BREATH_EASINGS[segment.easing] || BREATH_EASINGS.sine
+      return {
+        level: level + (target - level) * ease(progress),
+        phase: segment.phase,
+        segmentIndex: i,
+        segmentProgress: progress
+      }
+    }
+
+    time -= segment.seconds
+    level = target
+  }
+}
+
+/**
+ * Sample one cycle's breath level at length evenly spaced points
+ */
+export function sampleBreathCycle(pattern, length) {
+  const levels = new Float32Array(length)
+  for (let i = 0; i < length; i++) {
+    levels[i] = getBreathState(pattern, i / length).level
+  }
+  return levels
+}
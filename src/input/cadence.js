@@ -1,189 +1,484 @@
 // Plain JavaScript keystroke cadence analyzer
-// Listens to global keydown events and publishes smoothed cadence metrics
-
-// Constants
-const RING_BUFFER_SIZE = 20
-const EMA_ALPHA = 0.2
-const MAX_PUBLISH_RATE_MS = 1000 / 30 // 30 Hz throttling
-
-// Internal state
-let isActive = false
-let keydownListener = null
-let lastPublishTime = 0
-
-// Ring buffer for timestamps
-const timestampBuffer = []
-let bufferIndex = 0
-let bufferCount = 0
-
-// EMA state
-let emaIkiMs = null
-
-// Current metrics
-let currentMetrics = {
-  lastIkiMs: null,
-  emaIkiMs: null,
-  lastKeyAt: null
+// Listens to input sources (keydown by default) and publishes smoothed cadence metrics
+
+import { createKeyboardSource, getSourceNameForClass } from './sources.js'
+import { createStateClassifier } from './stateClassifier.js'
+
+// Defaults (overridable via createCadenceAnalyzer options)
+const DEFAULT_OPTIONS = {
+  windowSize: 20,    // Inputs kept in the ring buffer
+  alpha: 0.2,        // EMA smoothing factor
+  publishHz: 30,     // Max cadence:update rate
+  idleAfterMs: 2000, // No keys for this long → idle
+  restIkiMs: 600,    // Effective IKI settles here while idle (calm end of the mappings)
+  decayMs: 8000,     // Time to drift from the last EMA to the resting value
+  strictPrivacy: true // Default keyboard source never logs key identities
 }
 
-// Calculate inter-key interval (IKI)
-function calculateIKI(currentTime) {
-  if (bufferCount < 2) return null
-  
-  // Get the previous timestamp
-  const prevIndex = (bufferIndex - 2 + RING_BUFFER_SIZE) % RING_BUFFER_SIZE
-  const prevTime = timestampBuffer[prevIndex]
-  
-  return currentTime - prevTime
+const PAUSE_THRESHOLD_MS = 1000 // IKIs at or above this count as a pause and end a burst
+const CHARS_PER_WORD = 5 // Standard WPM convention
+const IDLE_TICK_MS = 250 // Publish rate while idle (4 Hz)
+
+// Metrics shape published with every cadence:update
+function createEmptyMetrics() {
+  return {
+    lastIkiMs: null,
+    emaIkiMs: null,
+    effectiveIkiMs: null,
+    isIdle: false,
+    lastKeyAt: null,
+    medianIkiMs: null,
+    ikiVariance: null,
+    ikiJitterMs: null,
+    burstLength: 0,
+    pauseCount: 0,
+    pauseDurationMs: 0,
+    wpm: null,
+    deleteRate: null,
+    state: null
+  }
 }
 
-// Update EMA of IKI
-function updateEMA(ikiMs) {
-  if (emaIkiMs === null) {
-    emaIkiMs = ikiMs
-  } else {
-    emaIkiMs = EMA_ALPHA * ikiMs + (1 - EMA_ALPHA) * emaIkiMs
+// Share of deletions among text-producing keys - an error rate that needs no content
+function calculateDeleteRate(keyClasses) {
+  let deletes = 0
+  let total = 0
+
+  for (const keyClass of keyClasses) {
+    if (keyClass === 'delete') deletes++
+    if (keyClass === 'printable' || keyClass === 'space' || keyClass === 'delete') total++
   }
+
+  return total > 0 ? deletes / total : null
 }
 
-// Publish metrics via CustomEvent (throttled to 30 Hz)
-function publishMetrics() {
-  const now = performance.now()
-  
-  // Throttle to max 30 Hz
-  if (now - lastPublishTime < MAX_PUBLISH_RATE_MS) {
-    return
+// Median of a list of numbers (robust against outliers such as pauses)
+function median(values) {
+  if (values.length === 0) return null
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid]
+}
+
+// Mean of a non-empty list of numbers
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length
+}
+
+// Derive window statistics (median, jitter, pauses, WPM) from the window's inputs
+function calculateWindowMetrics(entries) {
+  const ikis = entries.map(entry => entry.ikiMs).filter(ikiMs => ikiMs !== null)
+
+  // Pauses are reported separately so they don't inflate jitter or deflate WPM
+  const pauses = ikis.filter(iki => iki >= PAUSE_THRESHOLD_MS)
+  const typingIkis = ikis.filter(iki => iki < PAUSE_THRESHOLD_MS)
+
+  // WPM only makes sense for keystrokes, not pointer/scroll/touch input
+  const keyIkis = entries
+    .filter(entry => entry.ikiMs !== null && entry.ikiMs < PAUSE_THRESHOLD_MS && getSourceNameForClass(entry.keyClass) === 'keyboard')
+    .map(entry => entry.ikiMs)
+
+  let ikiVariance = null
+  let wpm = null
+
+  if (typingIkis.length > 0) {
+    const typingMean = mean(typingIkis)
+    ikiVariance = typingIkis.reduce((sum, iki) => sum + (iki - typingMean) * (iki - typingMean), 0) / typingIkis.length
+  }
+
+  if (keyIkis.length > 0) {
+    const keyMean = mean(keyIkis)
+    wpm = keyMean > 0 ? 60000 / (keyMean * CHARS_PER_WORD) : null
+  }
+
+  return {
+    medianIkiMs: median(ikis),
+    ikiVariance,
+    ikiJitterMs: ikiVariance !== null ? Math.sqrt(ikiVariance) : null,
+    pauseCount: pauses.length,
+    pauseDurationMs: pauses.reduce((a, b) => a + b, 0),
+    wpm
   }
-  
-  lastPublishTime = now
-  
-  // Dispatch custom event
-  const event = new CustomEvent('cadence:update', {
-    detail: {
-      lastIkiMs: currentMetrics.lastIkiMs,
-      emaIkiMs: currentMetrics.emaIkiMs,
-      lastKeyAt: currentMetrics.lastKeyAt
-    }
-  })
-  
-  document.dispatchEvent(event)
 }
 
-// Handle keydown events (both local and global)
-function handleKeydown(event) {
-  if (!isActive) return
-  
-  const now = performance.now()
-  
-  // Debug: Log when keystrokes are detected (including when tab is hidden)
-  console.log('Keystroke detected:', {
-    key: event.key,
-    tabHidden: document.hidden,
-    timestamp: now
-  })
-  
-  processKeystroke(now)
+// Default event target - the document when running in a browser
+function getDefaultTarget() {
+  return typeof document !== 'undefined' ? document : null
 }
 
-// Handle global keystrokes from Electron main process
-function handleGlobalKeystroke(event, data) {
-  if (!isActive) return
-  
-  const now = performance.now()
-  
-  // Debug: Log when global keystrokes are detected
-  console.log('Global keystroke detected:', {
-    key: data.key,
-    appHidden: data.appHidden,
-    timestamp: now
-  })
-  
-  processKeystroke(now)
+// Default sources - keyboard when running in a browser
+function getDefaultSources(settings) {
+  return typeof window !== 'undefined' ? [createKeyboardSource({ strictPrivacy: settings.strictPrivacy })] : []
 }
 
-// Process keystroke data (shared by both local and global handlers)
-function processKeystroke(timestamp) {
-  // Add timestamp to ring buffer
-  timestampBuffer[bufferIndex] = timestamp
-  bufferIndex = (bufferIndex + 1) % RING_BUFFER_SIZE
-  bufferCount = Math.min(bufferCount + 1, RING_BUFFER_SIZE)
-  
-  // Calculate IKI if we have at least 2 keys
-  const ikiMs = calculateIKI(timestamp)
-  if (ikiMs !== null) {
-    currentMetrics.lastIkiMs = ikiMs
-    updateEMA(ikiMs)
-    currentMetrics.emaIkiMs = emaIkiMs
-  }
-  
-  currentMetrics.lastKeyAt = timestamp
-  
-  // Publish metrics (throttled) - works even when tab is hidden
-  publishMetrics()
+// Create an independent cadence analyzer
+// options: { windowSize, alpha, publishHz, target, sources, now, idleAfterMs, restIkiMs, decayMs, strictPrivacy }
+//   target  - EventTarget receiving cadence:* CustomEvents (null to only notify subscribers)
+//   sources - input sources from ./sources.js; a source's weight (default 1) scales its EMA influence
+//   now     - clock in ms (defaults to performance.now)
+//   classifier - typing state classifier from ./stateClassifier.js (null disables cadence:state)
+export function createCadenceAnalyzer(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options }
+  const windowSize = Math.max(2, Math.floor(settings.windowSize))
+  const minPublishIntervalMs = 1000 / settings.publishHz
+  const target = options.target !== undefined ? options.target : getDefaultTarget()
+  let sources = options.sources || getDefaultSources(settings)
+  const now = options.now || (() => performance.now())
+  const classifier = options.classifier !== undefined ? options.classifier : createStateClassifier()
+
+  // Internal state
+  let isActive = false
+  let lastPublishTime = -Infinity
+  let idleTimer = null
+  const listeners = new Set()
+
+  // Ring buffer of recent inputs: { ikiMs, keyClass }
+  // IKIs are measured per source so interleaved keyboard and pointer input don't mix
+  const inputBuffer = []
+  let bufferIndex = 0
+  let bufferCount = 0
+  const lastTimestamps = new Map() // source name → last input timestamp
+
+  // EMA state
+  let emaIkiMs = null
+
+  // Burst state (keys typed since the last pause)
+  let burstLength = 0
+
+  // Idle state
+  let isIdle = false
+  let idleStartedAt = null
+  let idleStartIkiMs = null
+
+  // Current metrics
+  let currentMetrics = createEmptyMetrics()
+
+  // Calculate inter-key interval (IKI) against the previous input of the same source
+  function calculateIKI(sourceName, currentTime) {
+    const prevTime = lastTimestamps.get(sourceName)
+    lastTimestamps.set(sourceName, currentTime)
+
+    return prevTime !== undefined ? currentTime - prevTime : null
+  }
+
+  // Update EMA of IKI - weight scales the smoothing factor for secondary sources
+  function updateEMA(ikiMs, weight) {
+    if (emaIkiMs === null) {
+      emaIkiMs = ikiMs
+    } else {
+      const alpha = settings.alpha * weight
+      emaIkiMs = alpha * ikiMs + (1 - alpha) * emaIkiMs
+    }
+  }
+
+  // Weight of the active source with this name (1 if unknown, e.g. replayed input)
+  function getSourceWeight(sourceName) {
+    const source = sources.find(s => s.name === sourceName)
+    return source && Number.isFinite(source.weight) ? Math.min(Math.max(source.weight, 0), 1) : 1
+  }
+
+  // Notify subscribers and dispatch a cadence:<type> event on the target
+  function emit(type, detail) {
+    for (const listener of listeners) {
+      try {
+        listener(type, detail)
+      } catch (error) {
+        console.error('Cadence listener failed:', error)
+      }
+    }
+
+    if (target) {
+      target.dispatchEvent(new CustomEvent(`cadence:${type}`, { detail }))
+    }
+  }
+
+  // Effective IKI while idle: eases from the last EMA toward the resting value
+  function calculateIdleIKI(time) {
+    const t = Math.min(Math.max((time - idleStartedAt) / settings.decayMs, 0), 1)
+    const eased = 1 - (1 - t) * (1 - t) // ease-out: relax quickly at first, then settle
+    return idleStartIkiMs + (settings.restIkiMs - idleStartIkiMs) * eased
+  }
+
+  // Periodic check that keeps metrics flowing while no keys arrive
+  function handleIdleTick() {
+    if (!isActive) return
+    checkIdle()
+  }
+
+  // Enter idle after a pause and advance the idle decay to now()
+  function checkIdle() {
+    if (currentMetrics.lastKeyAt === null || emaIkiMs === null) return
+
+    const time = now()
+
+    if (!isIdle) {
+      if (time - currentMetrics.lastKeyAt < settings.idleAfterMs) return
+
+      isIdle = true
+      idleStartedAt = time
+      idleStartIkiMs = emaIkiMs
+      currentMetrics.isIdle = true
+      emit('idle', {
+        lastKeyAt: currentMetrics.lastKeyAt,
+        emaIkiMs
+      })
+    }
+
+    currentMetrics.effectiveIkiMs = calculateIdleIKI(time)
+    updateTypingState(time)
+    publishMetrics()
+  }
+
+  // Leave idle state when typing resumes
+  function resumeFromIdle(timestamp) {
+    // Continue the EMA from where the decay left off so there is no jump back
+    emaIkiMs = calculateIdleIKI(timestamp)
+    resetIdleState()
+    currentMetrics.isIdle = false
+
+    emit('resume', {
+      idleDurationMs: timestamp - currentMetrics.lastKeyAt,
+      emaIkiMs
+    })
+  }
+
+  // Re-classify the typing state and emit cadence:state when the label changes
+  function updateTypingState(time) {
+    if (!classifier) return
+
+    const change = classifier.update(currentMetrics, time)
+    if (!change) return
+
+    currentMetrics.state = change.state
+    emit('state', { ...change, at: time })
+  }
+
+  // Reset idle decay state
+  function resetIdleState() {
+    isIdle = false
+    idleStartedAt = null
+    idleStartIkiMs = null
+  }
+
+  // Publish metrics (throttled to publishHz)
+  function publishMetrics() {
+    const time = now()
+
+    if (time - lastPublishTime < minPublishIntervalMs) {
+      return
+    }
+
+    lastPublishTime = time
+    emit('update', { ...currentMetrics })
+  }
+
+  // Inputs held in the ring buffer
+  function getWindowEntries() {
+    return inputBuffer.slice(0, bufferCount)
+  }
+
+  // Process keystroke data (shared by all sources)
+  // keyClass is one of INPUT_CLASSES from ./sources.js - never the key itself
+  function processKeystroke(timestamp, keyClass = 'printable') {
+    // Raw timing for recorders - emitted before any filtering so replays are exact
+    emit('keystroke', { timestamp, keyClass })
+
+    // Modifiers accompany other keys (Shift+letter) and would add spurious short IKIs
+    if (keyClass === 'modifier') return
+
+    const wasIdle = isIdle
+    if (wasIdle) {
+      resumeFromIdle(timestamp)
+    }
+
+    // Calculate IKI if this source has produced input before
+    const sourceName = getSourceNameForClass(keyClass)
+    const ikiMs = calculateIKI(sourceName, timestamp)
+
+    // Add input to ring buffer
+    inputBuffer[bufferIndex] = { ikiMs, keyClass }
+    bufferIndex = (bufferIndex + 1) % windowSize
+    bufferCount = Math.min(bufferCount + 1, windowSize)
+
+    // Each counted input with the IKI before it (e.g. for sonification)
+    emit('input', { timestamp, keyClass, ikiMs })
+
+    if (ikiMs !== null) {
+      currentMetrics.lastIkiMs = ikiMs
+      // The pause that ended an idle period was already represented by the decay
+      if (!wasIdle) {
+        updateEMA(ikiMs, getSourceWeight(sourceName))
+      }
+      currentMetrics.emaIkiMs = emaIkiMs
+    }
+
+    currentMetrics.effectiveIkiMs = emaIkiMs
+
+    // A pause (or the very first key) starts a new burst
+    burstLength = ikiMs !== null && ikiMs < PAUSE_THRESHOLD_MS ? burstLength + 1 : 1
+
+    currentMetrics.lastKeyAt = timestamp
+    currentMetrics.burstLength = burstLength
+    const entries = getWindowEntries()
+    Object.assign(currentMetrics, calculateWindowMetrics(entries))
+    currentMetrics.deleteRate = calculateDeleteRate(entries.map(entry => entry.keyClass))
+    updateTypingState(timestamp)
+
+    // Publish metrics (throttled) - works even when tab is hidden
+    publishMetrics()
+  }
+
+  // Source callback - ignores input while stopped
+  function push(timestamp, keyClass) {
+    if (!isActive) return
+    processKeystroke(timestamp, keyClass)
+  }
+
+  return {
+    // Start listening to sources and publishing metrics
+    start() {
+      if (isActive) {
+        console.warn('Cadence analyzer is already running')
+        return
+      }
+
+      isActive = true
+      this.reset()
+
+      for (const source of sources) {
+        source.start(push)
+      }
+
+      // Keep publishing while idle so mappings can relax
+      idleTimer = setInterval(handleIdleTick, IDLE_TICK_MS)
+
+      console.log('Cadence analyzer started')
+    },
+
+    // Stop listening and clear state
+    stop() {
+      if (!isActive) {
+        console.warn('Cadence analyzer is not running')
+        return
+      }
+
+      isActive = false
+
+      for (const source of sources) {
+        source.stop()
+      }
+
+      // Stop idle timer
+      if (idleTimer) {
+        clearInterval(idleTimer)
+        idleTimer = null
+      }
+
+      this.reset()
+      console.log('Cadence analyzer stopped')
+    },
+
+    // Replace the input sources (restarts listening if running)
+    setSources(nextSources) {
+      if (isActive) {
+        for (const source of sources) {
+          source.stop()
+        }
+      }
+
+      sources = nextSources
+      lastTimestamps.clear()
+
+      if (isActive) {
+        for (const source of sources) {
+          source.start(push)
+        }
+      }
+
+      console.log('Cadence sources:', sources.map(source => source.name).join(', ') || 'none')
+    },
+
+    // Clear buffers, EMA and idle state
+    reset() {
+      inputBuffer.length = 0
+      lastTimestamps.clear()
+      bufferIndex = 0
+      bufferCount = 0
+      emaIkiMs = null
+      burstLength = 0
+      lastPublishTime = -Infinity
+      resetIdleState()
+      currentMetrics = createEmptyMetrics()
+      if (classifier) {
+        classifier.reset()
+      }
+    },
+
+    // Feed a keystroke directly (bypasses sources, e.g. for tests)
+    processKeystroke,
+
+    // Run the idle check at now() without starting the analyzer - lets a
+    // virtual clock (options.now) drive idle decay, e.g. for offline renders
+    tick: checkIdle,
+
+    // Listener receives (type, detail) with type 'update' | 'idle' | 'resume' | 'state' | 'keystroke' | 'input'
+    // Returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    unsubscribe(listener) {
+      listeners.delete(listener)
+    },
+
+    // Copy of the latest metrics (not throttled)
+    getSnapshot() {
+      return { ...currentMetrics }
+    },
+
+    // Current typing state label (null until classified)
+    getState() {
+      return currentMetrics.state
+    },
+
+    getClassifier() {
+      return classifier
+    },
+
+    isRunning() {
+      return isActive
+    }
+  }
 }
 
-// Start cadence analysis
-export function startCadence() {
-  if (isActive) {
+// Default instance used by startCadence/stopCadence
+let defaultAnalyzer = null
+
+// Start the default cadence analyzer (publishes on document)
+// options: see createCadenceAnalyzer
+export function startCadence(options = {}) {
+  if (defaultAnalyzer && defaultAnalyzer.isRunning()) {
     console.warn('Cadence analyzer is already running')
     return
   }
-  
-  isActive = true
-  
-  // Reset state
-  timestampBuffer.length = 0
-  bufferIndex = 0
-  bufferCount = 0
-  emaIkiMs = null
-  lastPublishTime = 0
-  
-  currentMetrics = {
-    lastIkiMs: null,
-    emaIkiMs: null,
-    lastKeyAt: null
-  }
-  
-  // Set up keydown listener with capture mode (works even when tab is hidden)
-  keydownListener = handleKeydown
-  window.addEventListener('keydown', keydownListener, true)
-  
-  // Global keystroke detection disabled to avoid interfering with normal typing
-  // if (window.electronAPI && window.electronAPI.onGlobalKeystroke) {
-  //   window.electronAPI.onGlobalKeystroke(handleGlobalKeystroke)
-  //   console.log('Global keystroke listener registered')
-  // }
-  
-  console.log('Cadence analyzer started')
+
+  defaultAnalyzer = createCadenceAnalyzer(options)
+  defaultAnalyzer.start()
 }
 
-// Stop cadence analysis
+// Stop the default cadence analyzer
 export function stopCadence() {
-  if (!isActive) {
+  if (!defaultAnalyzer || !defaultAnalyzer.isRunning()) {
     console.warn('Cadence analyzer is not running')
     return
   }
-  
-  isActive = false
-  
-  // Remove event listener
-  if (keydownListener) {
-    window.removeEventListener('keydown', keydownListener, true)
-    keydownListener = null
-  }
-  
-  // Global keystroke detection disabled
-  // if (window.electronAPI && window.electronAPI.removeAllListeners) {
-  //   window.electronAPI.removeAllListeners('global-keystroke')
-  //   console.log('Global keystroke listener removed')
-  // }
-  
-  // Reset state
-  timestampBuffer.length = 0
-  bufferIndex = 0
-  bufferCount = 0
-  emaIkiMs = null
-  lastPublishTime = 0
-  
-  console.log('Cadence analyzer stopped')
+
+  defaultAnalyzer.stop()
+}
+
+// Get the default analyzer instance (null before startCadence)
+export function getCadenceAnalyzer() {
+  return defaultAnalyzer
 }
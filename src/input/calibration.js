@@ -0,0 +1,219 @@
+// Personal calibration of the IKI range used by the mappings
+// A guided typing sample sets the user's own p10/p90 IKI; background
+// recalibration keeps nudging the range as more typing comes in
+
+import { getSourceNameForClass } from './sources.js'
+
+const STORAGE_KEY = 'calm-flow:calibration'
+
+// Range used before any calibration (ms): 80 = fast typing, 500 = slow/paused
+export const DEFAULT_IKI_RANGE = { min: 80, max: 500 }
+
+const CALIBRATION_DURATION_MS = 60000
+const MIN_SAMPLES = 30           // Below this the sample is too small to trust
+const MIN_RANGE_MS = 60          // Keeps a usable spread between min and max
+const MAX_SAMPLE_IKI_MS = 1000   // Longer gaps are pauses, not typing rhythm
+const LOW_PERCENTILE = 10
+const HIGH_PERCENTILE = 90
+
+// Background recalibration
+const BACKGROUND_WINDOW = 400    // Most recent IKIs considered
+const BACKGROUND_UPDATE_EVERY = 50 // New IKIs between updates
+const BACKGROUND_BLEND = 0.1     // Fraction of the way to move toward the new percentiles
+
+// Percentile (0-100) with linear interpolation
+export function percentile(values, p) {
+  if (values.length === 0) return null
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const index = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(index)
+  const upper = Math.ceil(index)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)
+}
+
+// Compute a mapping range from IKI samples (null if there are too few)
+export function computeIkiRange(samples) {
+  if (samples.length < MIN_SAMPLES) return null
+
+  const min = percentile(samples, LOW_PERCENTILE)
+  const max = Math.max(percentile(samples, HIGH_PERCENTILE), min + MIN_RANGE_MS)
+  return { min, max }
+}
+
+// Load the saved calibration (null if never calibrated)
+export function loadCalibration() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return saved && Number.isFinite(saved.min) && Number.isFinite(saved.max) ? saved : null
+  } catch (error) {
+    console.warn('Could not load calibration:', error)
+    return null
+  }
+}
+
+// Persist a calibration record
+export function saveCalibration(calibration) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration))
+  } catch (error) {
+    console.warn('Could not save calibration:', error)
+  }
+}
+
+// Forget the saved calibration
+export function clearCalibration() {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch (error) {
+    console.warn('Could not clear calibration:', error)
+  }
+}
+
+// Subscribe to an analyzer and call onIki for every keyboard IKI that isn't a pause
+function collectKeyboardIKIs(analyzer, onIki) {
+  let lastTimestamp = null
+
+  return analyzer.subscribe((type, detail) => {
+    if (type !== 'keystroke') return
+    if (getSourceNameForClass(detail.keyClass) !== 'keyboard' || detail.keyClass === 'modifier') return
+
+    const iki = lastTimestamp !== null ? detail.timestamp - lastTimestamp : null
+    lastTimestamp = detail.timestamp
+
+    if (iki !== null && iki > 0 && iki < MAX_SAMPLE_IKI_MS) {
+      onIki(iki)
+    }
+  })
+}
+
+// Guided calibration: collect IKIs for durationMs, then compute and save the range
+// options: { durationMs, onProgress(remainingMs, sampleCount), onComplete(calibration | null) }
+export function createCalibrationSession(analyzer, { durationMs = CALIBRATION_DURATION_MS, onProgress = null, onComplete = null } = {}) {
+  const samples = []
+  let unsubscribe = null
+  let progressTimer = null
+  let startedAt = 0
+
+  function finish() {
+    cleanup()
+
+    const range = computeIkiRange(samples)
+    if (!range) {
+      console.warn('Calibration needs at least', MIN_SAMPLES, 'keystrokes, got', samples.length)
+      if (onComplete) onComplete(null)
+      return
+    }
+
+    const calibration = {
+      ...range,
+      samples: samples.length,
+      calibratedAt: new Date().toISOString()
+    }
+    saveCalibration(calibration)
+    console.log('Calibration complete:', calibration)
+    if (onComplete) onComplete(calibration)
+  }
+
+  function cleanup() {
+    if (unsubscribe) {
+      unsubscribe()
+      unsubscribe = null
+    }
+    if (progressTimer) {
+      clearInterval(progressTimer)
+      progressTimer = null
+    }
+  }
+
+  return {
+    start() {
+      if (unsubscribe) return
+
+      samples.length = 0
+      startedAt = performance.now()
+      unsubscribe = collectKeyboardIKIs(analyzer, iki => samples.push(iki))
+
+      progressTimer = setInterval(() => {
+        const remainingMs = Math.max(0, durationMs - (performance.now() - startedAt))
+        if (onProgress) onProgress(remainingMs, samples.length)
+        if (remainingMs === 0) finish()
+      }, 250)
+
+      console.log('Calibration started')
+    },
+
+    // Abort without saving
+    cancel() {
+      if (!unsubscribe) return
+
+      cleanup()
+      console.log('Calibration cancelled')
+    },
+
+    isRunning() {
+      return unsubscribe !== null
+    }
+  }
+}
+
+// Background recalibration: gradually blends the range toward recent typing,
+// from the default range when nothing is saved. Only a saved calibration is
+// updated in storage, so a first run or a reset doesn't save one on its own
+// options: { initialRange, onChange(range) }
+export function createBackgroundCalibrator(analyzer, { initialRange = DEFAULT_IKI_RANGE, onChange = null } = {}) {
+  const recent = []
+  let range = { ...initialRange }
+  let sinceUpdate = 0
+  let unsubscribe = null
+
+  function handleIki(iki) {
+    recent.push(iki)
+    if (recent.length > BACKGROUND_WINDOW) {
+      recent.shift()
+    }
+
+    sinceUpdate++
+    if (sinceUpdate < BACKGROUND_UPDATE_EVERY) return
+    sinceUpdate = 0
+
+    const target = computeIkiRange(recent)
+    if (!target) return
+
+    range = {
+      min: range.min + (target.min - range.min) * BACKGROUND_BLEND,
+      max: range.max + (target.max - range.max) * BACKGROUND_BLEND
+    }
+
+    const saved = loadCalibration()
+    if (saved) {
+      saveCalibration({ ...saved, ...range, updatedAt: new Date().toISOString() })
+    }
+    if (onChange) onChange({ ...range })
+  }
+
+  return {
+    start() {
+      if (unsubscribe) return
+      unsubscribe = collectKeyboardIKIs(analyzer, handleIki)
+    },
+
+    stop() {
+      if (!unsubscribe) return
+      unsubscribe()
+      unsubscribe = null
+    },
+
+    // Jump to a new range (e.g. after a guided calibration or reset) and
+    // blend on from there, forgetting the typing that led to the old one
+    setRange(nextRange) {
+      range = { min: nextRange.min, max: nextRange.max }
+      recent.length = 0
+      sinceUpdate = 0
+    },
+
+    getRange() {
+      return { ...range }
+    }
+  }
+}
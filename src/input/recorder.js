@@ -0,0 +1,183 @@
+// Cadence session recording and replay
+// Traces hold input timing and key/input class only - never key identities
+
+import { INPUT_CLASSES } from './sources.js'
+
+export const TRACE_VERSION = 1
+
+// Create an empty trace
+function createTrace(recordedAt) {
+  return {
+    version: TRACE_VERSION,
+    recordedAt,
+    durationMs: 0,
+    events: [] // [tMs, keyClass] with t relative to the first keystroke
+  }
+}
+
+// Validate and normalize a parsed trace object
+export function normalizeTrace(trace) {
+  if (!trace || trace.version !== TRACE_VERSION || !Array.isArray(trace.events)) {
+    throw new Error('Unsupported cadence trace')
+  }
+
+  const events = trace.events
+    .filter(event => Array.isArray(event) && Number.isFinite(event[0]) && INPUT_CLASSES.includes(event[1]))
+    .sort((a, b) => a[0] - b[0])
+
+  return {
+    version: TRACE_VERSION,
+    recordedAt: trace.recordedAt || null,
+    durationMs: events.length > 0 ? events[events.length - 1][0] : 0,
+    events
+  }
+}
+
+// Record keystroke timing from an analyzer
+export function createCadenceRecorder(analyzer) {
+  let trace = null
+  let firstTimestamp = null
+  let unsubscribe = null
+
+  function handleCadence(type, detail) {
+    if (type !== 'keystroke') return
+
+    if (firstTimestamp === null) {
+      firstTimestamp = detail.timestamp
+    }
+
+    // 0.1ms resolution keeps traces compact without affecting IKIs
+    const t = Math.round((detail.timestamp - firstTimestamp) * 10) / 10
+    trace.events.push([t, detail.keyClass])
+    trace.durationMs = t
+  }
+
+  return {
+    start() {
+      if (unsubscribe) {
+        console.warn('Cadence recorder is already recording')
+        return
+      }
+
+      trace = createTrace(new Date().toISOString())
+      firstTimestamp = null
+      unsubscribe = analyzer.subscribe(handleCadence)
+      console.log('Cadence recording started')
+    },
+
+    // Stop recording and return the trace
+    stop() {
+      if (!unsubscribe) {
+        console.warn('Cadence recorder is not recording')
+        return trace
+      }
+
+      unsubscribe()
+      unsubscribe = null
+      console.log('Cadence recording stopped:', trace.events.length, 'keystrokes')
+      return trace
+    },
+
+    isRecording() {
+      return unsubscribe !== null
+    },
+
+    getTrace() {
+      return trace
+    }
+  }
+}
+
+// Serialize a trace as 'json' (one object) or 'ndjson' (header line + one line per keystroke)
+export function serializeTrace(trace, format = 'json') {
+  if (format === 'ndjson') {
+    const header = JSON.stringify({
+      version: trace.version,
+      recordedAt: trace.recordedAt,
+      durationMs: trace.durationMs
+    })
+    return [header, ...trace.events.map(event => JSON.stringify(event))].join('\n') + '\n'
+  }
+
+  return JSON.stringify(trace)
+}
+
+// Parse a JSON or NDJSON trace
+export function parseTrace(text) {
+  const trimmed = text.trim()
+
+  // A JSON trace is a single object containing the events array
+  try {
+    return normalizeTrace(JSON.parse(trimmed))
+  } catch (error) {
+    if (!trimmed.includes('\n')) throw error
+  }
+
+  const [headerLine, ...eventLines] = trimmed.split('\n').filter(line => line.trim() !== '')
+  const header = JSON.parse(headerLine)
+  return normalizeTrace({
+    ...header,
+    events: eventLines.map(line => JSON.parse(line))
+  })
+}
+
+// Replay a trace through analyzer.processKeystroke
+// options: { speed, loop, onEnd }
+//   speed - playback rate; above 1 the trace is time-compressed, so IKIs shrink by the
+//           same factor (use 1 to reproduce identical metrics)
+export function createCadenceReplay(trace, analyzer, { speed = 1, loop = false, onEnd = null } = {}) {
+  const events = normalizeTrace(trace).events
+  const rate = Math.max(speed, 0.01)
+  let timer = null
+  let index = 0
+  let startedAt = 0
+
+  function scheduleNext() {
+    if (index >= events.length) {
+      if (loop && events.length > 0) {
+        // Keep the gap between last and first key equal to the trace's first interval
+        const gap = events.length > 1 ? events[1][0] - events[0][0] : 0
+        startedAt += (events[events.length - 1][0] + gap) / rate
+        index = 0
+      } else {
+        timer = null
+        console.log('Cadence replay finished')
+        if (onEnd) onEnd()
+        return
+      }
+    }
+
+    const [t, keyClass] = events[index]
+    const dueAt = startedAt + t / rate
+    const delay = Math.max(0, dueAt - performance.now())
+
+    timer = setTimeout(() => {
+      index++
+      analyzer.processKeystroke(dueAt, keyClass)
+      scheduleNext()
+    }, delay)
+  }
+
+  return {
+    start() {
+      if (timer) return
+
+      index = 0
+      startedAt = performance.now()
+      console.log('Cadence replay started:', events.length, 'keystrokes at', rate + 'x')
+      scheduleNext()
+    },
+
+    stop() {
+      if (!timer) return
+
+      clearTimeout(timer)
+      timer = null
+      console.log('Cadence replay stopped')
+    },
+
+    isPlaying() {
+      return timer !== null
+    }
+  }
+}
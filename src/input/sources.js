@@ -0,0 +1,283 @@
+// Input sources for the cadence analyzer
+// A source is { name, start(push), stop() } - it calls push(timestamp, keyClass) for
+// every rhythmic input event and removes its listeners on stop()
+
+// Key classes - the only information about a key the analyzer ever sees
+export const KEY_CLASSES = ['printable', 'space', 'delete', 'navigation', 'modifier']
+
+// Input classes of the non-keyboard sources, and the source each one belongs to
+const POINTER_CLASS_SOURCES = {
+  pointer: 'pointer',
+  scroll: 'scroll',
+  tap: 'touch'
+}
+
+// Every class a source may push (and a trace may contain)
+export const INPUT_CLASSES = [...KEY_CLASSES, ...Object.keys(POINTER_CLASS_SOURCES)]
+
+// Names accepted by createInputSources, in settings order
+export const SOURCE_NAMES = ['keyboard', 'pointer', 'scroll', 'touch']
+
+// Default influence of each source on the shared EMA (keyboard stays dominant)
+const DEFAULT_WEIGHTS = {
+  keyboard: 1,
+  pointer: 0.5,
+  scroll: 0.5,
+  touch: 0.8
+}
+
+// Pointer/scroll normalization: one IKI-like event per this much travel
+const POINTER_STEP_PX = 120
+const SCROLL_STEP_PX = 100
+const MIN_POINTER_INTERVAL_MS = 40 // Caps the rate of very fast movement (~25 events/s)
+const WHEEL_LINE_PX = 16
+const WHEEL_PAGE_PX = 800
+
+// Source that produced an input class (keyboard for all key classes)
+export function getSourceNameForClass(keyClass) {
+  return POINTER_CLASS_SOURCES[keyClass] || 'keyboard'
+}
+
+const SPACE_KEYS = new Set([' ', 'Spacebar', 'Enter', 'Tab'])
+const DELETE_KEYS = new Set(['Backspace', 'Delete'])
+const MODIFIER_KEYS = new Set([
+  'Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'CapsLock', 'NumLock',
+  'ScrollLock', 'Fn', 'FnLock', 'Hyper', 'Super', 'Symbol', 'SymbolLock'
+])
+
+// Classify a key value without keeping it - the key itself never leaves this function
+export function classifyKey(key) {
+  if (typeof key !== 'string' || key.length === 0) return 'navigation'
+  if (SPACE_KEYS.has(key)) return 'space'
+  if (DELETE_KEYS.has(key)) return 'delete'
+  if (MODIFIER_KEYS.has(key)) return 'modifier'
+
+  // Single characters (including astral symbols), dead keys and IME input produce text
+  if ([...key].length === 1 || key === 'Dead' || key === 'Process') return 'printable'
+
+  // Arrows, Home/End, Escape, function keys and everything else
+  return 'navigation'
+}
+
+// True for keydowns that must not be analyzed at all
+function shouldIgnoreKeyEvent(event) {
+  // Held keys fire repeated keydowns that say nothing about typing rhythm
+  if (event.repeat) return true
+
+  // Never look at anything typed into a password field
+  const element = event.target
+  return !!(element && element.type === 'password')
+}
+
+// Keyboard source - listens to keydown events in capture mode
+// strictPrivacy (default true) keeps key identities out of logs; only the key class is used
+export function createKeyboardSource({ target = window, strictPrivacy = true } = {}) {
+  let listener = null
+
+  return {
+    name: 'keyboard',
+    weight: DEFAULT_WEIGHTS.keyboard,
+
+    start(push) {
+      if (listener) return
+
+      // Capture mode so keystrokes are seen even when the tab is hidden
+      listener = (event) => {
+        if (shouldIgnoreKeyEvent(event)) return
+
+        const now = performance.now()
+        const keyClass = classifyKey(event.key)
+
+        // Debug: Log key identities only when strict privacy is explicitly disabled
+        if (!strictPrivacy) {
+          console.log('Keystroke detected:', {
+            key: event.key,
+            keyClass,
+            tabHidden: typeof document !== 'undefined' ? document.hidden : false,
+            timestamp: now
+          })
+        }
+
+        push(now, keyClass)
+      }
+      target.addEventListener('keydown', listener, true)
+    },
+
+    stop() {
+      if (!listener) return
+
+      target.removeEventListener('keydown', listener, true)
+      listener = null
+    }
+  }
+}
+
+// Global keystroke source - keystrokes forwarded by the Electron main process
+// Not used by default to avoid interfering with normal typing in other apps
+export function createGlobalKeystrokeSource({ electronAPI = window.electronAPI, strictPrivacy = true } = {}) {
+  let active = false
+
+  return {
+    name: 'global-keyboard',
+
+    start(push) {
+      if (active || !electronAPI || !electronAPI.onGlobalKeystroke) return
+
+      active = true
+      electronAPI.onGlobalKeystroke((event, data) => {
+        if (!active || data.repeat) return
+
+        const now = performance.now()
+        const keyClass = classifyKey(data.key)
+
+        // Debug: Log key identities only when strict privacy is explicitly disabled
+        if (!strictPrivacy) {
+          console.log('Global keystroke detected:', {
+            key: data.key,
+            keyClass,
+            appHidden: data.appHidden,
+            timestamp: now
+          })
+        }
+
+        push(now, keyClass)
+      })
+      console.log('Global keystroke listener registered')
+    },
+
+    stop() {
+      if (!active) return
+
+      active = false
+      if (electronAPI.removeAllListeners) {
+        electronAPI.removeAllListeners('global-keystroke')
+        console.log('Global keystroke listener removed')
+      }
+    }
+  }
+}
+
+// Pointer source - mouse/pen movement velocity as an IKI-like signal
+// Emits one event per stepPx of travel, so faster movement gives shorter intervals
+export function createPointerSource({ target = window, stepPx = POINTER_STEP_PX, weight = DEFAULT_WEIGHTS.pointer } = {}) {
+  let listener = null
+  let lastX = null
+  let lastY = null
+  let travelled = 0
+  let lastEmitAt = -Infinity
+
+  return {
+    name: 'pointer',
+    weight,
+
+    start(push) {
+      if (listener) return
+
+      listener = (event) => {
+        // Touch drags are handled by the touch source
+        if (event.pointerType === 'touch') return
+
+        if (lastX !== null) {
+          travelled += Math.hypot(event.clientX - lastX, event.clientY - lastY)
+        }
+        lastX = event.clientX
+        lastY = event.clientY
+
+        const now = performance.now()
+        if (travelled >= stepPx && now - lastEmitAt >= MIN_POINTER_INTERVAL_MS) {
+          travelled = 0
+          lastEmitAt = now
+          push(now, 'pointer')
+        }
+      }
+      target.addEventListener('pointermove', listener, { passive: true })
+    },
+
+    stop() {
+      if (!listener) return
+
+      target.removeEventListener('pointermove', listener)
+      listener = null
+      lastX = null
+      lastY = null
+      travelled = 0
+    }
+  }
+}
+
+// Scroll source - wheel/trackpad scrolling rhythm
+// Deltas are normalized to pixels and emitted per stepPx, like the pointer source
+export function createScrollSource({ target = window, stepPx = SCROLL_STEP_PX, weight = DEFAULT_WEIGHTS.scroll } = {}) {
+  let listener = null
+  let scrolled = 0
+  let lastEmitAt = -Infinity
+
+  return {
+    name: 'scroll',
+    weight,
+
+    start(push) {
+      if (listener) return
+
+      listener = (event) => {
+        const unit = event.deltaMode === 1 ? WHEEL_LINE_PX : event.deltaMode === 2 ? WHEEL_PAGE_PX : 1
+        scrolled += Math.hypot(event.deltaX, event.deltaY) * unit
+
+        const now = performance.now()
+        if (scrolled >= stepPx && now - lastEmitAt >= MIN_POINTER_INTERVAL_MS) {
+          scrolled = 0
+          lastEmitAt = now
+          push(now, 'scroll')
+        }
+      }
+      target.addEventListener('wheel', listener, { passive: true })
+    },
+
+    stop() {
+      if (!listener) return
+
+      target.removeEventListener('wheel', listener)
+      listener = null
+      scrolled = 0
+    }
+  }
+}
+
+// Touch source - intervals between taps on touch devices
+export function createTouchSource({ target = window, weight = DEFAULT_WEIGHTS.touch } = {}) {
+  let listener = null
+
+  return {
+    name: 'touch',
+    weight,
+
+    start(push) {
+      if (listener) return
+
+      listener = (event) => {
+        if (event.pointerType !== 'touch' || !event.isPrimary) return
+        push(performance.now(), 'tap')
+      }
+      target.addEventListener('pointerdown', listener, { passive: true })
+    },
+
+    stop() {
+      if (!listener) return
+
+      target.removeEventListener('pointerdown', listener)
+      listener = null
+    }
+  }
+}
+
+// Create sources by name (see SOURCE_NAMES); unknown names are ignored
+export function createInputSources(names, { strictPrivacy = true } = {}) {
+  const factories = {
+    keyboard: () => createKeyboardSource({ strictPrivacy }),
+    pointer: () => createPointerSource(),
+    scroll: () => createScrollSource(),
+    touch: () => createTouchSource()
+  }
+
+  return names.filter(name => factories[name]).map(name => factories[name]())
+}
@@ -0,0 +1,111 @@
+// Typing state classifier
+// Labels cadence snapshots as flow, steady, hesitant, frantic or idle, with
+// hysteresis so the label only changes once a new state has held for a while
+
+import { DEFAULT_IKI_RANGE } from './calibration.js'
+
+export const TYPING_STATES = ['flow', 'steady', 'hesitant', 'frantic', 'idle']
+
+const DEFAULT_HOLD_MS = 1500 // A candidate state must persist this long before it is adopted
+
+// Thresholds on normalized IKI (0 = fast end of the range, 1 = slow end)
+const FAST_THRESHOLD = 0.35
+const SLOW_THRESHOLD = 0.7
+
+// Rhythm thresholds
+const STEADY_JITTER_RATIO = 0.35   // Jitter / median below this is an even rhythm
+const ERRATIC_JITTER_RATIO = 0.6   // ...above this is erratic
+const FLOW_MIN_BURST = 8           // Keys without a pause before flow is possible
+const FRANTIC_DELETE_RATE = 0.15   // Share of deletions that signals struggling
+const HESITANT_MIN_PAUSES = 2      // Pauses within the window
+
+// Raw (unsmoothed) state for a snapshot
+function classifySnapshot(snapshot, ikiRange) {
+  if (snapshot.isIdle) return 'idle'
+
+  const ikiMs = snapshot.medianIkiMs !== null ? snapshot.medianIkiMs : snapshot.effectiveIkiMs
+  if (ikiMs === null) return null
+
+  const span = ikiRange.max - ikiRange.min
+  const normalized = Math.min(Math.max((ikiMs - ikiRange.min) / span, 0), 1)
+  const jitterRatio = snapshot.ikiJitterMs !== null && ikiMs > 0 ? snapshot.ikiJitterMs / ikiMs : 0
+  const deleteRate = snapshot.deleteRate || 0
+
+  // Fast but erratic or error-heavy typing
+  if (normalized < SLOW_THRESHOLD && (deleteRate >= FRANTIC_DELETE_RATE ||
+      (normalized < FAST_THRESHOLD && jitterRatio >= ERRATIC_JITTER_RATIO))) {
+    return 'frantic'
+  }
+
+  // Slow or stop-and-go typing
+  if (normalized >= SLOW_THRESHOLD || snapshot.pauseCount >= HESITANT_MIN_PAUSES) {
+    return 'hesitant'
+  }
+
+  // Quick, even and sustained
+  if (normalized < FAST_THRESHOLD * 1.5 && jitterRatio < STEADY_JITTER_RATIO && snapshot.burstLength >= FLOW_MIN_BURST) {
+    return 'flow'
+  }
+
+  return 'steady'
+}
+
+// Create a classifier
+// options: { holdMs, ikiRange }
+export function createStateClassifier({ holdMs = DEFAULT_HOLD_MS, ikiRange = DEFAULT_IKI_RANGE } = {}) {
+  let range = { ...ikiRange }
+  let state = null
+  let stateSince = null
+  let candidate = null
+  let candidateSince = null
+
+  return {
+    // Classify a snapshot at time (ms); returns { state, previousState } when the label changes
+    update(snapshot, time) {
+      const raw = classifySnapshot(snapshot, range)
+      if (raw === null || raw === state) {
+        candidate = null
+        candidateSince = null
+        return null
+      }
+
+      if (raw !== candidate) {
+        candidate = raw
+        candidateSince = time
+      }
+
+      // Idle is already debounced by the analyzer, and the first label needs no hold
+      const held = time - candidateSince >= holdMs
+      if (!held && raw !== 'idle' && state !== 'idle' && state !== null) {
+        return null
+      }
+
+      const previousState = state
+      state = raw
+      stateSince = time
+      candidate = null
+      candidateSince = null
+      return { state, previousState }
+    },
+
+    getState() {
+      return state
+    },
+
+    getStateSince() {
+      return stateSince
+    },
+
+    // Use the personal IKI range (see calibration.js)
+    setIkiRange(nextRange) {
+      range = { min: nextRange.min, max: nextRange.max }
+    },
+
+    reset() {
+      state = null
+      stateSince = null
+      candidate = null
+      candidateSince = null
+    }
+  }
+}
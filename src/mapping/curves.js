@@ -0,0 +1,79 @@
+/**
+ * Response curves for the mapping engine
+ * Each curve maps a normalized input t in [0, 1] to [0, 1]
+ */
+
+export const CURVE_TYPES = ['linear', 'exponential', 'logarithmic', 'smoothstep', 'points']
+
+const DEFAULT_STEEPNESS = 3
+
+const clamp01 = (x) => Math.min(Math.max(x, 0), 1)
+
+/**
+ * Piecewise-linear interpolation through [x, y] points sorted by x
+ */
+function interpolatePoints(points, t) {
+  if (t <= points[0][0]) return points[0][1]
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i]
+    if (t <= x1) {
+      const [x0, y0] = points[i - 1]
+      return x1 === x0 ? y1 : y0 + (y1 - y0) * (t - x0) / (x1 - x0)
+    }
+  }
+
+  return points[points.length - 1][1]
+}
+
+/**
+ * Evaluate a curve definition { type, k, points, invert } at t
+ *   exponential/logarithmic - k controls steepness (default 3)
+ *   points                  - [[x, y], ...] in [0, 1], sorted by x
+ *   invert                  - flips the input so 0 and 1 swap ends
+ */
+export function evaluateCurve(curve, t) {
+  const x = clamp01(curve.invert ? 1 - t : t)
+  const k = curve.k !== undefined ? curve.k : DEFAULT_STEEPNESS
+
+  switch (curve.type) {
+    case 'exponential':
+      return (Math.exp(k * x) - 1) / (Math.exp(k) - 1)
+    case 'logarithmic':
+      return Math.log(1 + k * x) / Math.log(1 + k)
+    case 'smoothstep':
+      return x * x * (3 - 2 * x)
+    case 'points':
+      return clamp01(interpolatePoints(curve.points, x))
+    case 'linear':
+    default:
+      return x
+  }
+}
+
+/**
+ * Describe what is wrong with a curve definition (empty array if valid)
+ */
+export function validateCurve(curve) {
+  const errors = []
+
+  if (!curve || !CURVE_TYPES.includes(curve.type)) {
+    errors.push(`curve type must be one of ${CURVE_TYPES.join(', ')}`)
+    return errors
+  }
+
+  if (curve.k !== undefined && !(Number.isFinite(curve.k) && curve.k > 0)) {
+    errors.push('curve k must be a positive number')
+  }
+
+  if (curve.type === 'points') {
+    const valid = Array.isArray(curve.points) && curve.points.length >= 2 &&
+      curve.points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)) &&
+      curve.points.every((point, i) => i === 0 || point[0] >= curve.points[i - 1][0])
+    if (!valid) {
+      errors.push('points curve needs at least two [x, y] pairs sorted by x')
+    }
+  }
+
+  return errors
+}
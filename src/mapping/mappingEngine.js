@@ -0,0 +1,214 @@
+/**
+ * Declarative mapping engine
+ * Turns cadence metrics into audio and visual parameters as described by a
+ * JSON preset (see ./presets). Each target parameter declares its input
+ * signal, response curve, output range and attack/release times.
+ */
+
+import { evaluateCurve, validateCurve } from './curves.js'
+import { DEFAULT_IKI_RANGE } from '../input/calibration.js'
+import { TYPING_STATES } from '../input/stateClassifier.js'
+
+export const PRESET_VERSION = 1
+
+// Parameters a preset may drive, grouped by destination
+// (rain/ocean/wind/fire are soundscape layer intensities and reverbSize the
+// reverb's size, all 0-1)
+export const MAPPING_TARGETS = {
+  audio: ['gain', 'cutoffHz', 'breathHz', 'musicCutoffHz', 'reverbSize', 'rain', 'ocean', 'wind', 'fire'],
+  visual: ['speed', 'detail', 'saturation', 'lightScale']
+}
+
+// Input signals, each normalized to [0, 1]
+export const MAPPING_INPUTS = ['iki', 'medianIki', 'jitter', 'deleteRate', 'burst', 'wpm', 'state']
+
+// Normalization ceilings for unbounded inputs
+const BURST_FULL = 40   // Keys without a pause
+const WPM_FULL = 120
+
+const DEFAULT_ATTACK_MS = 300
+const DEFAULT_RELEASE_MS = 1500
+
+const clamp01 = (x) => Math.min(Math.max(x, 0), 1)
+
+/**
+ * Normalize an IKI against the (calibrated) range: 0 = fast, 1 = slow
+ */
+function normalizeIki(ikiMs, ikiRange) {
+  if (ikiMs === null || ikiMs === undefined) return null
+  return clamp01((ikiMs - ikiRange.min) / (ikiRange.max - ikiRange.min))
+}
+
+/**
+ * Read a normalized input signal from a cadence snapshot (null if unavailable)
+ */
+function readInput(definition, snapshot, ikiRange) {
+  switch (definition.input) {
+    case 'iki':
+      return normalizeIki(snapshot.effectiveIkiMs, ikiRange)
+    case 'medianIki':
+      return normalizeIki(snapshot.medianIkiMs, ikiRange)
+    case 'jitter':
+      // Jitter relative to the median IKI, so it means the same at any speed
+      return snapshot.ikiJitterMs !== null && snapshot.medianIkiMs > 0
+        ? clamp01(snapshot.ikiJitterMs / snapshot.medianIkiMs)
+        : null
+    case 'deleteRate':
+      return snapshot.deleteRate !== null ? clamp01(snapshot.deleteRate) : null
+    case 'burst':
+      return clamp01(snapshot.burstLength / BURST_FULL)
+    case 'wpm':
+      return snapshot.wpm !== null ? clamp01(snapshot.wpm / WPM_FULL) : null
+    case 'state': {
+      const values = definition.stateValues || {}
+      return snapshot.state && values[snapshot.state] !== undefined ? clamp01(values[snapshot.state]) : null
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Check a preset and throw an Error listing every problem
+ */
+export function validatePreset(preset) {
+  const errors = []
+
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Preset must be a JSON object')
+  }
+  if (preset.version !== PRESET_VERSION) {
+    errors.push(`version must be ${PRESET_VERSION}`)
+  }
+  if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+    errors.push('name is required')
+  }
+  if (!preset.params || typeof preset.params !== 'object') {
+    errors.push('params object is required')
+  }
+
+  for (const [key, definition] of Object.entries(preset.params || {})) {
+    const [group, name] = key.split('.')
+    if (!MAPPING_TARGETS[group] || !MAPPING_TARGETS[group].includes(name)) {
+      errors.push(`${key}: unknown target`)
+      continue
+    }
+    if (!MAPPING_INPUTS.includes(definition.input)) {
+      errors.push(`${key}: input must be one of ${MAPPING_INPUTS.join(', ')}`)
+    }
+    if (!Array.isArray(definition.range) || definition.range.length !== 2 || !definition.range.every(Number.isFinite)) {
+      errors.push(`${key}: range must be [min, max]`)
+    }
+    for (const message of validateCurve(definition.curve || { type: 'linear' })) {
+      errors.push(`${key}: ${message}`)
+    }
+    for (const field of ['attackMs', 'releaseMs']) {
+      if (definition[field] !== undefined && !(Number.isFinite(definition[field]) && definition[field] >= 0)) {
+        errors.push(`${key}: ${field} must be a non-negative number`)
+      }
+    }
+    for (const table of ['stateValues', 'stateScale']) {
+      const unknown = Object.keys(definition[table] || {}).filter(state => !TYPING_STATES.includes(state))
+      if (unknown.length > 0) {
+        errors.push(`${key}: unknown states in ${table}: ${unknown.join(', ')}`)
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid mapping preset: ${errors.join('; ')}`)
+  }
+
+  return preset
+}
+
+/**
+ * Create a mapping engine for a preset
+ */
+export function createMappingEngine(preset, { ikiRange = DEFAULT_IKI_RANGE } = {}) {
+  let currentPreset = validatePreset(preset)
+  let range = { ...ikiRange }
+  let lastValues = {}
+
+  return {
+    /**
+     * Map a cadence snapshot to { audio, visual } target values
+     * Smoothing toward the targets is left to the consumers (see smoother.js)
+     */
+    map(snapshot) {
+      const result = { audio: {}, visual: {} }
+
+      for (const [key, definition] of Object.entries(currentPreset.params)) {
+        const input = readInput(definition, snapshot, range)
+        if (input === null) continue
+
+        const [group, name] = key.split('.')
+        const [min, max] = definition.range
+        let value = min + (max - min) * evaluateCurve(definition.curve || { type: 'linear' }, input)
+
+        // Optional per-state multiplier (e.g. quieter when frantic)
+        const scale = definition.stateScale && snapshot.state ? definition.stateScale[snapshot.state] : undefined
+        if (scale !== undefined) {
+          value *= scale
+        }
+
+        result[group][name] = value
+        lastValues[key] = value
+      }
+
+      return result
+    },
+
+    /**
+     * Attack/release time constants (ms) per target, grouped like map() output
+     * e.g. { audio: { gain: { attackMs, releaseMs } }, visual: { ... } }
+     */
+    getTimeConstants() {
+      const result = { audio: {}, visual: {} }
+
+      for (const [key, definition] of Object.entries(currentPreset.params)) {
+        const [group, name] = key.split('.')
+        result[group][name] = {
+          attackMs: definition.attackMs !== undefined ? definition.attackMs : DEFAULT_ATTACK_MS,
+          releaseMs: definition.releaseMs !== undefined ? definition.releaseMs : DEFAULT_RELEASE_MS
+        }
+      }
+
+      return result
+    },
+
+    /**
+     * Swap the preset (throws if invalid, keeping the current one)
+     */
+    setPreset(nextPreset) {
+      currentPreset = validatePreset(nextPreset)
+      lastValues = {}
+    },
+
+    getPreset() {
+      return currentPreset
+    },
+
+    /**
+     * Use the personal IKI range (see input/calibration.js)
+     */
+    setIkiRange(nextRange) {
+      range = { min: nextRange.min, max: nextRange.max }
+    },
+
+    reset() {
+      lastValues = {}
+    },
+
+    /**
+     * Current mapping state for debugging
+     */
+    getState() {
+      return {
+        preset: currentPreset.name,
+        ikiRange: { ...range },
+        lastValues: { ...lastValues }
+      }
+    }
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Built-in mapping presets, keyed by id
+ */
+
+import defaultPreset from './default.json'
+import gentlePreset from './gentle.json'
+import rhythmicPreset from './rhythmic.json'
+
+export const DEFAULT_PRESET_ID = 'default'
+
+export const PRESETS = {
+  default: defaultPreset,
+  gentle: gentlePreset,
+  rhythmic: rhythmicPreset
+}
@@ -0,0 +1,87 @@
+/**
+ * Frame-rate-independent parameter smoothing
+ * One-pole attack/release filters advanced by real elapsed time. The curve is
+ * the same exponential approach AudioParam.setTargetAtTime uses, so visuals
+ * smoothed here and audio ramped with the same time constants glide together.
+ */
+
+const DEFAULT_TIME_CONSTANTS = { attackMs: 300, releaseMs: 1500 }
+
+/**
+ * Pick the time constant (seconds) for moving from current toward target
+ * attackMs applies when the value rises, releaseMs when it falls
+ */
+export function chooseTimeConstant(current, target, timeConstants = DEFAULT_TIME_CONSTANTS) {
+  const ms = target >= current ? timeConstants.attackMs : timeConstants.releaseMs
+  return Math.max(ms, 1) / 1000
+}
+
+/**
+ * Create a smoother for a set of named parameters
+ * timeConstants: { [name]: { attackMs, releaseMs } }
+ */
+export function createParamSmoother(timeConstants = {}) {
+  const params = new Map() // name → { value, target }
+  let constants = { ...timeConstants }
+
+  return {
+    /**
+     * Set a target; the first target for a parameter is applied immediately
+     */
+    setTarget(name, target) {
+      const param = params.get(name)
+      if (param) {
+        param.target = target
+      } else {
+        params.set(name, { value: target, target })
+      }
+    },
+
+    /**
+     * Jump straight to a value (no smoothing)
+     */
+    setImmediate(name, value) {
+      params.set(name, { value, target: value })
+    },
+
+    /**
+     * Advance all parameters by dt seconds
+     */
+    step(dt) {
+      if (!(dt > 0)) return
+
+      for (const [name, param] of params) {
+        if (param.value === param.target) continue
+
+        const tau = chooseTimeConstant(param.value, param.target, constants[name] || DEFAULT_TIME_CONSTANTS)
+        param.value += (param.target - param.value) * (1 - Math.exp(-dt / tau))
+
+        // Snap once the remaining difference is negligible
+        if (Math.abs(param.target - param.value) < 1e-6) {
+          param.value = param.target
+        }
+      }
+    },
+
+    get(name) {
+      const param = params.get(name)
+      return param ? param.value : undefined
+    },
+
+    getTarget(name) {
+      const param = params.get(name)
+      return param ? param.target : undefined
+    },
+
+    /**
+     * Replace time constants for some parameters
+     */
+    setTimeConstants(nextConstants) {
+      constants = { ...constants, ...nextConstants }
+    },
+
+    reset() {
+      params.clear()
+    }
+  }
+}
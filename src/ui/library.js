@@ -0,0 +1,150 @@
+// Sound library list in the Upload panel - play, rename and delete saved
+// sounds, and tick them into the playlist (kept in settings, in ticking order)
+
+import { getSettings, updateSettings } from './settings.js'
+
+// Initialize library list and playlist controls
+export function initLibrary() {
+  const list = document.getElementById('library-list')
+  const playlistButton = document.getElementById('playlist-button')
+  if (!list) return
+
+  list.addEventListener('click', (event) => {
+    const action = event.target.closest('[data-action]')
+    if (!action) return
+
+    event.preventDefault()
+    const id = action.closest('[data-sound-id]').dataset.soundId
+
+    if (action.dataset.action === 'play') {
+      document.dispatchEvent(new CustomEvent('ui:library-play', { detail: { id } }))
+    } else if (action.dataset.action === 'rename') {
+      startRename(action.closest('[data-sound-id]'))
+    } else if (action.dataset.action === 'delete') {
+      document.dispatchEvent(new CustomEvent('ui:library-delete', { detail: { id } }))
+    }
+  })
+
+  // Playlist checkboxes append to (or remove from) the playlist order
+  list.addEventListener('change', (event) => {
+    const checkbox = event.target.closest('[data-playlist]')
+    if (!checkbox) return
+
+    const id = checkbox.closest('[data-sound-id]').dataset.soundId
+    const playlist = getSettings().playlist.filter(item => item !== id)
+    updateSettings({ playlist: checkbox.checked ? [...playlist, id] : playlist })
+  })
+
+  if (playlistButton) {
+    playlistButton.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('ui:playlist-play'))
+    })
+  }
+
+  // Playlist order numbers follow settings
+  document.addEventListener('ui:settings', (event) => {
+    if (event.detail.changed.includes('playlist')) {
+      syncPlaylist()
+    }
+  })
+}
+
+// Swap a sound's name for a text field; Enter or leaving the field saves, Escape cancels
+function startRename(item) {
+  const name = item.querySelector('.library-name')
+  if (!name || item.querySelector('.library-rename')) return
+
+  const input = document.createElement('input')
+  input.type = 'text'
+  input.className = 'library-rename'
+  input.value = name.textContent
+  name.replaceWith(input)
+  input.focus()
+  input.select()
+
+  let done = false
+  const finish = (save) => {
+    if (done) return
+    done = true
+    input.replaceWith(name)
+
+    const newName = input.value.trim()
+    if (save && newName && newName !== name.textContent) {
+      name.textContent = newName
+      document.dispatchEvent(new CustomEvent('ui:library-rename', {
+        detail: { id: item.dataset.soundId, name: newName }
+      }))
+    }
+  }
+
+  input.addEventListener('keydown', (event) => {
+    // Keep typing here from closing the panel
+    event.stopPropagation()
+    if (event.key === 'Enter') finish(true)
+    if (event.key === 'Escape') finish(false)
+  })
+  input.addEventListener('blur', () => finish(true))
+}
+
+// Show saved sounds ({ id, name }); activeId marks the one playing
+export function updateLibraryList(sounds, activeId = null) {
+  const list = document.getElementById('library-list')
+  const playlistButton = document.getElementById('playlist-button')
+  if (!list) return
+
+  list.replaceChildren(...sounds.map((sound) => {
+    const item = document.createElement('li')
+    item.dataset.soundId = sound.id
+    item.classList.toggle('active', sound.id === activeId)
+
+    const checkbox = document.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.dataset.playlist = ''
+    checkbox.title = 'Add to playlist'
+
+    const order = document.createElement('span')
+    order.className = 'library-order'
+
+    const name = document.createElement('a')
+    name.href = '#'
+    name.className = 'library-name'
+    name.dataset.action = 'play'
+    name.title = 'Play'
+    name.textContent = sound.name
+
+    const rename = document.createElement('a')
+    rename.href = '#'
+    rename.dataset.action = 'rename'
+    rename.textContent = 'Rename'
+
+    const remove = document.createElement('a')
+    remove.href = '#'
+    remove.dataset.action = 'delete'
+    remove.textContent = 'Delete'
+
+    item.append(checkbox, order, name, rename, remove)
+    return item
+  }))
+
+  if (sounds.length === 0) {
+    const empty = document.createElement('li')
+    empty.className = 'library-empty'
+    empty.textContent = 'Uploaded sounds will appear here'
+    list.append(empty)
+  }
+
+  if (playlistButton) {
+    playlistButton.hidden = sounds.length === 0
+  }
+  syncPlaylist()
+}
+
+// Tick playlist members and number them in playing order
+function syncPlaylist() {
+  const playlist = getSettings().playlist
+  document.querySelectorAll('#library-list [data-sound-id]').forEach((item) => {
+    const position = playlist.indexOf(item.dataset.soundId)
+    item.querySelector('[data-playlist]').checked = position >= 0
+    item.querySelector('.library-order').textContent = position >= 0 ? String(position + 1) : ''
+  })
+}
@@ -0,0 +1,46 @@
+// Output level meter (Settings panel) and the loud-output warning
+
+const METER_FLOOR_LUFS = -60 // Empty bar at or below this
+const METER_CEILING_LUFS = 0
+
+// Format a level, showing silence as a dash
+function formatLevel(value, unit) {
+  return value > -70 ? `${value.toFixed(1)} ${unit}` : `– ${unit}`
+}
+
+// Show loudness readings from the audio engine (see engine.getLoudness) and,
+// when exposure tracking is on, the estimate ({ leqDb, dose } - see loudness.js)
+export function updateLevelMeter(readings, exposure = null) {
+  const bar = document.getElementById('level-meter-bar')
+  const status = document.getElementById('level-status')
+  const exposureStatus = document.getElementById('exposure-status')
+
+  if (bar) {
+    const fraction = (readings.shortTermLufs - METER_FLOOR_LUFS) / (METER_CEILING_LUFS - METER_FLOOR_LUFS)
+    bar.style.width = `${Math.round(Math.min(Math.max(fraction, 0), 1) * 100)}%`
+    bar.classList.toggle('loud', readings.loudSeconds > 0)
+  }
+
+  if (status) {
+    const limiting = readings.gainReductionDb < -0.5 ? ` · limiting ${(-readings.gainReductionDb).toFixed(1)} dB` : ''
+    status.textContent = `${formatLevel(readings.shortTermLufs, 'LUFS')} short-term · peak ${formatLevel(readings.peakDb, 'dBFS')}${limiting}`
+  }
+
+  if (exposureStatus) {
+    if (exposure && readings.exposure) {
+      const minutes = Math.floor(readings.exposure.seconds / 60)
+      exposureStatus.textContent = `${minutes} min at about ${Math.round(exposure.leqDb)} dB SPL · ${Math.round(exposure.dose * 100)}% of a daily allowance`
+    } else {
+      exposureStatus.textContent = ''
+    }
+  }
+}
+
+// Show a warning about the output level (null hides it)
+export function updateLevelWarning(text) {
+  const warning = document.getElementById('level-warning')
+  if (!warning) return
+
+  warning.hidden = !text
+  warning.textContent = text || ''
+}
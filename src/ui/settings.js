@@ -0,0 +1,515 @@
+// Settings panel controller - user choices persisted in localStorage
+
+const STORAGE_KEY = 'calm-flow:settings'
+
+const DEFAULT_SETTINGS = {
+  inputSources: ['keyboard'],
+  noiseColor: 'pink',
+  breathPattern: 'sine',
+  mixer: { noise: 1, rain: 0, ocean: 0, wind: 0, fire: 0 },
+  uploadMode: 'rhythm',
+  musicBalance: 0.5,
+  crossfadeMs: 2000,
+  playlist: [],
+  librarySoundId: null,
+  matchTimbre: true,
+  followSpectrum: false,
+  fingerprintId: null,
+  reverbSpace: 'hall',
+  reverbMix: 0,
+  keySounds: false,
+  keySoundVoice: 'chime',
+  keySoundQuantize: 'breath',
+  keySoundLevel: 0.5,
+  sessionMinutes: 20,
+  bellIntervalMinutes: 5,
+  bellLevel: 0.6,
+  exposureTracking: false,
+  fullScaleDb: 100,
+  mappingPreset: 'default',
+  customPreset: null
+}
+
+let currentSettings = loadSettings()
+
+// Load saved settings merged over defaults
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return { ...DEFAULT_SETTINGS, ...(saved || {}) }
+  } catch (error) {
+    console.warn('Could not load settings, using defaults:', error)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+// Persist current settings
+function saveSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(currentSettings))
+  } catch (error) {
+    console.warn('Could not save settings:', error)
+  }
+}
+
+// Initialize settings panel controls
+export function initSettings() {
+  const sourceInputs = document.querySelectorAll('#settings-panel [data-source]')
+
+  // Input source checkboxes
+  sourceInputs.forEach((input) => {
+    input.checked = currentSettings.inputSources.includes(input.dataset.source)
+
+    input.addEventListener('change', () => {
+      const inputSources = Array.from(sourceInputs)
+        .filter(item => item.checked)
+        .map(item => item.dataset.source)
+      updateSettings({ inputSources })
+    })
+  })
+
+  // Noise color select
+  const noiseColorSelect = document.getElementById('noise-color-select')
+  if (noiseColorSelect) {
+    noiseColorSelect.addEventListener('change', () => {
+      updateSettings({ noiseColor: noiseColorSelect.value })
+    })
+  }
+  
+  // Breath pattern select
+  const breathPatternSelect = document.getElementById('breath-pattern-select')
+  if (breathPatternSelect) {
+    breathPatternSelect.addEventListener('change', () => {
+      updateSettings({ breathPattern: breathPatternSelect.value })
+    })
+  }
+  
+  // Session timer length and bell interval (minutes), bell volume (0-100 → 0-1)
+  const sessionMinutesInput = document.getElementById('session-minutes-input')
+  const bellIntervalInput = document.getElementById('bell-interval-input')
+  const bellLevelInput = document.getElementById('bell-level-input')
+  const sessionButton = document.getElementById('session-button')
+  
+  if (sessionMinutesInput) {
+    sessionMinutesInput.addEventListener('change', () => {
+      const sessionMinutes = Number(sessionMinutesInput.value)
+      if (sessionMinutes > 0) {
+        updateSettings({ sessionMinutes })
+      } else {
+        syncControls()
+      }
+    })
+  }
+  
+  if (bellIntervalInput) {
+    bellIntervalInput.addEventListener('change', () => {
+      const bellIntervalMinutes = Number(bellIntervalInput.value)
+      if (bellIntervalMinutes >= 0) {
+        updateSettings({ bellIntervalMinutes })
+      } else {
+        syncControls()
+      }
+    })
+  }
+  
+  if (bellLevelInput) {
+    bellLevelInput.addEventListener('input', () => {
+      updateSettings({ bellLevel: bellLevelInput.value / 100 })
+    })
+  }
+  
+  if (sessionButton) {
+    sessionButton.addEventListener('click', () => {
+      // Blur so typing space/enter during the sit doesn't press the button again
+      sessionButton.blur()
+      document.dispatchEvent(new CustomEvent('ui:session'))
+    })
+  }
+  
+  // Soundscape mixer sliders (0-100 → 0-1)
+  document.querySelectorAll('#settings-panel [data-mixer]').forEach((input) => {
+    input.addEventListener('input', () => {
+      const mixer = { ...currentSettings.mixer, [input.dataset.mixer]: input.value / 100 }
+      updateSettings({ mixer })
+    })
+  })
+  
+  // Reverb space select and wet/dry slider (0-100 → 0-1)
+  const reverbSpaceSelect = document.getElementById('reverb-space-select')
+  const reverbMixInput = document.getElementById('reverb-mix-input')
+  
+  if (reverbSpaceSelect) {
+    reverbSpaceSelect.addEventListener('change', () => {
+      updateSettings({ reverbSpace: reverbSpaceSelect.value })
+    })
+  }
+  
+  if (reverbMixInput) {
+    reverbMixInput.addEventListener('input', () => {
+      updateSettings({ reverbMix: reverbMixInput.value / 100 })
+    })
+  }
+  
+  // Typing sounds toggle, voice, quantizing and volume (0-100 → 0-1)
+  const keySoundsInput = document.getElementById('key-sounds-input')
+  const keyVoiceSelect = document.getElementById('key-voice-select')
+  const keyQuantizeSelect = document.getElementById('key-quantize-select')
+  const keyLevelInput = document.getElementById('key-level-input')
+  
+  if (keySoundsInput) {
+    keySoundsInput.addEventListener('change', () => {
+      updateSettings({ keySounds: keySoundsInput.checked })
+    })
+  }
+  
+  if (keyVoiceSelect) {
+    keyVoiceSelect.addEventListener('change', () => {
+      updateSettings({ keySoundVoice: keyVoiceSelect.value })
+    })
+  }
+  
+  if (keyQuantizeSelect) {
+    keyQuantizeSelect.addEventListener('change', () => {
+      updateSettings({ keySoundQuantize: keyQuantizeSelect.value })
+    })
+  }
+  
+  if (keyLevelInput) {
+    keyLevelInput.addEventListener('input', () => {
+      updateSettings({ keySoundLevel: keyLevelInput.value / 100 })
+    })
+  }
+  
+  // Upload mode select and noise/music balance slider (0-100 → 0-1)
+  const uploadModeSelect = document.getElementById('upload-mode-select')
+  const musicBalanceInput = document.getElementById('music-balance-input')
+  
+  if (uploadModeSelect) {
+    uploadModeSelect.addEventListener('change', () => {
+      updateSettings({ uploadMode: uploadModeSelect.value })
+    })
+  }
+  
+  if (musicBalanceInput) {
+    musicBalanceInput.addEventListener('input', () => {
+      updateSettings({ musicBalance: musicBalanceInput.value / 100 })
+    })
+  }
+  
+  // Source crossfade slider (ms)
+  const crossfadeInput = document.getElementById('crossfade-input')
+  if (crossfadeInput) {
+    crossfadeInput.addEventListener('input', () => {
+      updateSettings({ crossfadeMs: Number(crossfadeInput.value) })
+    })
+  }
+  
+  // Timbre matching options and noise fingerprint select (Upload panel)
+  const matchTimbreInput = document.getElementById('match-timbre-input')
+  const followSpectrumInput = document.getElementById('follow-spectrum-input')
+  const fingerprintSelect = document.getElementById('fingerprint-select')
+  const fingerprintDeleteLink = document.getElementById('fingerprint-delete-link')
+  
+  if (matchTimbreInput) {
+    matchTimbreInput.addEventListener('change', () => {
+      updateSettings({ matchTimbre: matchTimbreInput.checked })
+    })
+  }
+  
+  if (followSpectrumInput) {
+    followSpectrumInput.addEventListener('change', () => {
+      updateSettings({ followSpectrum: followSpectrumInput.checked })
+    })
+  }
+  
+  if (fingerprintSelect) {
+    fingerprintSelect.addEventListener('change', () => {
+      updateSettings({ fingerprintId: fingerprintSelect.value || null })
+    })
+  }
+  
+  if (fingerprintDeleteLink) {
+    fingerprintDeleteLink.addEventListener('click', (event) => {
+      event.preventDefault()
+      if (!currentSettings.fingerprintId) return
+      document.dispatchEvent(new CustomEvent('ui:fingerprint-delete', {
+        detail: { id: currentSettings.fingerprintId }
+      }))
+    })
+  }
+  
+  // Exposure estimate toggle and full-scale level (dB SPL)
+  const exposureInput = document.getElementById('exposure-input')
+  const fullScaleInput = document.getElementById('full-scale-input')
+  
+  if (exposureInput) {
+    exposureInput.addEventListener('change', () => {
+      updateSettings({ exposureTracking: exposureInput.checked })
+    })
+  }
+  
+  if (fullScaleInput) {
+    fullScaleInput.addEventListener('change', () => {
+      const fullScaleDb = Number(fullScaleInput.value)
+      if (fullScaleDb > 0) {
+        updateSettings({ fullScaleDb })
+      } else {
+        syncControls()
+      }
+    })
+  }
+  
+  // Calibration controls
+  const calibrateButton = document.getElementById('calibrate-button')
+  const calibrationResetLink = document.getElementById('calibration-reset-link')
+
+  if (calibrateButton) {
+    calibrateButton.addEventListener('click', () => {
+      // Blur so typing space/enter during calibration doesn't press the button again
+      calibrateButton.blur()
+      document.dispatchEvent(new CustomEvent('ui:calibrate'))
+    })
+  }
+
+  if (calibrationResetLink) {
+    calibrationResetLink.addEventListener('click', (event) => {
+      event.preventDefault()
+      document.dispatchEvent(new CustomEvent('ui:calibration-reset'))
+    })
+  }
+
+  // Mapping preset select and custom preset file
+  const presetSelect = document.getElementById('preset-select')
+  const presetFileInput = document.getElementById('preset-file-input')
+
+  if (presetSelect) {
+    presetSelect.addEventListener('change', () => {
+      updateSettings({ mappingPreset: presetSelect.value })
+    })
+  }
+
+  if (presetFileInput) {
+    presetFileInput.addEventListener('change', async (event) => {
+      const file = event.target.files[0]
+      if (!file) return
+
+      // Dispatch parsed JSON for app.js to validate and apply
+      let detail
+      try {
+        detail = { preset: JSON.parse(await file.text()) }
+      } catch (error) {
+        detail = { error: error.message }
+      }
+      presetFileInput.value = ''
+      document.dispatchEvent(new CustomEvent('ui:preset-file', { detail }))
+    })
+  }
+
+  // Offline WAV export (a trace file is optional - app.js falls back to the last recording)
+  const exportButton = document.getElementById('export-button')
+  const exportMinutesInput = document.getElementById('export-minutes-input')
+  const exportAutomationSelect = document.getElementById('export-automation-select')
+  const exportTraceInput = document.getElementById('export-trace-input')
+
+  if (exportButton) {
+    exportButton.addEventListener('click', async () => {
+      const file = exportTraceInput && exportTraceInput.files[0]
+      document.dispatchEvent(new CustomEvent('ui:export', {
+        detail: {
+          minutes: Number(exportMinutesInput.value),
+          automation: exportAutomationSelect.value,
+          traceText: exportAutomationSelect.value === 'trace' && file ? await file.text() : null
+        }
+      }))
+    })
+  }
+
+  syncControls()
+  console.log('Settings initialized:', currentSettings)
+}
+
+// Reflect current settings in controls that can change from outside the panel
+function syncControls() {
+  const noiseColorSelect = document.getElementById('noise-color-select')
+  if (noiseColorSelect) {
+    noiseColorSelect.value = currentSettings.noiseColor
+  }
+  
+  const breathPatternSelect = document.getElementById('breath-pattern-select')
+  if (breathPatternSelect) {
+    breathPatternSelect.value = currentSettings.breathPattern
+  }
+  
+  const sessionMinutesInput = document.getElementById('session-minutes-input')
+  const bellIntervalInput = document.getElementById('bell-interval-input')
+  const bellLevelInput = document.getElementById('bell-level-input')
+  if (sessionMinutesInput) {
+    sessionMinutesInput.value = currentSettings.sessionMinutes
+  }
+  if (bellIntervalInput) {
+    bellIntervalInput.value = currentSettings.bellIntervalMinutes
+  }
+  if (bellLevelInput) {
+    bellLevelInput.value = Math.round(currentSettings.bellLevel * 100)
+  }
+  
+  document.querySelectorAll('#settings-panel [data-mixer]').forEach((input) => {
+    const value = currentSettings.mixer[input.dataset.mixer]
+    input.value = Math.round((value !== undefined ? value : 0) * 100)
+  })
+  
+  const reverbSpaceSelect = document.getElementById('reverb-space-select')
+  const reverbMixInput = document.getElementById('reverb-mix-input')
+  if (reverbSpaceSelect) {
+    reverbSpaceSelect.value = currentSettings.reverbSpace
+  }
+  if (reverbMixInput) {
+    reverbMixInput.value = Math.round(currentSettings.reverbMix * 100)
+  }
+  
+  const keySoundsInput = document.getElementById('key-sounds-input')
+  const keyVoiceSelect = document.getElementById('key-voice-select')
+  const keyQuantizeSelect = document.getElementById('key-quantize-select')
+  const keyLevelInput = document.getElementById('key-level-input')
+  if (keySoundsInput) {
+    keySoundsInput.checked = currentSettings.keySounds
+  }
+  if (keyVoiceSelect) {
+    keyVoiceSelect.value = currentSettings.keySoundVoice
+  }
+  if (keyQuantizeSelect) {
+    keyQuantizeSelect.value = currentSettings.keySoundQuantize
+  }
+  if (keyLevelInput) {
+    keyLevelInput.value = Math.round(currentSettings.keySoundLevel * 100)
+  }
+  
+  const uploadModeSelect = document.getElementById('upload-mode-select')
+  const musicBalanceInput = document.getElementById('music-balance-input')
+  if (uploadModeSelect) {
+    uploadModeSelect.value = currentSettings.uploadMode
+  }
+  if (musicBalanceInput) {
+    musicBalanceInput.value = Math.round(currentSettings.musicBalance * 100)
+    musicBalanceInput.disabled = currentSettings.uploadMode !== 'music'
+  }
+  
+  const crossfadeInput = document.getElementById('crossfade-input')
+  if (crossfadeInput) {
+    crossfadeInput.value = currentSettings.crossfadeMs
+    crossfadeInput.title = `${(currentSettings.crossfadeMs / 1000).toFixed(1)}s`
+  }
+  
+  const matchTimbreInput = document.getElementById('match-timbre-input')
+  const followSpectrumInput = document.getElementById('follow-spectrum-input')
+  const fingerprintSelect = document.getElementById('fingerprint-select')
+  if (matchTimbreInput) {
+    matchTimbreInput.checked = currentSettings.matchTimbre
+  }
+  if (followSpectrumInput) {
+    followSpectrumInput.checked = currentSettings.followSpectrum
+  }
+  if (fingerprintSelect) {
+    fingerprintSelect.value = currentSettings.fingerprintId || ''
+  }
+  
+  const exposureInput = document.getElementById('exposure-input')
+  const fullScaleInput = document.getElementById('full-scale-input')
+  if (exposureInput) {
+    exposureInput.checked = currentSettings.exposureTracking
+  }
+  if (fullScaleInput) {
+    fullScaleInput.value = currentSettings.fullScaleDb
+    fullScaleInput.disabled = !currentSettings.exposureTracking
+  }
+  
+  const presetSelect = document.getElementById('preset-select')
+  if (presetSelect) {
+    presetSelect.querySelector('option[value="custom"]').disabled = !currentSettings.customPreset
+    presetSelect.value = currentSettings.mappingPreset
+  }
+}
+
+// Fill the noise fingerprint select with saved fingerprints ({ id, name })
+export function updateFingerprintOptions(fingerprints) {
+  const fingerprintSelect = document.getElementById('fingerprint-select')
+  if (!fingerprintSelect) return
+  
+  fingerprintSelect.replaceChildren(new Option('None', ''))
+  for (const fingerprint of fingerprints) {
+    fingerprintSelect.add(new Option(fingerprint.name, fingerprint.id))
+  }
+  syncControls()
+}
+
+// Update mapping preset status text
+export function updatePresetStatus(text) {
+  const status = document.getElementById('preset-status')
+  if (status) {
+    status.textContent = text
+  }
+}
+
+// Update calibration status text (and the button label while running)
+export function updateCalibrationStatus(text, running = false) {
+  const status = document.getElementById('calibration-status')
+  const button = document.getElementById('calibrate-button')
+
+  if (status) {
+    status.textContent = text
+  }
+  if (button) {
+    button.textContent = running ? 'Cancel' : 'Calibrate'
+  }
+}
+
+// Update the breath sync readout (visual vs audible breath) text
+export function updateBreathSyncStatus(text) {
+  const status = document.getElementById('breath-sync-status')
+  if (status) {
+    status.textContent = text
+  }
+}
+
+// Update session timer status text (and the button label while a sit runs)
+export function updateSessionStatus(text, running = false) {
+  const status = document.getElementById('session-status')
+  const button = document.getElementById('session-button')
+
+  if (status) {
+    status.textContent = text
+  }
+  if (button) {
+    button.textContent = running ? 'End sit' : 'Start sit'
+  }
+}
+
+// Update export status text (the button is disabled while rendering)
+export function updateExportStatus(text, running = false) {
+  const status = document.getElementById('export-status')
+  const button = document.getElementById('export-button')
+
+  if (status) {
+    status.textContent = text
+  }
+  if (button) {
+    button.disabled = running
+  }
+}
+
+// Get current settings
+export function getSettings() {
+  return currentSettings
+}
+
+// Merge, persist and announce a settings change
+export function updateSettings(changes) {
+  currentSettings = { ...currentSettings, ...changes }
+  saveSettings()
+  syncControls()
+
+  // Dispatch custom event for app.js to handle
+  document.dispatchEvent(new CustomEvent('ui:settings', {
+    detail: { settings: currentSettings, changed: Object.keys(changes) }
+  }))
+}
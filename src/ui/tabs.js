@@ -1,21 +1,20 @@
-// Minimal tab controller for Notice and Upload tabs
+// Minimal tab controller for Notice, Upload and Settings tabs
+
+// Tab names - each has a #<name>-tab button and a #<name>-panel
+const TABS = ['notice', 'upload', 'settings']
 
 let currentTab = null
 let currentPanel = null
 
 // Initialize tabs
 export function initTabs() {
-  const noticeTab = document.getElementById('notice-tab')
-  const uploadTab = document.getElementById('upload-tab')
-  const noticePanel = document.getElementById('notice-panel')
-  const uploadPanel = document.getElementById('upload-panel')
   const fileInput = document.getElementById('file-input')
-  const statusText = document.getElementById('status-text')
   const resetLink = document.getElementById('reset-link')
 
   // Tab click handlers
-  noticeTab.addEventListener('click', () => switchTab('notice'))
-  uploadTab.addEventListener('click', () => switchTab('upload'))
+  for (const tabName of TABS) {
+    document.getElementById(tabName + '-tab').addEventListener('click', () => switchTab(tabName))
+  }
 
   // File input handler
   fileInput.addEventListener('change', (event) => {
@@ -50,28 +49,19 @@ export function initTabs() {
 
 // Switch between tabs
 function switchTab(tabName) {
-  const noticeTab = document.getElementById('notice-tab')
-  const uploadTab = document.getElementById('upload-tab')
-  const noticePanel = document.getElementById('notice-panel')
-  const uploadPanel = document.getElementById('upload-panel')
-
   // Remove active states
-  noticeTab.classList.remove('active')
-  uploadTab.classList.remove('active')
-  noticePanel.classList.remove('active')
-  uploadPanel.classList.remove('active')
+  for (const name of TABS) {
+    document.getElementById(name + '-tab').classList.remove('active')
+    document.getElementById(name + '-panel').classList.remove('active')
+  }
 
   // Add active state to selected tab
-  if (tabName === 'notice') {
-    noticeTab.classList.add('active')
-    noticePanel.classList.add('active')
-    currentTab = 'notice'
-    currentPanel = noticePanel
-  } else if (tabName === 'upload') {
-    uploadTab.classList.add('active')
-    uploadPanel.classList.add('active')
-    currentTab = 'upload'
-    currentPanel = uploadPanel
+  if (TABS.includes(tabName)) {
+    const panel = document.getElementById(tabName + '-panel')
+    document.getElementById(tabName + '-tab').classList.add('active')
+    panel.classList.add('active')
+    currentTab = tabName
+    currentPanel = panel
   }
 }
 
@@ -3,6 +3,9 @@
  * Creates a meditative scene with breathing, waves, ripples, and stars
  */
 
+import { createParamSmoother } from '../mapping/smoother.js'
+import { BREATH_PATTERNS, DEFAULT_BREATH_PATTERN_ID, getBreathPattern, getCycleSeconds, getBreathState } from '../breath/patterns.js'
+
 // Utility functions
 const clamp = (x, a, b) => Math.max(a, Math.min(b, x))
 const lerp = (a, b, t) => a + (b - a) * t
@@ -15,6 +18,13 @@ const smoothstep = (a, b, x) => {
 const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
 const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3)
 
+// Parameters that glide toward new values each frame (the rest apply immediately)
+const SMOOTHED_PARAMS = ['speed', 'detail', 'saturation', 'breathHz', 'lightScale']
+
+// Phase lock to the audio's breath clock
+const PHASE_LOCK_SECONDS = 0.5 // Time constant for pulling out phase error
+const PHASE_SNAP_SECONDS = 0.25 // Errors beyond this (a throttled tab, a restart) jump straight to the audio
+
 class BreathingScene {
   constructor(canvas) {
     this.canvas = canvas
@@ -31,7 +41,11 @@ class BreathingScene {
     this.running = false
     this.animationId = null
     this.lastTime = performance.now()
-    this.phase = 0
+    this.cyclePosition = 0 // Position in the breath pattern's cycle (0-1)
+    this.breathPatternId = DEFAULT_BREATH_PATTERN_ID
+    this.breathPattern = getBreathPattern(DEFAULT_BREATH_PATTERN_ID)
+    this.breathClock = null // Audio engine's breath clock (see engine getBreathClock)
+    this.phaseError = null // Seconds the visible breath is ahead of the audible one
     
     // Resize state
     this.inResize = false
@@ -44,7 +58,17 @@ class BreathingScene {
       saturation: 0.7,
       palette: 'day',
       breathHz: 0.1, // Default breathing frequency
-      lightIntensity: 1.0 // Light intensity control (0-1)
+      lightIntensity: 1.0, // Light intensity control (0-1)
+      lightScale: 1.0 // Cadence-driven dimming applied on top of light intensity
+    }
+    
+    // Effective light (lightIntensity * lightScale), updated each frame
+    this.light = 1.0
+    
+    // Frame-rate-independent smoothing of cadence-driven parameters
+    this.smoother = createParamSmoother()
+    for (const name of SMOOTHED_PARAMS) {
+      this.smoother.setImmediate(name, this.params[name])
     }
     
     // Offscreen buffer for performance
@@ -180,21 +204,49 @@ class BreathingScene {
     ]
   }
 
-  // Calculate breathing values
-  calculateBreathing(time) {
-    const phase = (this.phase + 2 * Math.PI * this.params.breathHz * time) % (2 * Math.PI)
-    this.phase = phase
+  // Calculate breathing values - the breath pattern's level, the same curve
+  // that modulates the audio gain. While the audio plays, the cycle follows
+  // its breath clock; otherwise it runs on the smoothed breath rate
+  calculateBreathing(time, now) {
+    const reading = this.breathClock ? this.breathClock.read(now) : null
+    
+    if (reading) {
+      this.followBreathClock(reading, time)
+    } else {
+      const cycleSeconds = getCycleSeconds(this.breathPattern, this.params.breathHz)
+      this.cyclePosition = (this.cyclePosition + time / cycleSeconds) % 1
+      this.phaseError = null
+    }
     
-    const breath = 0.5 + 0.5 * Math.sin(phase)
-    const easeBreath = smoothstep(0, 1, breath)
+    const { level, phase } = getBreathState(this.breathPattern, this.cyclePosition)
     
     return {
-      phase,
-      breath,
-      easeBreath
+      phase: 2 * Math.PI * this.cyclePosition,
+      breathPhase: phase, // 'inhale', 'hold' or 'exhale'
+      breath: level,
+      easeBreath: level
     }
   }
 
+  // Phase-lock to the audible breath: advance at the clock's rate (so rate
+  // changes glide exactly as in the audio), then pull out what error is left
+  followBreathClock(reading, time) {
+    if (reading.patternId !== this.breathPatternId) {
+      this.breathPatternId = reading.patternId
+      this.breathPattern = getBreathPattern(reading.patternId)
+      this.cyclePosition = reading.position
+    }
+    
+    const position = this.cyclePosition + time * reading.cyclesPerSecond
+    let error = reading.position - position
+    error -= Math.round(error) // The short way round the cycle
+    this.phaseError = -error / reading.cyclesPerSecond
+    
+    const correction = Math.abs(this.phaseError) > PHASE_SNAP_SECONDS ? 1 : Math.min(time / PHASE_LOCK_SECONDS, 1)
+    const next = position + error * correction
+    this.cyclePosition = next - Math.floor(next)
+  }
+
   // Draw sky gradient
   drawSkyGradient(ctx, width, height, breathing) {
     const isDay = this.params.palette === 'day'
@@ -202,7 +254,7 @@ class BreathingScene {
     const baseSaturation = lerp(0.3, 0.6, this.params.saturation)
     
     // Global brightness and saturation modulation with light intensity
-    const lightMul = lerp(0.1, 1.0, this.params.lightIntensity) // Much more dramatic light control
+    const lightMul = lerp(0.1, 1.0, this.light) // Much more dramatic light control
     const brightnessMul = lerp(0.85, 1.15, breathing.easeBreath) * lightMul
     const saturationMul = lerp(0.9, 1.1, breathing.easeBreath) * lightMul
     
@@ -225,7 +277,7 @@ class BreathingScene {
 
   // Draw flowing wave bands
   drawWaveBands(ctx, width, height, breathing) {
-    const lightMul = lerp(0.0, 1.0, this.params.lightIntensity) // Light intensity control
+    const lightMul = lerp(0.0, 1.0, this.light) // Light intensity control
     const alpha = lerp(0.15, 0.30, breathing.easeBreath) * lightMul
     ctx.globalAlpha = alpha
     
@@ -273,7 +325,7 @@ class BreathingScene {
     this.targetParallaxOffset = lerp(-2, 2, breathing.easeBreath) * height * 0.1
     this.parallaxOffset = lerp(this.parallaxOffset, this.targetParallaxOffset, 0.15)
     
-    const lightMul = lerp(0.0, 1.0, this.params.lightIntensity) // Light intensity control
+    const lightMul = lerp(0.0, 1.0, this.light) // Light intensity control
     const isDay = this.params.palette === 'day'
     const hue = isDay ? 160 : 180
     const lightness = isDay ? 0.3 : 0.2
@@ -311,7 +363,7 @@ class BreathingScene {
 
   // Draw raindrop ripples
   drawRipples(ctx, width, height, time) {
-    const lightMul = lerp(0.0, 1.0, this.params.lightIntensity) // Light intensity control
+    const lightMul = lerp(0.0, 1.0, this.light) // Light intensity control
     
     // Spawn new ripples based on speed
     if (Math.random() < 0.001 * (1 - this.params.speed * 0.5)) {
@@ -354,7 +406,7 @@ class BreathingScene {
 
   // Draw softly blinking stars
   drawStars(ctx, width, height, time) {
-    const lightMul = lerp(0.0, 1.0, this.params.lightIntensity) // Much more dramatic light control
+    const lightMul = lerp(0.0, 1.0, this.light) // Much more dramatic light control
     
     for (const star of this.stars) {
       const blinkPhase = (time * 0.001 + star.phase) % (star.cycle * 2)
@@ -380,7 +432,7 @@ class BreathingScene {
 
   // Apply global light intensity overlay
   applyLightIntensityOverlay(ctx, width, height) {
-    const lightIntensity = this.params.lightIntensity
+    const lightIntensity = this.light
     
     // Create a dark overlay that gets more opaque as light intensity decreases
     const overlayAlpha = 1 - lightIntensity // 0 at full light, 1 at no light
@@ -420,6 +472,15 @@ class BreathingScene {
     ctx.globalCompositeOperation = 'source-over'
   }
 
+  // Advance smoothed parameters and derive the effective light
+  updateSmoothedParams(dt) {
+    this.smoother.step(dt)
+    for (const name of SMOOTHED_PARAMS) {
+      this.params[name] = this.smoother.get(name)
+    }
+    this.light = this.params.lightIntensity * this.params.lightScale
+  }
+
   // Main render function
   render() {
     if (!this.running) return
@@ -428,13 +489,16 @@ class BreathingScene {
     const dt = (currentTime - this.lastTime) / 1000
     this.lastTime = currentTime
     
+    // Advance smoothed parameters by the real frame time
+    this.updateSmoothedParams(dt)
+    
     // Debug: Log render calls occasionally
     if (Math.random() < 0.001) {
       console.log('Visual scene rendering, lightIntensity:', this.params.lightIntensity)
     }
     
     // Calculate breathing
-    const breathing = this.calculateBreathing(dt)
+    const breathing = this.calculateBreathing(dt, currentTime)
     
     const { width, height } = this.offscreenCanvas
     
@@ -509,21 +573,33 @@ class BreathingScene {
 
   setParams(params) {
     // Shallow merge with existing params
-    this.params = { ...this.params, ...params }
+    const next = { ...this.params, ...params }
     
     // Clamp all parameters to safe ranges
-    this.params.speed = clamp(this.params.speed, 0, 1)
-    this.params.detail = clamp(this.params.detail, 0, 1)
-    this.params.saturation = clamp(this.params.saturation, 0, 1)
-    this.params.breathHz = clamp(this.params.breathHz, 0.05, 0.2)
-    this.params.lightIntensity = clamp(this.params.lightIntensity, 0, 1)
+    next.speed = clamp(next.speed, 0, 1)
+    next.detail = clamp(next.detail, 0, 1)
+    next.saturation = clamp(next.saturation, 0, 1)
+    next.breathHz = clamp(next.breathHz, 0.05, 0.2)
+    next.lightIntensity = clamp(next.lightIntensity, 0, 1)
+    next.lightScale = clamp(next.lightScale, 0, 1)
     
     // Validate palette
-    if (!['day', 'night'].includes(this.params.palette)) {
-      this.params.palette = 'day'
+    if (!['day', 'night'].includes(next.palette)) {
+      next.palette = 'day'
     }
     
-    console.log('Breathing scene parameters updated:', this.params)
+    // Smoothed parameters become targets; render() moves toward them
+    for (const name of SMOOTHED_PARAMS) {
+      if (params[name] !== undefined) {
+        this.smoother.setTarget(name, next[name])
+      }
+      next[name] = this.params[name]
+    }
+    
+    this.params = next
+    this.light = this.params.lightIntensity * this.params.lightScale
+    
+    console.log('Breathing scene parameters updated:', params)
     
     // Debug light intensity specifically
     if (params.lightIntensity !== undefined) {
@@ -531,6 +607,31 @@ class BreathingScene {
     }
   }
 
+  // Switch the breath pattern (see breath/patterns.js) from the start of its
+  // cycle, as the audio breath LFO does
+  setBreathPattern(id) {
+    if (!BREATH_PATTERNS[id]) {
+      console.warn('Unknown breath pattern:', id)
+      return
+    }
+    
+    this.breathPatternId = id
+    this.breathPattern = getBreathPattern(id)
+    this.cyclePosition = 0
+  }
+
+  // Follow an audio engine's breath clock (null to breathe on its own)
+  setBreathClock(clock) {
+    this.breathClock = clock
+    this.phaseError = null
+  }
+
+  // Set attack/release time constants (ms) for smoothed parameters
+  // timeConstants: { speed: { attackMs, releaseMs }, ... }
+  setSmoothing(timeConstants) {
+    this.smoother.setTimeConstants(timeConstants)
+  }
+
   dispose() {
     this.stop()
     if (this.resizeHandler) {
@@ -551,6 +652,20 @@ export function mount(canvas) {
     setParams(params) {
       scene.setParams(params)
     },
+    setSmoothing(timeConstants) {
+      scene.setSmoothing(timeConstants)
+    },
+    setBreathPattern(id) {
+      scene.setBreathPattern(id)
+    },
+    setBreathClock(clock) {
+      scene.setBreathClock(clock)
+    },
+    // Seconds the visible breath leads the audible one (negative when behind),
+    // or null while not following the audio
+    getPhaseError() {
+      return scene.phaseError
+    },
     resize() {
       scene.resize()
     },
@@ -0,0 +1,86 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { pickOnsets, estimateTempo, trackBeats, analyzeAudio, ANALYSIS_VERSION } from '../../src/audio/analysis.js'
+
+const HOP_SECONDS = 256 / 22050
+
+// Onset strength with a peak of 1 every periodFrames frames (from the first)
+function pulseStrength(length, periodFrames, first = 0) {
+  const strength = new Float32Array(length)
+  for (let frame = first; frame < length; frame += periodFrames) {
+    strength[Math.round(frame)] = 1
+  }
+  return strength
+}
+
+// AudioBuffer stand-in: a decaying noise click on every beat
+function clickTrack(bpm, seconds, sampleRate = 44100) {
+  const data = new Float32Array(seconds * sampleRate)
+  let seed = 1
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+  const clicks = []
+
+  for (let time = 0.25; time < seconds - 0.1; time += 60 / bpm) {
+    clicks.push(time)
+    const start = Math.round(time * sampleRate)
+    for (let i = 0; i < 400; i++) {
+      data[start + i] += Math.exp(-i / 80) * (random() * 2 - 1)
+    }
+  }
+
+  const audioBuffer = {
+    sampleRate,
+    duration: seconds,
+    length: data.length,
+    numberOfChannels: 1,
+    getChannelData: () => data
+  }
+  return { audioBuffer, clicks }
+}
+
+test('pickOnsets finds the peaks and shifts them by the latency', () => {
+  const strength = pulseStrength(100, 20, 10)
+  assert.deepEqual(pickOnsets(strength, 0.01).map(time => Math.round(time * 100)), [10, 30, 50, 70, 90])
+
+  const shifted = pickOnsets(strength, 0.01, { latencySeconds: 0.005 })
+  assert.ok(Math.abs(shifted[0] - 0.105) < 1e-9)
+})
+
+test('pickOnsets ignores peaks below delta', () => {
+  const strength = pulseStrength(100, 20, 10).map(value => value * 0.05)
+  assert.deepEqual(pickOnsets(strength, 0.01), [])
+})
+
+test('estimateTempo finds the period of a pulse train', () => {
+  const periodFrames = 0.5 / HOP_SECONDS // 120 BPM
+  const tempo = estimateTempo(pulseStrength(2000, periodFrames), HOP_SECONDS)
+
+  assert.ok(Math.abs(tempo.bpm - 120) < 1, `bpm ${tempo.bpm}`)
+  assert.ok(tempo.confidence > 0.5, `confidence ${tempo.confidence}`)
+})
+
+test('estimateTempo has no tempo for silence or too little input', () => {
+  assert.deepEqual(estimateTempo(new Float32Array(2000), HOP_SECONDS), { bpm: null, periodFrames: null, confidence: 0 })
+  assert.equal(estimateTempo(new Float32Array(5), HOP_SECONDS).bpm, null)
+})
+
+test('trackBeats lands on the pulses', () => {
+  const strength = pulseStrength(500, 40, 15)
+  assert.deepEqual(trackBeats(strength, 40), [15, 55, 95, 135, 175, 215, 255, 295, 335, 375, 415, 455, 495])
+  assert.deepEqual(trackBeats(strength, null), [])
+})
+
+test('analyzeAudio times beats where the clicks fall', () => {
+  const { audioBuffer, clicks } = clickTrack(120, 8)
+  const analysis = analyzeAudio(audioBuffer)
+
+  assert.equal(analysis.version, ANALYSIS_VERSION)
+  assert.ok(Math.abs(analysis.tempo - 120) < 2, `tempo ${analysis.tempo}`)
+  assert.ok(analysis.beats.length >= clicks.length - 2)
+
+  // Every beat within 15 ms of a click
+  for (const beat of analysis.beats) {
+    const error = Math.min(...clicks.map(click => Math.abs(click - beat)))
+    assert.ok(error < 0.015, `beat at ${beat.toFixed(3)}s is ${(error * 1000).toFixed(1)} ms from a click`)
+  }
+})
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { planSessionBells } from '../../src/audio/bells.js'
+
+test('a sit without interval bells rings at the start and the end', () => {
+  assert.deepEqual(planSessionBells(600), [
+    { kind: 'start', at: 0 },
+    { kind: 'end', at: 600 }
+  ])
+})
+
+test('interval bells ring between the start and the end', () => {
+  assert.deepEqual(planSessionBells(900, 300), [
+    { kind: 'start', at: 0 },
+    { kind: 'interval', at: 300 },
+    { kind: 'interval', at: 600 },
+    { kind: 'end', at: 900 }
+  ])
+})
+
+test('no interval bell rings within a second of the end', () => {
+  const kinds = planSessionBells(600.5, 300).map(bell => `${bell.kind}@${bell.at}`)
+  assert.deepEqual(kinds, ['start@0', 'interval@300', 'end@600.5'])
+})
+
+test('an interval longer than the sit adds no bells', () => {
+  assert.equal(planSessionBells(120, 300).length, 2)
+})
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { nextBreathStep, nextTempoStep } from '../../src/audio/keySounds.js'
+import { createBreathClock } from '../../src/breath/clock.js'
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`)
+
+test('nextBreathStep waits for the next sixteenth of the breath cycle', () => {
+  const clock = createBreathClock({ startTime: 0, rate: 1, cycleSeconds: 8 }) // Steps every 0.5s
+
+  close(nextBreathStep(clock, 1.1), 1.5)
+  close(nextBreathStep(clock, 1.5), 1.5)
+  close(nextBreathStep(clock, 7.9), 8)
+})
+
+test('nextBreathStep follows the clock rate', () => {
+  const clock = createBreathClock({ startTime: 0, rate: 1, cycleSeconds: 8 })
+  clock.setRate(2, 4, 0) // Steps every 0.25s from 4s on
+
+  close(nextBreathStep(clock, 4.1), 4.25)
+})
+
+test('nextTempoStep falls back to 72 BPM eighth notes', () => {
+  const step = 60 / 72 / 2
+  close(nextTempoStep(null, 1), 3 * step)
+  close(nextTempoStep({ beatLocked: false, beats: [0.1], duration: 2, startTime: 0 }, 1), 3 * step)
+})
+
+test('nextTempoStep lands on locked beats and halfway between them, looping with the track', () => {
+  const grid = { beatLocked: true, beats: [0.2, 0.7, 1.2], duration: 1.6, startTime: 10 }
+
+  close(nextTempoStep(grid, 10), 10.2)
+  close(nextTempoStep(grid, 10.3), 10.45)
+  close(nextTempoStep(grid, 10.7), 10.7)
+  close(nextTempoStep(grid, 11.3), 11.5)   // Halfway to the first beat of the next loop
+  close(nextTempoStep(grid, 11.55), 11.8)  // That first beat
+  close(nextTempoStep(grid, 13.3), 13.4)   // Two loops on
+})
@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { blendLoopSeam, encodeWav } from '../../src/audio/wav.js'
+
+// AudioBuffer stand-in over channel arrays
+function buffer(channels, sampleRate = 8000) {
+  return {
+    sampleRate,
+    length: channels[0].length,
+    numberOfChannels: channels.length,
+    getChannelData: channel => channels[channel]
+  }
+}
+
+test('blendLoopSeam returns the loop length and blends in place', () => {
+  const data = new Float32Array(1000).fill(1)
+  data.fill(0.5, 900)
+  const rendered = buffer([data], 1000)
+
+  assert.equal(blendLoopSeam(rendered, 0.1), 900)
+  assert.equal(rendered.getChannelData(0), data)
+
+  // The start takes over from the tail it replaces
+  assert.equal(data[0], 0.5)
+  assert.ok(Math.abs(data[50] - (Math.sin(Math.PI / 4) + 0.5 * Math.cos(Math.PI / 4))) < 1e-6)
+  assert.equal(data[100], 1)
+})
+
+test('blendLoopSeam keeps the level of uncorrelated noise through the seam', () => {
+  let seed = 7
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647 * 2 - 1
+  const data = Float32Array.from({ length: 48000 }, random)
+  const length = blendLoopSeam(buffer([data], 8000), 2)
+
+  const rms = (from, to) => {
+    let sum = 0
+    for (let i = from; i < to; i++) sum += data[i] * data[i]
+    return Math.sqrt(sum / (to - from))
+  }
+  const seamDb = 20 * Math.log10(rms(7000, 9000) / rms(20000, length))
+  assert.ok(Math.abs(seamDb) < 0.5, `level through the seam ${seamDb.toFixed(2)} dB`)
+})
+
+test('encodeWav writes a 16-bit PCM header', () => {
+  const wav = new DataView(encodeWav(buffer([new Float32Array(10), new Float32Array(10)], 44100)))
+  const text = (offset, length) => String.fromCharCode(...new Uint8Array(wav.buffer, offset, length))
+
+  assert.equal(wav.byteLength, 44 + 10 * 2 * 2)
+  assert.equal(text(0, 4), 'RIFF')
+  assert.equal(wav.getUint32(4, true), wav.byteLength - 8)
+  assert.equal(text(8, 8), 'WAVEfmt ')
+  assert.equal(wav.getUint16(20, true), 1)
+  assert.equal(wav.getUint16(22, true), 2)
+  assert.equal(wav.getUint32(24, true), 44100)
+  assert.equal(wav.getUint32(28, true), 44100 * 4)
+  assert.equal(wav.getUint16(32, true), 4)
+  assert.equal(wav.getUint16(34, true), 16)
+  assert.equal(text(36, 4), 'data')
+  assert.equal(wav.getUint32(40, true), 40)
+})
+
+test('encodeWav interleaves, scales and clips the samples', () => {
+  const left = Float32Array.from([0, 1, -1, 2])
+  const right = Float32Array.from([0.5, -0.5, -2, 0])
+  const wav = new DataView(encodeWav(buffer([left, right])))
+  const samples = Array.from({ length: 8 }, (_, i) => wav.getInt16(44 + i * 2, true))
+
+  assert.deepEqual(samples, [0, 16383, 32767, -16384, -32768, -32768, 32767, 0])
+})
+
+test('encodeWav writes only the first length samples', () => {
+  const wav = encodeWav(buffer([new Float32Array(100)]), { length: 60 })
+  assert.equal(wav.byteLength, 44 + 60 * 2)
+  assert.equal(new DataView(wav).getUint32(40, true), 120)
+})
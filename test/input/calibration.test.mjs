@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { percentile, computeIkiRange } from '../../src/input/calibration.js'
+
+test('percentile interpolates between the nearest samples', () => {
+  const values = [40, 10, 30, 20] // Unsorted on purpose
+  assert.equal(percentile(values, 0), 10)
+  assert.equal(percentile(values, 100), 40)
+  assert.equal(percentile(values, 50), 25)
+  assert.equal(percentile(values, 10), 13)
+})
+
+test('percentile leaves its input in place and has no answer for no samples', () => {
+  const values = [3, 1, 2]
+  percentile(values, 50)
+  assert.deepEqual(values, [3, 1, 2])
+  assert.equal(percentile([], 50), null)
+})
+
+test('computeIkiRange takes the 10th and 90th percentiles', () => {
+  const samples = Array.from({ length: 101 }, (_, i) => 100 + i * 2) // 100-300 ms
+  assert.deepEqual(computeIkiRange(samples), { min: 120, max: 280 })
+})
+
+test('computeIkiRange keeps at least 60 ms between min and max', () => {
+  const samples = Array.from({ length: 40 }, (_, i) => 150 + (i % 2))
+  const range = computeIkiRange(samples)
+  assert.equal(range.max - range.min, 60)
+})
+
+test('computeIkiRange needs 30 samples', () => {
+  assert.equal(computeIkiRange(new Array(29).fill(200)), null)
+  assert.notEqual(computeIkiRange(new Array(30).fill(200)), null)
+})
@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createStateClassifier } from '../../src/input/stateClassifier.js'
+
+// Cadence snapshots for the default 80-500 ms range
+function snapshot(overrides) {
+  return {
+    isIdle: false,
+    medianIkiMs: 320,
+    effectiveIkiMs: 320,
+    ikiJitterMs: 20,
+    deleteRate: 0,
+    pauseCount: 0,
+    burstLength: 10,
+    ...overrides
+  }
+}
+
+const STEADY = snapshot({})
+const FLOW = snapshot({ medianIkiMs: 120, effectiveIkiMs: 120, ikiJitterMs: 10 })
+const HESITANT = snapshot({ medianIkiMs: 450, effectiveIkiMs: 450 })
+const FRANTIC = snapshot({ deleteRate: 0.2 })
+const IDLE = snapshot({ isIdle: true })
+
+test('the first label is adopted at once', () => {
+  const classifier = createStateClassifier({ holdMs: 1000 })
+  assert.deepEqual(classifier.update(STEADY, 0), { state: 'steady', previousState: null })
+  assert.equal(classifier.getState(), 'steady')
+  assert.equal(classifier.getStateSince(), 0)
+})
+
+test('a new state must hold for holdMs before it is adopted', () => {
+  const classifier = createStateClassifier({ holdMs: 1000 })
+  classifier.update(STEADY, 0)
+
+  assert.equal(classifier.update(FLOW, 100), null)
+  assert.equal(classifier.update(FLOW, 900), null)
+  assert.equal(classifier.getState(), 'steady')
+  assert.deepEqual(classifier.update(FLOW, 1100), { state: 'flow', previousState: 'steady' })
+})
+
+test('falling back to the current state restarts the hold', () => {
+  const classifier = createStateClassifier({ holdMs: 1000 })
+  classifier.update(STEADY, 0)
+
+  classifier.update(HESITANT, 100)
+  classifier.update(STEADY, 600)
+  assert.equal(classifier.update(HESITANT, 1200), null)
+  assert.equal(classifier.update(HESITANT, 2100), null)
+  assert.deepEqual(classifier.update(HESITANT, 2200), { state: 'hesitant', previousState: 'steady' })
+})
+
+test('a different candidate restarts the hold', () => {
+  const classifier = createStateClassifier({ holdMs: 1000 })
+  classifier.update(STEADY, 0)
+
+  classifier.update(FLOW, 100)
+  assert.equal(classifier.update(FRANTIC, 900), null)
+  assert.equal(classifier.update(FRANTIC, 1500), null)
+  assert.deepEqual(classifier.update(FRANTIC, 1900), { state: 'frantic', previousState: 'steady' })
+})
+
+test('going idle and coming back from idle need no hold', () => {
+  const classifier = createStateClassifier({ holdMs: 1000 })
+  classifier.update(FLOW, 0)
+
+  assert.deepEqual(classifier.update(IDLE, 100), { state: 'idle', previousState: 'flow' })
+  assert.deepEqual(classifier.update(STEADY, 200), { state: 'steady', previousState: 'idle' })
+})
+
+test('the IKI range decides what counts as slow', () => {
+  const classifier = createStateClassifier({ holdMs: 0 })
+  const slowish = snapshot({ medianIkiMs: 450, effectiveIkiMs: 450, burstLength: 3 })
+  assert.equal(classifier.update(slowish, 0).state, 'hesitant')
+
+  classifier.setIkiRange({ min: 200, max: 900 })
+  assert.equal(classifier.update(slowish, 100).state, 'steady')
+})
+
+test('snapshots without an IKI leave the state alone', () => {
+  const classifier = createStateClassifier({ holdMs: 1000 })
+  classifier.update(STEADY, 0)
+  assert.equal(classifier.update(snapshot({ medianIkiMs: null, effectiveIkiMs: null }), 100), null)
+  assert.equal(classifier.getState(), 'steady')
+})
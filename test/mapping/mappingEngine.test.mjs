@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { validatePreset, PRESET_VERSION } from '../../src/mapping/mappingEngine.js'
+
+function loadPreset(name) {
+  return JSON.parse(readFileSync(new URL(`../../src/mapping/presets/${name}.json`, import.meta.url), 'utf8'))
+}
+
+function preset(params) {
+  return { version: PRESET_VERSION, name: 'Test', params }
+}
+
+test('the bundled presets are valid', () => {
+  for (const name of ['default', 'gentle', 'rhythmic']) {
+    const bundled = loadPreset(name)
+    assert.equal(validatePreset(bundled), bundled)
+  }
+})
+
+test('a minimal preset is valid, with a linear curve by default', () => {
+  assert.doesNotThrow(() => validatePreset(preset({ 'audio.gain': { input: 'iki', range: [0.1, 0.3] } })))
+})
+
+test('a preset that is not an object is rejected', () => {
+  assert.throws(() => validatePreset(null), /must be a JSON object/)
+  assert.throws(() => validatePreset('default'), /must be a JSON object/)
+})
+
+test('every problem is listed in one error', () => {
+  const broken = {
+    version: 2,
+    name: ' ',
+    params: {
+      'audio.volume': { input: 'iki', range: [0, 1] },
+      'visual.speed': { input: 'mood', range: [0, 1] },
+      'audio.cutoffHz': { input: 'iki', range: [800] },
+      'audio.breathHz': { input: 'iki', range: [0.05, 0.2], attackMs: -1 },
+      'visual.detail': { input: 'state', range: [0, 1], stateValues: { sleepy: 1 } }
+    }
+  }
+
+  assert.throws(() => validatePreset(broken), (error) => {
+    for (const problem of [
+      'version must be 1',
+      'name is required',
+      'audio.volume: unknown target',
+      'visual.speed: input must be one of',
+      'audio.cutoffHz: range must be [min, max]',
+      'audio.breathHz: attackMs must be a non-negative number',
+      'visual.detail: unknown states in stateValues: sleepy'
+    ]) {
+      assert.ok(error.message.includes(problem), `missing "${problem}" in: ${error.message}`)
+    }
+    return true
+  })
+})
+
+test('curve problems are reported against their parameter', () => {
+  const withBadCurve = preset({ 'audio.gain': { input: 'iki', range: [0.1, 0.3], curve: { type: 'wavy' } } })
+  assert.throws(() => validatePreset(withBadCurve), /audio\.gain: /)
+})
+
+test('params are required', () => {
+  assert.throws(() => validatePreset({ version: PRESET_VERSION, name: 'Empty' }), /params object is required/)
+})